@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+// Smoke check that the footprint model loads and runs in plain Node, the way
+// offline analysis scripts use it: every import on the way from emissions.js
+// needs its file extension and the factor profile a JSON import attribute.
+//
+//   npm run check-model
+//
+// Exits with status 1 if a sample response does not produce a footprint.
+import { calculateFootprint } from '../src/emissions.js'
+import { DEFAULT_PROFILE, profileKey } from '../src/factorProfiles.js'
+
+const results = calculateFootprint({
+  smartphone: '1',
+  smartphoneDuration: '4',
+  smartphoneAge: '2',
+  streamingNonAcademicHrsPerWeek: '11-25 hrs - Moderate (regular viewing)',
+  aiInteractionsPerDay: '1-5 times',
+  aiQueriesPerSession: '2-3',
+  aiShareText: 'Mostly',
+})
+
+if (!(results.totalKg > 0) || !(results.deviceKg > 0) || !(results.dataKg > 0) || !(results.aiKg > 0)) {
+  console.error(`Unexpected footprint from ${profileKey(DEFAULT_PROFILE)}:`, results)
+  process.exit(1)
+}
+console.log(`Model OK with ${profileKey(DEFAULT_PROFILE)}: sample footprint ${results.totalKg} kg CO2/year`)
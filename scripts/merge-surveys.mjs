@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+// Merge downloaded survey_*.json files into one dataset.
+//
+//   npm run merge-surveys -- <file or directory>... [-o merged.json]
+//
+// Directories are searched (non-recursively) for .json files. The merged
+// dataset is a JSON array, one record per participant. Exits with status 2
+// if any input was malformed, so batch jobs notice.
+import { readFileSync, readdirSync, statSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { importSurveyFiles } from '../src/records.js'
+
+function usage() {
+  console.error('Usage: merge-surveys <file or directory>... [-o merged.json]')
+  process.exit(1)
+}
+
+const args = process.argv.slice(2)
+let output = 'merged_surveys.json'
+const inputs = []
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '-o' || args[i] === '--output') output = args[++i]
+  else if (args[i] === '-h' || args[i] === '--help') usage()
+  else inputs.push(args[i])
+}
+if (!inputs.length || !output) usage()
+
+const paths = inputs.flatMap((input) => (
+  statSync(input).isDirectory()
+    ? readdirSync(input).filter((f) => f.endsWith('.json')).sort().map((f) => join(input, f))
+    : [input]
+))
+const files = paths.map((path) => ({ name: path, text: readFileSync(path, 'utf8') }))
+const { records, malformed, incomplete, duplicates } = importSurveyFiles(files)
+
+writeFileSync(output, JSON.stringify(records, null, 2))
+
+console.log(`Read ${files.length} file(s); wrote ${records.length} record(s) to ${output}`)
+if (duplicates.length) {
+  console.log(`\n${duplicates.length} duplicate participant(s):`)
+  duplicates.forEach((d) => console.log(`  ${d.participantId}: ${d.sources.join(' & ')} -> kept ${d.kept}${d.conflict ? ' (copies differ)' : ''}`))
+}
+if (incomplete.length) {
+  console.log(`\n${incomplete.length} incomplete record(s):`)
+  incomplete.forEach((r) => console.log(`  ${r.source} (${r.participantId}): ${r.warnings.join('; ')}`))
+}
+if (malformed.length) {
+  console.log(`\n${malformed.length} malformed input(s), skipped:`)
+  malformed.forEach((m) => console.log(`  ${m.source}: ${m.errors.join('; ')}`))
+  process.exitCode = 2
+}
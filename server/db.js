@@ -0,0 +1,49 @@
+const Database = require('better-sqlite3')
+
+// One row per participant. The full record is kept as JSON so the schema does
+// not need a migration every time a question is added to the survey.
+function openDatabase(file) {
+  const db = new Database(file)
+  db.pragma('journal_mode = WAL')
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS submissions (
+      participant_id TEXT PRIMARY KEY,
+      submitted_at TEXT NOT NULL,
+      received_at TEXT NOT NULL,
+      payload TEXT NOT NULL
+    )
+  `)
+
+  const insert = db.prepare(`
+    INSERT INTO submissions (participant_id, submitted_at, received_at, payload)
+    VALUES (@participantId, @submittedAt, @receivedAt, @payload)
+    ON CONFLICT(participant_id) DO NOTHING
+  `)
+  const all = db.prepare('SELECT payload FROM submissions ORDER BY submitted_at')
+  const withdraw = db.prepare("DELETE FROM submissions WHERE json_extract(payload, '$.withdrawalCode') = ?")
+
+  return {
+    // Returns false when the participant was already stored, so resubmitting is harmless
+    saveSubmission(record) {
+      const info = insert.run({
+        participantId: record.participantId,
+        submittedAt: record.timestamp,
+        receivedAt: new Date().toISOString(),
+        payload: JSON.stringify(record),
+      })
+      return info.changes > 0
+    },
+    listSubmissions() {
+      return all.all().map((row) => JSON.parse(row.payload))
+    },
+    // Returns false when no stored record carries the code
+    withdrawSubmission(withdrawalCode) {
+      return withdraw.run(withdrawalCode).changes > 0
+    },
+    close() {
+      db.close()
+    },
+  }
+}
+
+module.exports = { openDatabase }
@@ -0,0 +1,71 @@
+const crypto = require('crypto')
+const express = require('express')
+const { openDatabase } = require('./db')
+
+const PORT = Number(process.env.PORT) || 4000
+const DB_FILE = process.env.SURVEY_DB || 'survey.sqlite'
+// Bearer token the admin dashboard must send to list submissions; listing is disabled when unset
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''
+// Origin of the survey site, e.g. https://survey.example.org; '*' allows any
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*'
+
+function validateRecord(record) {
+  if (!record || typeof record !== 'object') return 'Body must be a JSON object'
+  if (typeof record.participantId !== 'string' || !record.participantId) return 'participantId is required'
+  if (typeof record.timestamp !== 'string' || Number.isNaN(Date.parse(record.timestamp))) return 'timestamp must be an ISO date'
+  if (!record.form || typeof record.form !== 'object') return 'form is required'
+  if (!record.results || typeof record.results !== 'object') return 'results is required'
+  return null
+}
+
+function isAdmin(req) {
+  const given = Buffer.from(req.get('Authorization') || '')
+  const expected = Buffer.from(`Bearer ${ADMIN_TOKEN}`)
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+function createApp(db) {
+  const app = express()
+  app.use(express.json({ limit: '1mb' }))
+  app.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', ALLOWED_ORIGIN)
+    res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization')
+    res.set('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS')
+    if (req.method === 'OPTIONS') return res.sendStatus(204)
+    next()
+  })
+
+  app.post('/api/submissions', (req, res) => {
+    const error = validateRecord(req.body)
+    if (error) return res.status(422).json({ error })
+    const created = db.saveSubmission(req.body)
+    res.status(created ? 201 : 200).json({ participantId: req.body.participantId, created })
+  })
+
+  app.get('/api/submissions', (req, res) => {
+    if (!ADMIN_TOKEN) return res.status(403).json({ error: 'Listing is disabled; set ADMIN_TOKEN to enable it' })
+    if (!isAdmin(req)) return res.status(401).json({ error: 'Unauthorized' })
+    res.json(db.listSubmissions())
+  })
+
+  // A participant withdrawing consent quotes the code they were shown after submitting
+  app.delete('/api/submissions', (req, res) => {
+    if (!ADMIN_TOKEN) return res.status(403).json({ error: 'Withdrawal is disabled; set ADMIN_TOKEN to enable it' })
+    if (!isAdmin(req)) return res.status(401).json({ error: 'Unauthorized' })
+    const code = req.query.withdrawalCode
+    if (typeof code !== 'string' || !code) return res.status(422).json({ error: 'withdrawalCode is required' })
+    if (!db.withdrawSubmission(code)) return res.status(404).json({ error: 'No submission has that withdrawal code' })
+    res.json({ withdrawn: true })
+  })
+
+  return app
+}
+
+if (require.main === module) {
+  const db = openDatabase(DB_FILE)
+  createApp(db).listen(PORT, () => {
+    console.log(`Survey server listening on http://localhost:${PORT} (database: ${DB_FILE})`)
+  })
+}
+
+module.exports = { createApp, validateRecord }
@@ -0,0 +1,232 @@
+import React, { useState, useMemo } from 'react'
+import { Lock, BarChart3, Users } from 'lucide-react'
+import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip as ReTooltip } from 'recharts'
+import { summarize } from './aggregate'
+import { fetchSubmissions, getSubmitUrl } from './submission'
+import ImportPanel from './ImportPanel'
+import FactorProfilePanel from './FactorProfilePanel'
+import WithdrawalPanel from './WithdrawalPanel'
+import { calculateFootprint } from './emissions'
+import { comparePerception } from './perception'
+import { profileFactors, profileStamp } from './factorProfiles'
+import { downloadFile } from './download'
+import { toCsv, codebookCsv, spssSyntax } from './tabularExport'
+
+const COLORS = ['#34D399', '#3B82F6', '#F59E0B', '#A855F7', '#EF4444', '#14B8A6', '#6366F1', '#EC4899', '#84CC16', '#F97316']
+
+// Researcher view at #/admin. With a backend configured the password is checked
+// by the server, which is what protects the data. Without one there is no
+// password: the dashboard opens empty and holds only the files the researcher
+// imports into it, and anything baked into the bundle could be read by anyone.
+export default function AdminDashboard() {
+  const endpoint = getSubmitUrl()
+  const [password, setPassword] = useState('')
+  const [unlocked, setUnlocked] = useState(!endpoint)
+  const [records, setRecords] = useState([])
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+  // Exports are anonymised unless the researcher asks for identifying answers
+  const [anonymised, setAnonymised] = useState(true)
+
+  const summary = useMemo(() => summarize(records), [records])
+
+  async function loadFromServer() {
+    setLoading(true)
+    setError(null)
+    try {
+      setRecords(await fetchSubmissions(endpoint, password))
+      setUnlocked(true)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Recompute every loaded response with another factor profile. The
+  // recommendations stay as recorded: they are what the respondent was shown.
+  // Uncertainty intervals belonged to the old profile and are dropped; they
+  // take too long to re-simulate for a whole dataset in the browser.
+  function recalculate(profile) {
+    const factors = profileFactors(profile)
+    setRecords(records.map(({ uncertainty, ...r }) => {
+      const results = calculateFootprint(r.form, factors)
+      return { ...r, results, perception: comparePerception(r.form.estimatedAnnualKgCO2, results.totalKg), factorProfile: profileStamp(profile) }
+    }))
+  }
+
+  function unlock(e) {
+    e.preventDefault()
+    loadFromServer()
+  }
+
+  const suffix = anonymised ? '_anonymised' : ''
+
+  if (!unlocked) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-100 to-sky-100 flex items-center justify-center px-4">
+        <form onSubmit={unlock} className="bg-white rounded-2xl p-6 shadow w-full max-w-sm space-y-4">
+          <div className="flex items-center gap-2 text-lg font-semibold"><Lock size={20} /> Researcher dashboard</div>
+          <div>
+            <div className="text-sm text-gray-600">Admin password</div>
+            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className="mt-1 p-3 rounded-md border w-full" />
+          </div>
+          {error && <div className="text-sm p-3 rounded bg-red-50 text-red-700">{error}</div>}
+          <button type="submit" disabled={loading} className="w-full px-4 py-2 rounded-md bg-indigo-600 text-white shadow disabled:opacity-60">{loading ? 'Checking…' : 'Unlock'}</button>
+          <a href="#/" className="block text-center text-sm text-gray-500">Back to the survey</a>
+        </form>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-100 to-sky-100 py-12 px-4">
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div className="bg-gradient-to-r from-green-600 via-emerald-500 to-sky-500 rounded-3xl p-8 shadow-2xl text-white flex items-center gap-4">
+          <div className="p-4 bg-white/10 rounded-xl"><BarChart3 size={36} /></div>
+          <div className="flex-1">
+            <h1 className="text-3xl font-semibold">Researcher dashboard</h1>
+            <p className="mt-1 opacity-90">{summary.count} response{summary.count === 1 ? '' : 's'} loaded</p>
+          </div>
+          <a href="#/" className="text-sm text-white/90 underline">Back to the survey</a>
+        </div>
+
+        <div className="bg-white rounded-2xl p-6 shadow flex flex-wrap items-center gap-3">
+          {!endpoint && (
+            <div className="w-full text-sm text-gray-600">No server is configured, so this page has no password and shows only the files you import here.</div>
+          )}
+          {endpoint && (
+            <button type="button" onClick={loadFromServer} disabled={loading} className="px-4 py-2 rounded-md bg-indigo-600 text-white shadow disabled:opacity-60">
+              {loading ? 'Loading…' : 'Reload from server'}
+            </button>
+          )}
+          {records.length > 0 && (
+            <>
+              <button type="button" onClick={() => downloadFile(`survey_dataset_${records.length}${suffix}.csv`, toCsv(records, { anonymised }), 'text/csv')} className="px-4 py-2 rounded-md border">Export CSV</button>
+              <button type="button" onClick={() => downloadFile(`survey_dataset_${records.length}${suffix}_coded.csv`, toCsv(records, { coded: true, anonymised }), 'text/csv')} className="px-4 py-2 rounded-md border">Export coded CSV</button>
+              <button type="button" onClick={() => downloadFile(`survey_codebook${suffix}.csv`, codebookCsv({ anonymised }), 'text/csv')} className="px-4 py-2 rounded-md border">Codebook</button>
+              <button type="button" onClick={() => downloadFile(`survey_labels${suffix}.sps`, spssSyntax({ anonymised }), 'text/plain')} className="px-4 py-2 rounded-md border">SPSS labels</button>
+              <label className="inline-flex items-center gap-2 text-sm">
+                <input type="checkbox" checked={anonymised} onChange={(e) => setAnonymised(e.target.checked)} />
+                Anonymise exports (age bands, no city or free text)
+              </label>
+              <button type="button" onClick={() => setRecords([])} className="px-4 py-2 rounded-md border">Clear</button>
+            </>
+          )}
+          {error && <div className="text-sm p-3 rounded bg-red-50 text-red-700">{error}</div>}
+          <div className="w-full">
+            <ImportPanel records={records} onMerged={setRecords} anonymised={anonymised} />
+          </div>
+        </div>
+
+        <Panel title="Consent withdrawal">
+          <WithdrawalPanel records={records} endpoint={endpoint} password={password} onWithdrawn={setRecords} />
+        </Panel>
+
+        <Panel title="Emission factors">
+          <FactorProfilePanel recordCount={records.length} onRecalculate={recalculate} />
+        </Panel>
+
+        {summary.count === 0 ? (
+          <div className="bg-white rounded-2xl p-6 shadow text-gray-600">No responses loaded yet.</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <Stat label="Responses" value={summary.count} />
+              <Stat label="Mean footprint" value={`${summary.meanKg} kg`} />
+              <Stat label="Median footprint" value={`${summary.medianKg} kg`} />
+              <Stat label="Range" value={`${summary.minKg}–${summary.maxKg} kg`} />
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Panel title="Footprint distribution">
+                <ResponsiveContainer width="100%" height={240}>
+                  <BarChart data={summary.histogram}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="bucket" tick={{ fontSize: 11 }} />
+                    <YAxis allowDecimals={false} />
+                    <ReTooltip />
+                    <Bar dataKey="count" name="Respondents" fill="#34D399" isAnimationActive={false} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </Panel>
+
+              <Panel title="Share by category">
+                <ResponsiveContainer width="100%" height={240}>
+                  <PieChart>
+                    <Pie data={summary.categoryShare} dataKey="kg" nameKey="name" innerRadius={50} outerRadius={80} paddingAngle={3} isAnimationActive={false}>
+                      {summary.categoryShare.map((entry, index) => (
+                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                      ))}
+                    </Pie>
+                    <ReTooltip formatter={(value) => `${value} kg`} />
+                  </PieChart>
+                </ResponsiveContainer>
+              </Panel>
+
+              <Panel title="Share by device type">
+                <ResponsiveContainer width="100%" height={240}>
+                  <PieChart>
+                    <Pie data={summary.deviceTypeShare} dataKey="kg" nameKey="name" innerRadius={50} outerRadius={80} paddingAngle={3} isAnimationActive={false}>
+                      {summary.deviceTypeShare.map((entry, index) => (
+                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                      ))}
+                    </Pie>
+                    <ReTooltip formatter={(value) => `${value} kg`} />
+                  </PieChart>
+                </ResponsiveContainer>
+              </Panel>
+
+              <GroupPanel title="By city tier" groups={summary.byCityTier} />
+              <GroupPanel title="By occupation" groups={summary.byOccupation} />
+              <GroupPanel title="By family income" groups={summary.byIncome} />
+            </div>
+
+            <GroupPanel title="By state" groups={summary.byState} tall />
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/* ---------- Helper components ---------- */
+
+function Stat({ label, value }) {
+  return (
+    <div className="bg-white p-5 rounded-2xl shadow">
+      <div className="text-sm text-gray-500">{label}</div>
+      <div className="text-2xl font-bold">{value}</div>
+    </div>
+  )
+}
+
+function Panel({ title, children }) {
+  return (
+    <div className="bg-white p-5 rounded-2xl shadow">
+      <div className="font-medium mb-3">{title}</div>
+      {children}
+    </div>
+  )
+}
+
+function GroupPanel({ title, groups, tall = false }) {
+  return (
+    <Panel title={title}>
+      <ResponsiveContainer width="100%" height={tall ? Math.max(240, groups.length * 28) : 240}>
+        <BarChart data={groups} layout="vertical" margin={{ left: 40 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" />
+          <YAxis type="category" dataKey="group" width={120} tick={{ fontSize: 11 }} />
+          <ReTooltip formatter={(value, name) => (name === 'Respondents' ? value : `${value} kg`)} />
+          <Bar dataKey="meanKg" name="Mean kg CO₂" fill="#3B82F6" isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+      <div className="mt-2 text-xs text-gray-500 flex flex-wrap gap-x-4 gap-y-1">
+        {groups.map((g) => (
+          <span key={g.group} className="inline-flex items-center gap-1"><Users size={12} />{g.group}: n={g.count}, median {g.medianKg} kg</span>
+        ))}
+      </div>
+    </Panel>
+  )
+}
@@ -0,0 +1,40 @@
+import { render, screen, fireEvent } from '@testing-library/react'
+import AdminDashboard from './AdminDashboard'
+
+test('with a server the dashboard stays locked until the server accepts the password', async () => {
+  process.env.REACT_APP_SUBMIT_URL = '/api/submissions'
+  const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 401 })
+  try {
+    render(<AdminDashboard />)
+    fireEvent.change(screen.getByDisplayValue(''), { target: { value: 'guess' } })
+    fireEvent.click(screen.getByText('Unlock'))
+    expect(await screen.findByText('Wrong admin password')).toBeInTheDocument()
+    expect(fetchSpy).toHaveBeenCalledWith('/api/submissions', { headers: { Authorization: 'Bearer guess' } })
+    expect(screen.queryByText(/responses? loaded/)).not.toBeInTheDocument()
+  } finally {
+    fetchSpy.mockRestore()
+    delete process.env.REACT_APP_SUBMIT_URL
+  }
+})
+
+test('without a server there is no password and the dashboard holds only imported files', () => {
+  render(<AdminDashboard />)
+  expect(screen.queryByText('Unlock')).not.toBeInTheDocument()
+  expect(screen.getByText('0 responses loaded')).toBeInTheDocument()
+  expect(screen.getByText(/No server is configured, so this page has no password/)).toBeInTheDocument()
+})
+
+test('the emission-factor profile is shown with its sources', () => {
+  render(<AdminDashboard />)
+  expect(screen.getByRole('combobox', { name: 'Factor profile' })).toHaveValue('india-default@2025.2')
+  expect(screen.getByText('gridKgCO2PerKWh')).toBeInTheDocument()
+  expect(screen.getByText(/Central Electricity Authority/)).toBeInTheDocument()
+})
+
+test('withdrawal codes are checked before anything is deleted', () => {
+  render(<AdminDashboard />)
+  const input = screen.getByRole('textbox', { name: 'Withdrawal code' })
+  fireEvent.change(input, { target: { value: '7KQ2' } })
+  fireEvent.click(screen.getByText('Delete response'))
+  expect(screen.getByText(/That is not a withdrawal code/)).toBeInTheDocument()
+})
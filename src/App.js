@@ -1,270 +1,101 @@
-import React, { useState, useMemo } from 'react'
-import { Cloud, Battery, Cpu, Upload, Info, Leaf, Sun } from 'lucide-react'
-import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip as ReTooltip } from 'recharts'
+import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react'
+import { Cloud, Battery, Cpu, Upload, Info, Leaf, Sun, Factory, CloudOff, Printer, Share2, FileDown } from 'lucide-react'
 import { motion } from 'framer-motion'
-
-
-// Indian-specific carbon footprint survey defaults (updated for accuracy)
-const INDIAN_DEFAULTS = {
-  gridKgCO2PerKWh: 0.82, // India's grid carbon intensity (CEA 2023 data)
-  devicePowerW: {
-    Smartphone: 3, // Updated: Indian smartphones typically 3W avg usage
-    Laptop: 65, // Updated: Modern laptops in India (including charging losses)
-    Tablet: 8, // Updated: Typical tablet consumption
-    Desktop: 180, // Updated: Including monitor, higher for Indian conditions
-    'Smart TV': 100, // Updated: Indian LED TVs typically higher consumption
-    Other: 25, // Updated: Average for misc devices
-    'Gaming Console': 150, // Updated: PS5/Xbox consumption in Indian conditions
-    'Streaming Device': 12, // Updated: Chromecast, Fire TV stick etc.
-    'Smart Home Devices': 15, // Updated: Alexa, smart switches etc.
-    'Router': 8, // Updated: Typical home router consumption
-  },
-  kgCO2PerGB: 0.065, // Updated: Indian data centers + transmission losses
-  inrPerTonneCO2: 3000, // Updated: Current Indian carbon market price 2025
-  gbPerStreamingHour: {
-    SD: 0.3,
-    HD: 1.2, // Updated: More accurate HD streaming
-    '4K': 4.5, // Added: 4K streaming data
-    default: 1.2
-  },
-  aiKgCO2PerQuery: {
-    text: 0.0001, // Text generation (ChatGPT style)
-    image: 0.02, // Image generation (DALL-E style) 
-    code: 0.0002, // Code assistance
-    voice: 0.0001, // Voice processing
-    mixed: 0.005, // Mixed usage average
-    default: 0.0005
-  }
-}
-
-const INDIAN_STATES = [
-  "Andhra Pradesh","Arunachal Pradesh","Assam","Bihar","Chhattisgarh","Goa","Gujarat","Haryana","Himachal Pradesh","Jharkhand","Karnataka","Kerala","Madhya Pradesh","Maharashtra","Manipur","Meghalaya","Mizoram","Nagaland","Odisha","Punjab","Rajasthan","Sikkim","Tamil Nadu","Telangana","Tripura","Uttar Pradesh","Uttarakhand","West Bengal","Andaman and Nicobar Islands","Chandigarh","Dadra and Nagar Haveli and Daman and Diu","Delhi","Jammu and Kashmir","Ladakh","Lakshadweep","Puducherry"
-]
-
-function generateParticipantId() {
-  return `P${Date.now()}`
-}
-
-function round(num, decimals = 2) {
-  return Math.round(num * Math.pow(10, decimals)) / Math.pow(10, decimals)
-}
+import { calculateFootprint, kgToInr } from './emissions'
+import { getActiveProfile, profileFactors, profileStamp } from './factorProfiles'
+import useUncertainty from './useUncertainty'
+import { ESTIMATE_BUCKETS, comparePerception } from './perception'
+import { recommend } from './recommendations'
+import { buildQuiz, scoreQuiz } from './quiz'
+import { getDefaultSubmitter, submitWithRetry } from './submission'
+import { createDefaultStore, flushQueue, REJECTED_STORE } from './offlineQueue'
+import { SECTIONS, DEVICE_TYPES, AI_USAGE_TYPES, QUESTIONS, EMPTY_FORM, SCHEMA_VERSION, isShown, sectionFields } from './surveySchema'
+import { validateForm, hasErrors } from './validation'
+import { loadDraft, saveDraft, clearDraft, hasAnswers } from './draft'
+import { downloadFile } from './download'
+import { generateParticipantId, generateWithdrawalCode, participantCopy } from './identity'
+import { toCsv } from './tabularExport'
+import FootprintPie from './FootprintPie'
+import DeviceBarChart from './DeviceBarChart'
+import WhatIfPanel from './WhatIfPanel'
+import FootprintReport from './FootprintReport'
+import { REPORT_RECOMMENDATIONS, recommendationValues } from './report'
+import { shareImageBlob } from './shareImage'
+import { reportPdfBlob } from './reportPdf'
+import { createTranslator, availableLanguages } from './i18n'
+import { I18nContext, useI18n, getInitialLanguage, storeLanguage } from './LanguageContext'
+
+// Recommendations shown to (and recorded for) each respondent
+const RECOMMENDATIONS_SHOWN = 5
 
 export default function SurveySite() {
-  const defaults = INDIAN_DEFAULTS
+  const [profile] = useState(() => getActiveProfile())
+  // One identity per visit, so downloads and the submission are the same record
+  const [identity] = useState(() => ({ participantId: generateParticipantId(), withdrawalCode: generateWithdrawalCode() }))
+  const defaults = useMemo(() => profileFactors(profile), [profile])
   const [message, setMessage] = useState(null)
-
-  const [form, setForm] = useState({
-    age: '',
-    gender: '',
-    occupation: '',
-    customOccupation: '',
-    schooling: '',
-    city: '',
-    state: '',
-    cityTier: '',
-    accommodation: '',
-    familyIncomeRange: '',
-    primaryConnection: '',
-    avgDailyInternetHours: '',
-    totalDevices: '',
-    smartphone: '',
-    laptop: '',
-    tablet: '',
-    desktop: '',
-    smartTV: '',
-    otherDevices: '',
-    gamingConsole: '',
-    streamingDevice: '',
-    smartHomeDevices: '',
-    router: '',
-    smartphoneDuration: '',
-    laptopDuration: '',
-    tabletDuration: '',
-    desktopDuration: '',
-    smartTVDuration: '',
-    otherDevicesDuration: '',
-    gamingConsoleDuration: '',
-    streamingDeviceDuration: '',
-    smartHomeDevicesDuration: '',
-    routerDuration: '',
-    smartphoneAge: '',
-    laptopAge: '',
-    tabletAge: '',
-    desktopAge: '',
-    smartTVAge: '',
-    otherDevicesAge: '',
-    gamingConsoleAge: '',
-    streamingDeviceAge: '',
-    smartHomeDevicesAge: '',
-    routerAge: '',
-    chargingHabits: '',
-    powerSource: '',
-    renewableEnergyUsage: '',
-    solarPanels: '',
-    energyEfficientAppliances: '',
-    aiInteractionsPerDay: '',
-    aiTypes: '',
-    aiUsageTypes: '',
-    typicalAiSessionMinutes: '',
-    cloudHoursPerWeek: '',
-    streamingAcademicHrsPerWeek: '',
-    streamingNonAcademicHrsPerWeek: '',
-    largeTransfersPerMonth: '',
-    accessRenewableAtHome: '',
-    estimatedAnnualKgCO2: '',
-    // Quiz questions
-    quizDataUsage: '',
-    quizDeviceLifespan: '',
-    quizChargingImpact: '',
-    quizStreamingFootprint: '',
-    quizRenewableEnergy: '',
-    quizAIFootprint: '',
-    consent: false,
-  })
-
-  // Calculate results
-  const results = useMemo(() => {
-    // Device calculations - based on device counts and actual usage duration
-    let deviceKg = 0
-    const deviceData = [
-        { type: 'Smartphone', count: Number(form.smartphone) || 0, duration: Number(form.smartphoneDuration) || 0 },
-        { type: 'Laptop', count: Number(form.laptop) || 0, duration: Number(form.laptopDuration) || 0 },
-        { type: 'Tablet', count: Number(form.tablet) || 0, duration: Number(form.tabletDuration) || 0 },
-        { type: 'Desktop', count: Number(form.desktop) || 0, duration: Number(form.desktopDuration) || 0 },
-        { type: 'Smart TV', count: Number(form.smartTV) || 0, duration: Number(form.smartTVDuration) || 0 },
-        { type: 'Gaming Console', count: Number(form.gamingConsole) || 0, duration: Number(form.gamingConsoleDuration) || 0 },
-        { type: 'Streaming Device', count: Number(form.streamingDevice) || 0, duration: Number(form.streamingDeviceDuration) || 0 },
-        { type: 'Smart Home Devices', count: Number(form.smartHomeDevices) || 0, duration: Number(form.smartHomeDevicesDuration) || 0 },
-        { type: 'Router', count: Number(form.router) || 0, duration: Number(form.routerDuration) || 0 },
-        { type: 'Other', count: Number(form.otherDevices) || 0, duration: Number(form.otherDevicesDuration) || 0 },
-      ]
-      
-      // Power source multiplier based on renewable energy usage
-      const getPowerSourceMultiplier = () => {
-        switch (form.renewableEnergyUsage) {
-          case "0% - All conventional energy": return 1.0
-          case "1-25% - Mostly conventional": return 0.9
-          case "26-50% - Mixed sources": return 0.7
-          case "51-75% - Mostly renewable": return 0.4
-          case "76-100% - All or mostly renewable": return 0.2
-          default: return 0.8 // Default assumption for "Don't know"
-        }
-      }
-
-      // Charging habits multiplier (affects efficiency)
-      const getChargingMultiplier = () => {
-        switch (form.chargingHabits) {
-          case "Always keep plugged in": return 1.3 // Higher consumption
-          case "Charge overnight (8+ hours)": return 1.1
-          case "Charge when needed (1-3 hours)": return 1.0 // Baseline
-          case "Quick charge frequently (15-30 min)": return 1.2 // Less efficient
-          case "Battery saver mode user": return 0.8 // More efficient
-          default: return 1.0
-        }
-      }
-
-      const powerSourceMultiplier = getPowerSourceMultiplier()
-      const chargingMultiplier = getChargingMultiplier()
-
-      deviceData.forEach(({ type, count, duration }) => {
-        if (count > 0 && duration > 0) {
-          const powerW = defaults.devicePowerW[type] || 0
-          const kwhPerYear = (powerW * duration * 365) / 1000
-          const baseEmissions = count * (kwhPerYear * defaults.gridKgCO2PerKWh)
-          deviceKg += baseEmissions * powerSourceMultiplier * chargingMultiplier
-        }
-      })
-
-    // Data and streaming calculations (updated for accuracy)
-    // Parse academic streaming from range
-    const academicText = form.streamingAcademicHrsPerWeek || ""
-    let academicHours = 0
-    if (academicText.includes("1-5")) academicHours = 3
-    else if (academicText.includes("6-15")) academicHours = 10
-    else if (academicText.includes("16-30")) academicHours = 23
-    else if (academicText.includes("31-50")) academicHours = 40
-    else if (academicText.includes("50+")) academicHours = 65
-    
-    // Parse entertainment streaming from range
-    const entertainmentText = form.streamingNonAcademicHrsPerWeek || ""
-    let entertainmentHours = 0
-    if (entertainmentText.includes("1-10")) entertainmentHours = 5
-    else if (entertainmentText.includes("11-25")) entertainmentHours = 18
-    else if (entertainmentText.includes("26-40")) entertainmentHours = 33
-    else if (entertainmentText.includes("41-60")) entertainmentHours = 50
-    else if (entertainmentText.includes("60+")) entertainmentHours = 80
-    
-    const totalStreamingHoursPerWeek = academicHours + entertainmentHours
-    const gbFromStreamingPerYear = totalStreamingHoursPerWeek * defaults.gbPerStreamingHour.default * 52
-    
-    // Parse cloud usage from range
-    const cloudText = form.cloudHoursPerWeek || ""
-    let cloudHours = 0
-    if (cloudText.includes("1-5")) cloudHours = 3
-    else if (cloudText.includes("6-15")) cloudHours = 10
-    else if (cloudText.includes("16-30")) cloudHours = 23
-    else if (cloudText.includes("31-50")) cloudHours = 40
-    else if (cloudText.includes("50+")) cloudHours = 65
-    
-    const gbFromCloudPerYear = cloudHours * 52 * 0.5 // Estimate 0.5GB per hour of cloud usage
-    const gbFromBigTransfersPerYear = (Number(form.largeTransfersPerMonth) || 0) * 12
-    const totalGB = gbFromStreamingPerYear + gbFromCloudPerYear + gbFromBigTransfersPerYear
-    const dataKg = totalGB * defaults.kgCO2PerGB
-
-    // AI calculations (updated for accuracy)
-    let aiKg = 0
-    const aiInteractionsText = form.aiInteractionsPerDay || ""
-    const aiSessionText = form.typicalAiSessionMinutes || ""
-    const aiTypeText = form.aiUsageTypes || ""
-    
-    // Parse AI interactions per day from range
-    let aiInteractionsDaily = 0
-    if (aiInteractionsText.includes("1-5")) aiInteractionsDaily = 3
-    else if (aiInteractionsText.includes("6-15")) aiInteractionsDaily = 10
-    else if (aiInteractionsText.includes("16-30")) aiInteractionsDaily = 23
-    else if (aiInteractionsText.includes("31-50")) aiInteractionsDaily = 40
-    else if (aiInteractionsText.includes("50+")) aiInteractionsDaily = 75
-    
-    // Parse session length from range
-    let sessionMinutes = 0
-    if (aiSessionText.includes("Less than 1")) sessionMinutes = 0.5
-    else if (aiSessionText.includes("1-5")) sessionMinutes = 3
-    else if (aiSessionText.includes("6-15")) sessionMinutes = 10
-    else if (aiSessionText.includes("16-30")) sessionMinutes = 23
-    else if (aiSessionText.includes("31-60")) sessionMinutes = 45
-    else if (aiSessionText.includes("More than 1 hour")) sessionMinutes = 90
-    
-    // Get AI type multiplier
-    let aiTypeMultiplier = defaults.aiKgCO2PerQuery.default
-    if (aiTypeText.includes("Text generation")) aiTypeMultiplier = defaults.aiKgCO2PerQuery.text
-    else if (aiTypeText.includes("Image generation")) aiTypeMultiplier = defaults.aiKgCO2PerQuery.image
-    else if (aiTypeText.includes("Code assistance")) aiTypeMultiplier = defaults.aiKgCO2PerQuery.code
-    else if (aiTypeText.includes("Voice assistants")) aiTypeMultiplier = defaults.aiKgCO2PerQuery.voice
-    else if (aiTypeText.includes("Mixed usage")) aiTypeMultiplier = defaults.aiKgCO2PerQuery.mixed
-    
-    if (aiInteractionsDaily > 0 && sessionMinutes > 0) {
-      // Estimate queries per session (roughly 1 query per minute for interactive AI)
-      const queriesPerSession = Math.max(1, sessionMinutes / 2)
-      const totalQueriesPerYear = aiInteractionsDaily * queriesPerSession * 365
-      aiKg = totalQueriesPerYear * aiTypeMultiplier
+  const [submitted, setSubmitted] = useState(false)
+  const [submittedAt, setSubmittedAt] = useState(null)
+  const [keepStatus, setKeepStatus] = useState(null)
+  const [submission, setSubmission] = useState({ status: 'idle' })
+  const submitter = useMemo(() => getDefaultSubmitter(), [])
+  const queue = useMemo(() => (submitter ? createDefaultStore() : null), [submitter])
+  // Responses the server refused stay on this device until they go through
+  const rejectedQueue = useMemo(() => (submitter ? createDefaultStore(REJECTED_STORE) : null), [submitter])
+  const [queuedCount, setQueuedCount] = useState(0)
+  const [rejectedSubmissions, setRejectedSubmissions] = useState([])
+
+  const syncQueue = useCallback(async () => {
+    if (!queue) return
+    try {
+      const { remaining } = await flushQueue(queue, submitter, rejectedQueue)
+      setQueuedCount(remaining)
+      setRejectedSubmissions(await rejectedQueue.getAll())
+    } catch (err) {
+      console.error('Could not sync queued submissions:', err)
     }
+  }, [queue, rejectedQueue, submitter])
+
+  // Send anything queued offline now, and again whenever the connection returns
+  useEffect(() => {
+    syncQueue()
+    window.addEventListener('online', syncQueue)
+    return () => window.removeEventListener('online', syncQueue)
+  }, [syncQueue])
+
+  const [language, setLanguage] = useState(getInitialLanguage)
+  const i18n = useMemo(() => createTranslator(language), [language])
+  const { t } = i18n
+
+  useEffect(() => {
+    document.documentElement.lang = language
+  }, [language])
+
+  function changeLanguage(code) {
+    setLanguage(code)
+    storeLanguage(code)
+  }
 
-    const totalKg = round(deviceKg + dataKg + aiKg)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [step, setStep] = useState(0)
+  // A draft from an earlier visit waits here until it is resumed or discarded
+  const [pendingDraft, setPendingDraft] = useState(() => loadDraft())
+  const formRef = useRef(null)
 
-    return {
-      deviceKg: round(deviceKg),
-      dataKg: round(dataKg),
-      aiKg: round(aiKg),
-      totalKg
-    }
-  }, [form, defaults])
+  // Autosave every change, but never over a draft the respondent hasn't decided on
+  useEffect(() => {
+    if (pendingDraft || submitted || !hasAnswers(form)) return
+    saveDraft(form, step)
+  }, [form, step, pendingDraft, submitted])
 
-  function kgToInr(kg) {
-    const tonne = (Number(kg) || 0) / 1000
-    // Include social cost of carbon for Indian context (environmental damage costs)
-    const socialCostMultiplier = 1.5 // Indian environmental damage is higher due to population density
-    return round(tonne * (Number(defaults.inrPerTonneCO2) || 0) * socialCostMultiplier, 2)
-  }
+  // Calculate results
+  const results = useMemo(() => calculateFootprint(form, defaults), [form, defaults])
+  const quiz = useMemo(() => buildQuiz(defaults), [defaults])
+  const quizResult = useMemo(() => scoreQuiz(form, defaults), [form, defaults])
+  const perception = useMemo(() => comparePerception(form.estimatedAnnualKgCO2, results.totalKg), [form.estimatedAnnualKgCO2, results.totalKg])
+  const validation = useMemo(() => validateForm(form, t), [form, t])
+  const recommendations = useMemo(() => recommend(form, defaults), [form, defaults])
+  const [uncertainty, settledUncertainty] = useUncertainty(form, profile)
 
   function getCityState() {
     const c = (form.city || '').trim()
@@ -275,46 +106,229 @@ export default function SurveySite() {
     return ''
   }
 
-  function downloadJSON() {
-    const data = {
-      participantId: generateParticipantId(),
+  // The interval comes from the simulation already running for these answers
+  // (in the worker where there is one), not from a fresh run on this thread
+  async function buildRecord() {
+    const summary = await settledUncertainty()
+    return {
+      participantId: identity.participantId,
+      withdrawalCode: identity.withdrawalCode,
+      schemaVersion: SCHEMA_VERSION,
       timestamp: new Date().toISOString(),
       form,
       results,
-      cityState: getCityState()
+      uncertainty: summary,
+      perception,
+      quiz: quizResult,
+      recommendations: recommendations.slice(0, RECOMMENDATIONS_SHOWN).map(({ id, kgSaved }) => ({ id, kgSaved })),
+      cityState: getCityState(),
+      language,
+      factorProfile: profileStamp(profile),
     }
-    
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `survey_${data.participantId}.json`
-    a.click()
-    URL.revokeObjectURL(url)
   }
 
-  function handleSubmit() {
+  async function downloadRecord(record) {
+    downloadFile(`survey_${record.participantId}.json`, JSON.stringify(await participantCopy(record), null, 2))
+  }
+
+  async function downloadJSON() {
+    await downloadRecord(await buildRecord())
+  }
+
+  async function downloadCSV() {
+    const data = await buildRecord()
+    downloadFile(`survey_${data.participantId}.csv`, toCsv([data]), 'text/csv')
+  }
+
+  async function queueRecord(record) {
+    try {
+      await queue.put(record)
+      setQueuedCount(await queue.count())
+      setSubmission({ status: 'queued', record })
+    } catch (err) {
+      setSubmission({ status: 'failed', error: err.message, record })
+    }
+  }
+
+  async function sendRecord(record) {
+    if (!submitter) return
+    if (!navigator.onLine) return queueRecord(record)
+    setSubmission({ status: 'pending', attempt: 1, record })
+    try {
+      await submitWithRetry(submitter, record, {
+        onAttempt: (attempt) => setSubmission({ status: 'pending', attempt, record }),
+      })
+    } catch (err) {
+      // Endpoint unreachable: keep the response on this device and sync later
+      if (err.retryable !== false) return queueRecord(record)
+      setSubmission({ status: 'failed', error: err.message, record })
+      await rejectedQueue.put({ participantId: record.participantId, error: err.message, record })
+      setRejectedSubmissions(await rejectedQueue.getAll())
+      return
+    }
+    setSubmission({ status: 'submitted', record })
+    await rejectedQueue.delete(record.participantId)
+    syncQueue()
+  }
+
+  function resumeDraft() {
+    setForm(pendingDraft.form)
+    setStep(pendingDraft.step)
+    setPendingDraft(null)
+  }
+
+  function discardDraft() {
+    clearDraft()
+    setPendingDraft(null)
+  }
+
+  function goToStep(index) {
+    setStep(index)
+    setMessage(null)
+    if (formRef.current && formRef.current.scrollIntoView) formRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  function fieldLabel(field) {
+    return i18n.label(QUESTIONS[field])
+  }
+
+  function stepErrors(index) {
+    return sectionFields(SECTIONS[index]).filter((f) => validation.errors[f])
+  }
+
+  function nextStep() {
+    const fields = stepErrors(step)
+    if (fields.length) {
+      setMessage({ type: 'error', text: t('message.fixBeforeContinuing', { fields: fields.map(fieldLabel).join(', ') }) })
+      return
+    }
+    goToStep(step + 1)
+  }
+
+  async function handleSubmit() {
+    if (hasErrors(validation)) {
+      const firstStep = SECTIONS.findIndex((section, i) => stepErrors(i).length > 0)
+      goToStep(firstStep)
+      const fields = stepErrors(firstStep).map(fieldLabel)
+      setMessage({ type: 'error', text: t('message.fixBeforeSubmitting', { fields: fields.join(', ') }) })
+      return
+    }
     if (!form.consent) {
-      setMessage({ type: 'error', text: 'Please provide consent to participate.' })
+      setMessage({ type: 'error', text: t('message.consentRequired') })
       return
     }
 
-    setMessage({ 
-      type: 'success', 
-      text: 'Survey completed successfully! Your carbon footprint has been calculated.' 
-    })
+    const record = await buildRecord()
+    setSubmitted(true)
+    setSubmittedAt(record.timestamp)
+    clearDraft()
+    setMessage({ type: 'success', text: t('message.completed') })
+    sendRecord(record)
   }
 
-  // Pie chart data
-  const pieData = [
-    { name: 'Devices', value: Number(results.deviceKg) || 0 },
-    { name: 'Data & Streaming', value: Number(results.dataKg) || 0 },
-    { name: 'AI', value: Number(results.aiKg) || 0 },
-  ]
-  const COLORS = ['#34D399', '#3B82F6', '#F59E0B']
+  // The same report as the printed one, as a PDF made on this device
+  async function downloadReportPdf() {
+    setKeepStatus(null)
+    try {
+      const blob = await reportPdfBlob({
+        results,
+        uncertainty,
+        recommendations: recommendations.slice(0, REPORT_RECOMMENDATIONS),
+        factors: defaults,
+        profile,
+        date: submittedAt,
+      }, i18n)
+      downloadFile('my-digital-footprint.pdf', blob)
+    } catch (err) {
+      setKeepStatus({ type: 'error', text: t('report.pdfFailed', { error: err.message }) })
+    }
+  }
+
+  // Shared through the device's share sheet where it can take files, downloaded
+  // otherwise or when sharing fails
+  async function shareResults() {
+    setKeepStatus(null)
+    const top = recommendations[0]
+    let blob
+    try {
+      blob = await shareImageBlob({
+        results,
+        cost: i18n.inr(kgToInr(results.totalKg, defaults)),
+        recommendation: top && {
+          title: t(`recommend.${top.id}.title`, recommendationValues(top, i18n)),
+          saving: t('recommend.saving', { kg: i18n.number(top.kgSaved), inr: i18n.inr(top.inrSaved), percent: top.percent }),
+        },
+        url: `${window.location.origin}${window.location.pathname}`,
+      }, i18n)
+    } catch (err) {
+      setKeepStatus({ type: 'error', text: t('share.failed', { error: err.message }) })
+      return
+    }
+    const file = new File([blob], 'my-digital-footprint.png', { type: 'image/png' })
+    try {
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        await navigator.share({ files: [file], title: t('report.title') })
+        return
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      setKeepStatus({ type: 'note', text: t('share.downloadedInstead') })
+    }
+    downloadFile(file.name, blob)
+  }
+
+  function setField(field, value) {
+    setForm((current) => ({ ...current, [field]: value }))
+  }
+
+  // One section item of the schema: a question, a composite or a content block
+  function renderItem(item, index) {
+    if (item.type === 'deviceTable') {
+      return <div key={index} className="md:col-span-2"><DeviceTable form={form} validation={validation} onChange={setField} /></div>
+    }
+    if (item.type === 'aiMix') {
+      return <div key={index} className="md:col-span-2"><AiMixTable form={form} validation={validation} onChange={setField} /></div>
+    }
+    if (item.type === 'quiz') {
+      return <div key={index} className="md:col-span-2"><Quiz quiz={quiz} quizResult={quizResult} submitted={submitted} form={form} onChange={setField} /></div>
+    }
+    if (item.type === 'block') {
+      const Block = BLOCKS[item.id]
+      return <div key={index} className="md:col-span-2"><Block /></div>
+    }
+    if (!isShown(item, form)) return null
+    if (item.type === 'select') {
+      return <Select key={item.field} label={i18n.label(item)} value={form[item.field]} onChange={(v) => setField(item.field, v)} options={item.options} error={validation.errors[item.field]} />
+    }
+    if (item.type === 'checkbox') {
+      return (
+        <label key={item.field} className="md:col-span-2 inline-flex items-center gap-2">
+          <input type="checkbox" checked={!!form[item.field]} onChange={(e) => setField(item.field, e.target.checked)} />
+          <span className="text-sm">{i18n.label(item)}</span>
+        </label>
+      )
+    }
+    return (
+      <Input
+        key={item.field}
+        label={i18n.label(item)}
+        value={form[item.field]}
+        onChange={(v) => setField(item.field, v)}
+        placeholder={item.placeholder && i18n.option(item.placeholder)}
+        numeric={item.type === 'number'}
+        error={validation.errors[item.field]}
+        warning={validation.warnings[item.field]}
+      />
+    )
+  }
+
+  const rate = i18n.inr(defaults.inrPerTonneCO2)
+  const interval = (key) => t('results.interval', { low: i18n.number(uncertainty[key].low), high: i18n.number(uncertainty[key].high) })
+  const gridSource = results.assumptions.gridFactorSource === 'National average' ? t('results.nationalAverage') : i18n.option(results.assumptions.gridFactorSource)
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-100 to-sky-100 py-12 px-4 relative overflow-hidden">
+    <I18nContext.Provider value={i18n}>
+    <div className="min-h-screen bg-gradient-to-br from-green-50 via-emerald-100 to-sky-100 py-12 px-4 relative overflow-hidden print:hidden">
       <Leaf className="absolute top-8 left-8 text-green-300 w-16 h-16 rotate-12 opacity-40" />
       <Sun className="absolute top-20 right-12 text-yellow-300 w-20 h-20 animate-pulse opacity-30" />
 
@@ -326,433 +340,57 @@ export default function SurveySite() {
           </div>
           <div className="flex-1">
             <h1 className="text-3xl font-semibold flex items-center gap-2">
-              Electronic Use & Carbon Footprint Survey 
+              {t('hero.title')}
               <Leaf className="inline-block text-green-200" size={24} />
             </h1>
-            <p className="mt-1 opacity-90">Contribute to a greener future — understand your digital impact on the environment.</p>
+            <p className="mt-1 opacity-90">{t('hero.subtitle')}</p>
           </div>
           <div className="ml-auto text-sm text-white/90 text-right">
-            <div className="font-medium">Estimated cost preview</div>
-            <div className="mt-1 text-lg font-bold">₹{kgToInr(results.totalKg)}</div>
-            <div className="text-xs mt-1">(at ₹{defaults.inrPerTonneCO2}/tCO₂)</div>
+            <LanguageSwitcher value={language} onChange={changeLanguage} />
+            <div className="mt-3 font-medium">{t('hero.costPreview')}</div>
+            <div className="mt-1 text-lg font-bold">{i18n.inr(kgToInr(results.totalKg, defaults))}</div>
+            <div className="text-xs mt-1">{t('hero.costRate', { rate })}</div>
           </div>
         </div>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
-          {/* Left: Form */}
-          <div className="lg:col-span-2 bg-white rounded-2xl p-6 shadow">
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <Input label="Age" value={form.age} onChange={(v) => setForm({ ...form, age: v })} placeholder="e.g. 21" />
-              <Select label="Gender" value={form.gender} onChange={(v) => setForm({ ...form, gender: v })} options={["Male","Female","Other"]} />
-              <Select label="Occupation" value={form.occupation} onChange={(v) => setForm({ ...form, occupation: v })} options={["Student","Employed","Self-Employed","Unemployed","Other"]} />
-              {form.occupation === 'Other' && <Input label="Please specify occupation" value={form.customOccupation} onChange={(v) => setForm({ ...form, customOccupation: v })} />}
-              <Select label="Home Schooling" value={form.schooling} onChange={(v) => setForm({ ...form, schooling: v })} options={["Government","Private","Convent","Other"]} />
-              <Input label="Home City" value={form.city} onChange={(v) => setForm({ ...form, city: v })} />
-              <Select label="Home State" value={form.state} onChange={(v) => setForm({ ...form, state: v })} options={INDIAN_STATES} />
-              <Select label="City Tier" value={form.cityTier} onChange={(v) => setForm({ ...form, cityTier: v })} options={["1","2","3"]} />
-              <Select label="Current Accommodation" value={form.accommodation} onChange={(v) => setForm({ ...form, accommodation: v })} options={["Apartment","Independent House","Rented","Hostel","Other"]} />
-              <Select label="Family Income Range" value={form.familyIncomeRange} onChange={(v) => setForm({ ...form, familyIncomeRange: v })} options={["<₹1L","₹1L-3L","₹3L-5L","₹5L-8L","₹8L-10L",">₹10L"]} />
-            </div>
-
-            <hr className="my-5" />
-
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Internet & Devices</h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                <Select label="Primary Internet Connection" value={form.primaryConnection} onChange={(v) => setForm({ ...form, primaryConnection: v })} options={["Mobile Data (5G/4G)","Wi-Fi at Home","Wi-Fi at Work/College","Public Wi-Fi","Hotspot from Phone","Other"]} />
-                <Input label="Avg daily internet usage (hrs)" value={form.avgDailyInternetHours} onChange={(v) => setForm({ ...form, avgDailyInternetHours: v })} />
-              </div>
-
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                <Input label="Total devices owned" value={form.totalDevices} onChange={(v) => setForm({ ...form, totalDevices: v })} placeholder="e.g. 5" />
-              </div>
-
-              <div>
-                <h4 className="font-medium mb-3">Devices Owned (Enter quantity of devices, Daily usage hours, and Age of the devices)</h4>
-                <div className="space-y-4">
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="font-medium text-sm text-gray-600">Device Type</div>
-                    <div className="font-medium text-sm text-gray-600">Number of devices</div>
-                    <div className="font-medium text-sm text-gray-600">Hours/Day</div>
-                    <div className="font-medium text-sm text-gray-600">Age of the devices (Years)</div>
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Smartphone</div>
-                    <Input label="" value={form.smartphone} onChange={(v) => setForm({ ...form, smartphone: v })} placeholder="0" />
-                    <Input label="" value={form.smartphoneDuration} onChange={(v) => setForm({ ...form, smartphoneDuration: v })} placeholder="0" />
-                    <Input label="" value={form.smartphoneAge} onChange={(v) => setForm({ ...form, smartphoneAge: v })} placeholder="0" />
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Laptop</div>
-                    <Input label="" value={form.laptop} onChange={(v) => setForm({ ...form, laptop: v })} placeholder="0" />
-                    <Input label="" value={form.laptopDuration} onChange={(v) => setForm({ ...form, laptopDuration: v })} placeholder="0" />
-                    <Input label="" value={form.laptopAge} onChange={(v) => setForm({ ...form, laptopAge: v })} placeholder="0" />
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Tablet</div>
-                    <Input label="" value={form.tablet} onChange={(v) => setForm({ ...form, tablet: v })} placeholder="0" />
-                    <Input label="" value={form.tabletDuration} onChange={(v) => setForm({ ...form, tabletDuration: v })} placeholder="0" />
-                    <Input label="" value={form.tabletAge} onChange={(v) => setForm({ ...form, tabletAge: v })} placeholder="0" />
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Desktop</div>
-                    <Input label="" value={form.desktop} onChange={(v) => setForm({ ...form, desktop: v })} placeholder="0" />
-                    <Input label="" value={form.desktopDuration} onChange={(v) => setForm({ ...form, desktopDuration: v })} placeholder="0" />
-                    <Input label="" value={form.desktopAge} onChange={(v) => setForm({ ...form, desktopAge: v })} placeholder="0" />
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Smart TV</div>
-                    <Input label="" value={form.smartTV} onChange={(v) => setForm({ ...form, smartTV: v })} placeholder="0" />
-                    <Input label="" value={form.smartTVDuration} onChange={(v) => setForm({ ...form, smartTVDuration: v })} placeholder="0" />
-                    <Input label="" value={form.smartTVAge} onChange={(v) => setForm({ ...form, smartTVAge: v })} placeholder="0" />
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Gaming Console</div>
-                    <Input label="" value={form.gamingConsole} onChange={(v) => setForm({ ...form, gamingConsole: v })} placeholder="0" />
-                    <Input label="" value={form.gamingConsoleDuration} onChange={(v) => setForm({ ...form, gamingConsoleDuration: v })} placeholder="0" />
-                    <Input label="" value={form.gamingConsoleAge} onChange={(v) => setForm({ ...form, gamingConsoleAge: v })} placeholder="0" />
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Streaming Device (Roku, Chromecast, etc.)</div>
-                    <Input label="" value={form.streamingDevice} onChange={(v) => setForm({ ...form, streamingDevice: v })} placeholder="0" />
-                    <Input label="" value={form.streamingDeviceDuration} onChange={(v) => setForm({ ...form, streamingDeviceDuration: v })} placeholder="0" />
-                    <Input label="" value={form.streamingDeviceAge} onChange={(v) => setForm({ ...form, streamingDeviceAge: v })} placeholder="0" />
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Smart Home Devices (Alexa, etc.)</div>
-                    <Input label="" value={form.smartHomeDevices} onChange={(v) => setForm({ ...form, smartHomeDevices: v })} placeholder="0" />
-                    <Input label="" value={form.smartHomeDevicesDuration} onChange={(v) => setForm({ ...form, smartHomeDevicesDuration: v })} placeholder="0" />
-                    <Input label="" value={form.smartHomeDevicesAge} onChange={(v) => setForm({ ...form, smartHomeDevicesAge: v })} placeholder="0" />
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Router/Modem</div>
-                    <Input label="" value={form.router} onChange={(v) => setForm({ ...form, router: v })} placeholder="0" />
-                    <Input label="" value={form.routerDuration} onChange={(v) => setForm({ ...form, routerDuration: v })} placeholder="24" />
-                    <Input label="" value={form.routerAge} onChange={(v) => setForm({ ...form, routerAge: v })} placeholder="0" />
-                  </div>
-                  <div className="grid grid-cols-4 gap-3 items-center">
-                    <div className="text-sm">Other devices</div>
-                    <Input label="" value={form.otherDevices} onChange={(v) => setForm({ ...form, otherDevices: v })} placeholder="0" />
-                    <Input label="" value={form.otherDevicesDuration} onChange={(v) => setForm({ ...form, otherDevicesDuration: v })} placeholder="0" />
-                    <Input label="" value={form.otherDevicesAge} onChange={(v) => setForm({ ...form, otherDevicesAge: v })} placeholder="0" />
-                  </div>
-                </div>
-              </div>
-
-              <hr />
-
-              <h3 className="text-lg font-medium">Charging Habits & Power Sources</h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                <Select 
-                  label="Primary charging habits" 
-                  value={form.chargingHabits} 
-                  onChange={(v) => setForm({ ...form, chargingHabits: v })} 
-                  options={[
-                    "Charge overnight (8+ hours)",
-                    "Charge when needed (1-3 hours)",
-                    "Quick charge frequently (15-30 min)",
-                    "Always keep plugged in",
-                    "Battery saver mode user"
-                  ]} 
-                />
-                <Select 
-                  label="Primary power source at home" 
-                  value={form.powerSource} 
-                  onChange={(v) => setForm({ ...form, powerSource: v })} 
-                  options={[
-                    "Grid electricity (regular)",
-                    "Grid electricity (renewable mix)",
-                    "Solar panels",
-                    "Mixed renewable sources",
-                    "Don't know"
-                  ]} 
-                />
-                <Select 
-                  label="Renewable energy usage" 
-                  value={form.renewableEnergyUsage} 
-                  onChange={(v) => setForm({ ...form, renewableEnergyUsage: v })} 
-                  options={[
-                    "0% - All conventional energy",
-                    "1-25% - Mostly conventional",
-                    "26-50% - Mixed sources",
-                    "51-75% - Mostly renewable",
-                    "76-100% - All or mostly renewable",
-                    "Don't know"
-                  ]} 
-                />
-                <Select 
-                  label="Do you have solar panels?" 
-                  value={form.solarPanels} 
-                  onChange={(v) => setForm({ ...form, solarPanels: v })} 
-                  options={[
-                    "Yes",
-                    "No",
-                    "Planning to install",
-                    "Don't know"
-                  ]} 
-                />
-                <Select 
-                  label="Energy-efficient appliances" 
-                  value={form.energyEfficientAppliances} 
-                  onChange={(v) => setForm({ ...form, energyEfficientAppliances: v })} 
-                  options={[
-                    "Yes - Most are energy-efficient",
-                    "Some are energy-efficient", 
-                    "No - Regular appliances",
-                    "Don't know"
-                  ]} 
-                />
-              </div>
-
-              <hr />
+          {/* Left: Form, one schema section per step */}
+          <div ref={formRef} className="lg:col-span-2 bg-white rounded-2xl p-6 shadow">
+            {pendingDraft && <ResumePrompt draft={pendingDraft} onResume={resumeDraft} onDiscard={discardDraft} />}
+            <StepProgress step={step} onSelect={goToStep} />
 
-              <h3 className="text-lg font-medium">AI, Cloud & Streaming</h3>
+            <section key={SECTIONS[step].id}>
+              <h3 className="text-lg font-medium mb-3">{i18n.section(SECTIONS[step]).title}</h3>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-                <Select 
-                  label="AI interactions per day" 
-                  value={form.aiInteractionsPerDay} 
-                  onChange={(v) => setForm({ ...form, aiInteractionsPerDay: v })} 
-                  options={[
-                    "0 - Don't use AI",
-                    "1-5 times",
-                    "6-15 times",
-                    "16-30 times",
-                    "31-50 times",
-                    "50+ times"
-                  ]} 
-                />
-                <Select 
-                  label="Type of AI usage" 
-                  value={form.aiUsageTypes} 
-                  onChange={(v) => setForm({ ...form, aiUsageTypes: v })} 
-                  options={[
-                    "Text generation (ChatGPT, etc.)",
-                    "Image generation (DALL-E, etc.)",
-                    "Code assistance (GitHub Copilot, etc.)",
-                    "Voice assistants (Siri, Alexa, etc.)",
-                    "Mixed usage (text + image + code)",
-                    "Other AI tools",
-                    "Don't use AI"
-                  ]} 
-                />
-                <Select 
-                  label="Typical AI session length" 
-                  value={form.typicalAiSessionMinutes} 
-                  onChange={(v) => setForm({ ...form, typicalAiSessionMinutes: v })} 
-                  options={[
-                    "Less than 1 minute",
-                    "1-5 minutes",
-                    "6-15 minutes",
-                    "16-30 minutes",
-                    "31-60 minutes",
-                    "More than 1 hour"
-                  ]} 
-                />
-                <Select 
-                  label="Cloud services usage (hrs/week)" 
-                  value={form.cloudHoursPerWeek} 
-                  onChange={(v) => setForm({ ...form, cloudHoursPerWeek: v })} 
-                  options={[
-                    "0 - Don't use cloud services",
-                    "1-5 hrs - Light usage (email, basic storage)",
-                    "6-15 hrs - Moderate usage (Google Drive, Office 365)",
-                    "16-30 hrs - Heavy usage (video calls, collaboration)",
-                    "31-50 hrs - Very heavy usage (streaming, gaming)",
-                    "50+ hrs - Constant usage (work/business)"
-                  ]} 
-                />
-                <Input label="Uploads / big transfers per month (GB)" value={form.largeTransfersPerMonth} onChange={(v) => setForm({ ...form, largeTransfersPerMonth: v })} />
-                <Select 
-                  label="Streaming (academic hrs/week)" 
-                  value={form.streamingAcademicHrsPerWeek} 
-                  onChange={(v) => setForm({ ...form, streamingAcademicHrsPerWeek: v })} 
-                  options={[
-                    "0 - No academic streaming",
-                    "1-5 hrs - Light (few lectures/courses)",
-                    "6-15 hrs - Moderate (regular classes)",
-                    "16-30 hrs - Heavy (full online courses)",
-                    "31-50 hrs - Very heavy (intensive programs)",
-                    "50+ hrs - Constant (full-time online)"
-                  ]} 
-                />
-                <Select 
-                  label="Streaming (entertainment hrs/week)" 
-                  value={form.streamingNonAcademicHrsPerWeek} 
-                  onChange={(v) => setForm({ ...form, streamingNonAcademicHrsPerWeek: v })} 
-                  options={[
-                    "0 - No entertainment streaming",
-                    "1-10 hrs - Light (occasional shows)",
-                    "11-25 hrs - Moderate (regular viewing)",
-                    "26-40 hrs - Heavy (daily streaming)",
-                    "41-60 hrs - Very heavy (binge watcher)",
-                    "60+ hrs - Constant (background streaming)"
-                  ]} 
-                />
-              </div>
-
-              <hr />
-
-              {/* Digital Carbon Facts */}
-              <div className="bg-gradient-to-r from-blue-50 to-green-50 rounded-2xl p-6 mb-6 border border-blue-100">
-                <div className="flex items-center gap-3 mb-4">
-                  <div className="p-2 bg-blue-100 rounded-lg">
-                    <Info size={24} className="text-blue-600" />
-                  </div>
-                  <h2 className="text-xl font-semibold text-gray-800">💡 Digital Carbon Facts</h2>
-                </div>
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 text-sm">
-                  <div className="bg-white p-4 rounded-xl shadow-sm">
-                    <div className="font-semibold text-blue-600 mb-2">📡 Global Data Infrastructure Cost</div>
-                    <div className="text-gray-700">Transferring 1GB globally costs <strong>₹0.80-2.50</strong> including undersea cables, data centers, bandwidth, cooling systems, and maintenance workforce.</div>
-                    <div className="mt-2 p-2 bg-blue-50 rounded text-xs"><strong>💰 Daily Cost:</strong> ₹2,300 crores spent daily on global internet infrastructure!</div>
-                  </div>
-                  <div className="bg-white p-4 rounded-xl shadow-sm">
-                    <div className="font-semibold text-green-600 mb-2">🎬 Streaming Infrastructure</div>
-                    <div className="text-gray-700">Netflix spends <strong>₹15,000 crores annually</strong> on content delivery networks (CDNs) and bandwidth to stream videos worldwide smoothly.</div>
-                    <div className="mt-2 p-2 bg-green-50 rounded text-xs"><strong>💰 Daily Reality:</strong> ₹41 crores daily just for Netflix's streaming infrastructure</div>
-                  </div>
-                  <div className="bg-white p-4 rounded-xl shadow-sm">
-                    <div className="font-semibold text-purple-600 mb-2">🤖 AI Infrastructure Cost</div>
-                    <div className="text-gray-700">OpenAI spends <strong>₹2,100 crores monthly</strong> on computing infrastructure. Google's AI data centers cost <strong>₹50,000 crores</strong> to build.</div>
-                    <div className="mt-2 p-2 bg-purple-50 rounded text-xs"><strong>💰 Daily Scale:</strong> ₹70 crores daily spent by OpenAI alone on computing power</div>
-                  </div>
-                  <div className="bg-white p-4 rounded-xl shadow-sm">
-                    <div className="font-semibold text-amber-600 mb-2">📱 Manufacturing Infrastructure</div>
-                    <div className="text-gray-700">Foxconn's iPhone factories cost <strong>₹40,000 crores</strong> to setup. Semiconductor fabs cost <strong>₹80,000+ crores</strong> each to build.</div>
-                    <div className="mt-2 p-2 bg-amber-50 rounded text-xs"><strong>💰 Daily Production:</strong> ₹550 crores worth of global electronics manufactured daily</div>
-                  </div>
-                  <div className="bg-white p-4 rounded-xl shadow-sm">
-                    <div className="font-semibold text-red-600 mb-2">🔋 Power Grid Infrastructure</div>
-                    <div className="text-gray-700">India's power grid infrastructure is worth <strong>₹25 lakh crores</strong>. Each power plant costs ₹15,000-50,000 crores to build and maintain.</div>
-                    <div className="mt-2 p-2 bg-red-50 rounded text-xs"><strong>💰 Daily Maintenance:</strong> ₹137 crores daily maintenance for India's electricity grid</div>
-                  </div>
-                  <div className="bg-white p-4 rounded-xl shadow-sm">
-                    <div className="font-semibold text-teal-600 mb-2">🌱 Undersea Cable Reality</div>
-                    <div className="text-gray-700">Undersea internet cables cost <strong>₹2,500-4,000 crores per cable</strong>. 400+ cables carry 99% of international data worldwide.</div>
-                    <div className="mt-2 p-2 bg-teal-50 rounded text-xs"><strong>💰 Daily Operations:</strong> ₹85 crores daily to operate and maintain undersea cables</div>
-                  </div>
-                </div>
-                <div className="mt-4 text-center">
-                  <div className="text-xs text-gray-600">💚 Your responses help researchers understand digital behavior patterns and promote sustainable technology use!</div>
-                </div>
-              </div>
-
-              <h3 className="text-lg font-medium">📱 Electronic Carbon Footprint Quiz</h3>
-              <div className="text-sm text-gray-600 mb-4">
-                Test your knowledge about electronic device carbon footprints! Rate each factor's impact from 1 (lowest) to 10 (highest).
-              </div>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium mb-2">
-                    Data Usage Impact (1-10)
-                    <span className="block text-xs text-gray-500">How much does streaming 1 hour of HD video impact your carbon footprint?</span>
-                  </label>
-                  <Select 
-                    value={form.quizDataUsage} 
-                    onChange={(v) => setForm({ ...form, quizDataUsage: v })} 
-                    options={["1 (lowest)", "2", "3", "4", "5 (medium)", "6", "7", "8", "9", "10 (highest)"]} 
-                  />
-                </div>
-                
-                <div>
-                  <label className="block text-sm font-medium mb-2">
-                    Device Lifespan Impact (1-10)
-                    <span className="block text-xs text-gray-500">How much does using a smartphone for 5 years vs 2 years reduce carbon footprint?</span>
-                  </label>
-                  <Select 
-                    value={form.quizDeviceLifespan} 
-                    onChange={(v) => setForm({ ...form, quizDeviceLifespan: v })} 
-                    options={["1 (lowest)", "2", "3", "4", "5 (medium)", "6", "7", "8", "9", "10 (highest)"]} 
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium mb-2">
-                    Charging Habits Impact (1-10)
-                    <span className="block text-xs text-gray-500">How much does keeping devices plugged in 24/7 increase carbon footprint?</span>
-                  </label>
-                  <Select 
-                    value={form.quizChargingImpact} 
-                    onChange={(v) => setForm({ ...form, quizChargingImpact: v })} 
-                    options={["1 (lowest)", "2", "3", "4", "5 (medium)", "6", "7", "8", "9", "10 (highest)"]} 
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium mb-2">
-                    Streaming vs Gaming Impact (1-10)
-                    <span className="block text-xs text-gray-500">How much more carbon footprint does cloud gaming have vs Netflix streaming?</span>
-                  </label>
-                  <Select 
-                    value={form.quizStreamingFootprint} 
-                    onChange={(v) => setForm({ ...form, quizStreamingFootprint: v })} 
-                    options={["1 (lowest)", "2", "3", "4", "5 (medium)", "6", "7", "8", "9", "10 (highest)"]} 
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium mb-2">
-                    Renewable Energy Impact (1-10)
-                    <span className="block text-xs text-gray-500">How much can switching to renewable energy reduce your electronic footprint?</span>
-                  </label>
-                  <Select 
-                    value={form.quizRenewableEnergy} 
-                    onChange={(v) => setForm({ ...form, quizRenewableEnergy: v })} 
-                    options={["1 (lowest)", "2", "3", "4", "5 (medium)", "6", "7", "8", "9", "10 (highest)"]} 
-                  />
-                </div>
-
-                <div>
-                  <label className="block text-sm font-medium mb-2">
-                    AI Usage Impact (1-10)
-                    <span className="block text-xs text-gray-500">How much carbon footprint does generating AI images have vs text conversations?</span>
-                  </label>
-                  <Select 
-                    value={form.quizAIFootprint} 
-                    onChange={(v) => setForm({ ...form, quizAIFootprint: v })} 
-                    options={["1 (lowest)", "2", "3", "4", "5 (medium)", "6", "7", "8", "9", "10 (highest)"]} 
-                  />
-                </div>
-              </div>
-
-              <hr />
-
-              <h3 className="text-lg font-medium">Sustainability & Awareness</h3>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 items-center">
-                <Select label="Access to renewable electricity at home" value={form.accessRenewableAtHome} onChange={(v) => setForm({ ...form, accessRenewableAtHome: v })} options={["Yes - fully","Partial / Sometimes","No"]} />
-                <Select 
-                  label="Your estimate of annual electronic footprint" 
-                  value={form.estimatedAnnualKgCO2} 
-                  onChange={(v) => setForm({ ...form, estimatedAnnualKgCO2: v })} 
-                  options={[
-                    "1 - Very Low (0-50 kg CO₂)",
-                    "2 - Low (51-150 kg CO₂)", 
-                    "3 - Moderate (151-300 kg CO₂)",
-                    "4 - High (301-500 kg CO₂)",
-                    "5 - Very High (500+ kg CO₂)"
-                  ]} 
-                />
-              </div>
-
-              <div className="mt-3 text-sm bg-amber-50 p-3 rounded flex items-center gap-3">
-                <Info size={18} />
-                <div>
-                  <strong>Expectation vs Reality:</strong> Press <span className="font-semibold">Calculate</span> and we'll show how your estimate compares to a computed footprint based on your inputs.
-                </div>
+                {SECTIONS[step].items.map(renderItem)}
               </div>
-
-              <div className="mt-4 flex items-center gap-3">
-                <label className="inline-flex items-center gap-2">
-                  <input type="checkbox" checked={!!form.consent} onChange={(e) => setForm({ ...form, consent: e.target.checked })} />
-                  <span className="text-sm">I consent to participating in this research.</span>
-                </label>
-
-                <div className="ml-auto flex gap-2">
-                  <button type="button" onClick={downloadJSON} className="px-4 py-2 rounded-md border">Download JSON</button>
-                  <button type="button" onClick={handleSubmit} className="px-4 py-2 rounded-md bg-indigo-600 text-white shadow">Calculate & Submit</button>
-                </div>
+            </section>
+
+            <div className="mt-6 flex flex-wrap items-center gap-2">
+              {step > 0 && <button type="button" onClick={() => goToStep(step - 1)} className="px-4 py-2 rounded-md border">{t('nav.back')}</button>}
+              <div className="ml-auto flex flex-wrap gap-2">
+                {step < SECTIONS.length - 1 ? (
+                  <button type="button" onClick={nextStep} className="px-4 py-2 rounded-md bg-indigo-600 text-white shadow">{t('nav.next')}</button>
+                ) : (
+                  <>
+                    <button type="button" onClick={downloadJSON} className="px-4 py-2 rounded-md border">{t('nav.downloadJson')}</button>
+                    <button type="button" onClick={downloadCSV} className="px-4 py-2 rounded-md border">{t('nav.downloadCsv')}</button>
+                    <button type="button" onClick={handleSubmit} disabled={submission.status === 'pending'} className="px-4 py-2 rounded-md bg-indigo-600 text-white shadow disabled:opacity-60">{t('nav.submit')}</button>
+                  </>
+                )}
               </div>
             </div>
+
+            {message && (
+              <div className={`mt-3 text-sm p-3 rounded ${message.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-emerald-50 text-emerald-700'}`}>{message.text}</div>
+            )}
+            <SubmissionStatus submission={submission} queuedCount={queuedCount} onRetry={() => sendRecord(submission.record)} />
+            <RejectedSubmissions
+              entries={rejectedSubmissions.filter((entry) => !submission.record || entry.participantId !== submission.record.participantId)}
+              onRetry={(entry) => sendRecord(entry.record)}
+              onDownload={(entry) => downloadRecord(entry.record)}
+            />
+            {submitted && <WithdrawalCode code={identity.withdrawalCode} />}
           </div>
 
           {/* Right: Summary / Chart / Admin */}
@@ -763,79 +401,459 @@ export default function SurveySite() {
                   <Battery size={28} className="text-emerald-600" />
                 </div>
                 <div>
-                  <div className="text-sm text-gray-500">Total Annual Footprint</div>
-                  <div className="text-2xl font-bold">{results.totalKg} kg CO₂</div>
-                  <div className="text-sm text-gray-500 mt-1">Approx. ₹{kgToInr(results.totalKg)} (at ₹{defaults.inrPerTonneCO2}/tCO₂)</div>
+                  <div className="text-sm text-gray-500">{t('results.total')}</div>
+                  <div className="text-2xl font-bold">{i18n.number(results.totalKg)} kg CO₂</div>
+                  {uncertainty && <div className="text-xs text-gray-500">{interval('totalKg')}</div>}
+                  <div className="text-sm text-gray-500 mt-1">{t('results.approxCost', { cost: i18n.inr(kgToInr(results.totalKg, defaults)), rate })}</div>
                 </div>
               </div>
 
-              <div style={{ height: 220 }} className="mt-4">
-                <ResponsiveContainer width="100%" height={220}>
-                  <PieChart>
-                    <Pie data={pieData} dataKey="value" nameKey="name" innerRadius={50} outerRadius={80} paddingAngle={3} isAnimationActive={false}>
-                      {pieData.map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                      ))}
-                    </Pie>
-                    <ReTooltip formatter={(value) => `${value} kg`} />
-                  </PieChart>
-                </ResponsiveContainer>
+              <div className="mt-4">
+                <FootprintPie results={results} />
+              </div>
+
+              <div className="mt-2">
+                <DeviceBarChart devices={results.devices} />
               </div>
 
               <div className="mt-4 grid grid-cols-1 gap-2">
-                <SmallStat icon={<Cpu size={18} />} label="Devices" value={`${results.deviceKg} kg`} color="green" />
-                <SmallStat icon={<Upload size={18} />} label="Data & Streaming" value={`${results.dataKg} kg`} color="blue" />
-                <SmallStat icon={<Cloud size={18} />} label="AI" value={`${results.aiKg} kg`} color="amber" />
+                <SmallStat icon={<Cpu size={18} />} label={t('category.device')} value={`${i18n.number(results.deviceKg)} kg`} note={uncertainty && interval('deviceKg')} color="green" />
+                <SmallStat icon={<Upload size={18} />} label={t('category.data')} value={`${i18n.number(results.dataKg)} kg`} note={uncertainty && interval('dataKg')} color="blue" />
+                <SmallStat icon={<Cloud size={18} />} label={t('category.ai')} value={`${i18n.number(results.aiKg)} kg`} note={uncertainty && interval('aiKg')} color="amber" />
+                <SmallStat icon={<Factory size={18} />} label={t('category.manufacturing')} value={`${i18n.number(results.manufacturingKg)} kg`} note={uncertainty && interval('manufacturingKg')} color="purple" />
+              </div>
+
+              <div className="mt-3 text-xs text-gray-500 space-y-1">
+                <div>{t('results.gridFactor')} <span className="font-medium">{i18n.number(results.assumptions.gridKgCO2PerKWh, 3)} kg CO₂/kWh</span> ({gridSource})</div>
+                {uncertainty && <div>{t('results.intervalNote', { runs: i18n.number(uncertainty.runs, 0) })}</div>}
+                <div>{t('results.factorProfile', { name: profile.name || profile.id, version: profile.version })}</div>
+                <div>{t('results.effectiveFactor')} <span className="font-medium">{i18n.number(results.assumptions.effectiveKgCO2PerKWh, 3)} kg CO₂/kWh</span></div>
+                {results.assumptions.powerSourceConflict && (
+                  <div className="text-amber-700">{t('results.powerConflict')}</div>
+                )}
+                {results.assumptions.internetHoursConflict && (
+                  <div className="text-amber-700">{t('results.internetHoursConflict', { hours: i18n.number(results.assumptions.internetHoursPerDay, 1) })}</div>
+                )}
               </div>
-            </div>
 
+              {submitted && (
+                <div className="mt-4 pt-3 border-t">
+                  <div className="text-sm font-medium mb-2">{t('report.keep')}</div>
+                  <div className="flex flex-wrap gap-2">
+                    <button type="button" onClick={downloadReportPdf} className="px-3 py-2 rounded-md border text-sm inline-flex items-center gap-2"><FileDown size={16} />{t('report.downloadPdf')}</button>
+                    <button type="button" onClick={() => window.print()} className="px-3 py-2 rounded-md border text-sm inline-flex items-center gap-2"><Printer size={16} />{t('report.print')}</button>
+                    <button type="button" onClick={shareResults} className="px-3 py-2 rounded-md border text-sm inline-flex items-center gap-2"><Share2 size={16} />{t('report.shareImage')}</button>
+                  </div>
+                  {keepStatus && <div className={`mt-2 text-sm p-2 rounded ${keepStatus.type === 'error' ? 'bg-red-50 text-red-700' : 'bg-amber-50 text-amber-800'}`}>{keepStatus.text}</div>}
+                </div>
+              )}
+            </div>
 
+            <WhatIfPanel form={form} baseline={results} factors={defaults} />
+            {submitted && <PerceptionPanel perception={perception} totalKg={results.totalKg} />}
+            {submitted && <RecommendationsPanel recommendations={recommendations.slice(0, RECOMMENDATIONS_SHOWN)} />}
           </div>
         </div>
 
         {/* Footer: calming plant wave */}
         <div className="mt-10 bg-gradient-to-t from-white to-emerald-50 rounded-t-3xl p-6">
-          <div className="max-w-4xl mx-auto text-center text-sm text-gray-600">Made with care 🌿 — this tool provides estimates; please validate emission factors before using results in research.</div>
+          <div className="max-w-4xl mx-auto text-center text-sm text-gray-600">{t('footer')}</div>
         </div>
       </div>
     </div>
+    {submitted && (
+      <div className="hidden print:block">
+        <FootprintReport
+          results={results}
+          uncertainty={uncertainty}
+          recommendations={recommendations.slice(0, REPORT_RECOMMENDATIONS)}
+          factors={defaults}
+          profile={profile}
+          date={submittedAt}
+        />
+      </div>
+    )}
+    </I18nContext.Provider>
   )
 }
 
 /* ---------- Helper components ---------- */
 
-function Input({ label, value, onChange, placeholder = '' }) {
+function LanguageSwitcher({ value, onChange }) {
+  const { t } = useI18n()
+  return (
+    <label className="inline-flex items-center gap-2">
+      <span>{t('language')}</span>
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="rounded-md px-2 py-1 text-gray-800">
+        {availableLanguages().map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+      </select>
+    </label>
+  )
+}
+
+function StepProgress({ step, onSelect }) {
+  const i18n = useI18n()
+  return (
+    <div className="mb-6">
+      <div className="flex justify-between text-xs text-gray-500 mb-2">
+        <span>{i18n.t('progress.step', { current: step + 1, total: SECTIONS.length })}</span>
+        <span className="font-medium text-gray-700">{i18n.section(SECTIONS[step]).step}</span>
+      </div>
+      <div className="h-2 bg-gray-100 rounded-full overflow-hidden" role="progressbar" aria-valuemin={1} aria-valuemax={SECTIONS.length} aria-valuenow={step + 1}>
+        <div className="h-full bg-emerald-500 transition-all" style={{ width: `${((step + 1) / SECTIONS.length) * 100}%` }} />
+      </div>
+      <ol className="mt-3 hidden md:flex flex-wrap gap-2 text-xs">
+        {SECTIONS.map((section, i) => (
+          <li key={section.id}>
+            <button
+              type="button"
+              disabled={i >= step}
+              onClick={() => onSelect(i)}
+              className={`px-2 py-1 rounded ${i === step ? 'bg-emerald-100 text-emerald-800 font-medium' : i < step ? 'text-emerald-700 underline' : 'text-gray-400'}`}
+            >
+              {i + 1}. {i18n.section(section).step}
+            </button>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+function ResumePrompt({ draft, onResume, onDiscard }) {
+  const i18n = useI18n()
+  return (
+    <div className="mb-5 p-4 rounded-xl bg-sky-50 text-sky-800 text-sm flex flex-wrap items-center gap-3">
+      <div className="flex-1">{draft.savedAt ? i18n.t('draft.unfinishedSince', { date: i18n.date(draft.savedAt) }) : i18n.t('draft.unfinished')}</div>
+      <button type="button" onClick={onResume} className="px-3 py-1 rounded-md bg-sky-600 text-white">{i18n.t('draft.resume')}</button>
+      <button type="button" onClick={onDiscard} className="px-3 py-1 rounded-md border border-sky-300 bg-white">{i18n.t('draft.startOver')}</button>
+    </div>
+  )
+}
+
+function DeviceTable({ form, validation, onChange }) {
+  const i18n = useI18n()
+  return (
+    <div>
+      <h4 className="font-medium mb-3">{i18n.t('devices.heading')}</h4>
+      <div className="space-y-4">
+        <div className="grid grid-cols-4 gap-3 items-center">
+          <div className="font-medium text-sm text-gray-600">{i18n.t('devices.type')}</div>
+          <div className="font-medium text-sm text-gray-600">{i18n.t('devices.count')}</div>
+          <div className="font-medium text-sm text-gray-600">{i18n.t('devices.hours')}</div>
+          <div className="font-medium text-sm text-gray-600">{i18n.t('devices.age')}</div>
+        </div>
+        {DEVICE_TYPES.map(({ field }) => (
+          <div key={field} className="grid grid-cols-4 gap-3 items-center">
+            <div className="text-sm">{i18n.device(field)}</div>
+            {[field, `${field}Duration`, `${field}Age`].map((f) => (
+              <Input key={f} label="" value={form[f]} onChange={(v) => onChange(f, v)} placeholder={QUESTIONS[f].placeholder} numeric error={validation.errors[f]} warning={validation.warnings[f]} />
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function AiMixTable({ form, validation, onChange }) {
+  const i18n = useI18n()
+  return (
+    <div>
+      <h4 className="font-medium">{i18n.t('aiMix.heading')}</h4>
+      <div className="text-sm text-gray-600 mb-3">{i18n.t('aiMix.hint')}</div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-2">
+        {AI_USAGE_TYPES.map(({ field, label }) => (
+          <div key={field} className="grid grid-cols-2 gap-3 items-center">
+            <div className="text-sm">{i18n.option(label)}</div>
+            <Select label="" value={form[field]} onChange={(v) => onChange(field, v)} options={QUESTIONS[field].options} error={validation.errors[field]} />
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function Quiz({ quiz, quizResult, submitted, form, onChange }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  return (
+    <>
+      <div className="text-sm text-gray-600 mb-4">
+        {t('quiz.intro')}
+        {submitted && <span className="ml-1 font-semibold text-emerald-700">{t('quiz.score', { score: quizResult.score, total: quizResult.total })}</span>}
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {quiz.map((q, i) => {
+          const item = quizResult.items[i]
+          const text = i18n.quizText(q)
+          const answer = i18n.option(item.correctAnswer)
+          return (
+            <div key={q.field}>
+              <label className="block text-sm font-medium mb-2">
+                {text.title}
+                <span className="block text-xs text-gray-500">{text.question}</span>
+              </label>
+              <Select 
+                value={form[q.field]} 
+                onChange={(v) => onChange(q.field, v)} 
+                options={q.options.map(([label]) => label)} 
+              />
+              {submitted && (
+                <div className={`mt-2 text-xs p-2 rounded ${item.correct ? 'bg-emerald-50 text-emerald-800' : 'bg-amber-50 text-amber-800'}`}>
+                  {item.correct
+                    ? t('quiz.correct')
+                    : item.stepsOff === null
+                      ? t('quiz.notAnswered', { answer })
+                      : item.stepsOff === 1
+                        ? t('quiz.offOne', { answer })
+                        : t('quiz.offMany', { steps: item.stepsOff, answer })}
+                  {' '}{t(`quiz.explain.${q.field}`, q.explanationValues)}
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </>
+  )
+}
+
+// Heading and note colours of each fact card, in facts.N order (full class
+// names so Tailwind keeps them)
+const FACT_COLOURS = [
+  ['text-blue-600', 'bg-blue-50'],
+  ['text-green-600', 'bg-green-50'],
+  ['text-purple-600', 'bg-purple-50'],
+  ['text-amber-600', 'bg-amber-50'],
+  ['text-red-600', 'bg-red-50'],
+  ['text-teal-600', 'bg-teal-50'],
+]
+
+function CarbonFacts() {
+  const { t } = useI18n()
+  return (
+    <div className="bg-gradient-to-r from-blue-50 to-green-50 rounded-2xl p-6 mb-6 border border-blue-100">
+      <div className="flex items-center gap-3 mb-4">
+        <div className="p-2 bg-blue-100 rounded-lg">
+          <Info size={24} className="text-blue-600" />
+        </div>
+        <h2 className="text-xl font-semibold text-gray-800">{t('facts.title')}</h2>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 text-sm">
+        {FACT_COLOURS.map(([heading, note], i) => (
+          <div key={heading} className="bg-white p-4 rounded-xl shadow-sm">
+            <div className={`font-semibold ${heading} mb-2`}>{t(`facts.${i + 1}.title`)}</div>
+            <div className="text-gray-700"><Rich text={t(`facts.${i + 1}.body`)} /></div>
+            <div className={`mt-2 p-2 ${note} rounded text-xs`}><Rich text={t(`facts.${i + 1}.note`)} /></div>
+          </div>
+        ))}
+      </div>
+      <div className="mt-4 text-center">
+        <div className="text-xs text-gray-600">{t('facts.footer')}</div>
+      </div>
+    </div>
+  )
+}
+
+function ExpectationNote() {
+  const { t } = useI18n()
+  return (
+    <div className="mt-3 text-sm bg-amber-50 p-3 rounded flex items-center gap-3">
+      <Info size={18} />
+      <div><Rich text={t('expectation.note')} /></div>
+    </div>
+  )
+}
+
+// Renders **bold** runs in translated text as <strong>
+function Rich({ text }) {
+  return text.split('**').map((part, i) => (i % 2 ? <strong key={i}>{part}</strong> : part))
+}
+
+// Content blocks the schema places between questions, by id
+const BLOCKS = {
+  carbonFacts: CarbonFacts,
+  expectationNote: ExpectationNote,
+}
+
+function Input({ label, value, onChange, placeholder = '', numeric = false, error, warning }) {
   const v = value === null || value === undefined ? '' : String(value)
   return (
     <div>
       <div className="text-sm text-gray-600">{label}</div>
-      <input value={v} onChange={(e) => onChange(e.target.value)} placeholder={placeholder} className="mt-1 p-3 rounded-md border w-full" />
+      <input
+        value={v}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        inputMode={numeric ? 'decimal' : undefined}
+        aria-invalid={error ? true : undefined}
+        className={`mt-1 p-3 rounded-md border w-full ${error ? 'border-red-400 bg-red-50' : warning ? 'border-amber-400' : ''}`}
+      />
+      <FieldNote error={error} warning={warning} />
     </div>
   )
 }
 
-function Select({ label, value, onChange, options = [] }) {
+function Select({ label, value, onChange, options = [], error }) {
+  const i18n = useI18n()
   const v = value === null || value === undefined ? '' : String(value)
   return (
     <div>
       <div className="text-sm text-gray-600">{label}</div>
-      <select value={v} onChange={(e) => onChange(e.target.value)} className="mt-1 p-3 rounded-md border w-full">
-        <option value="">Select</option>
-        {options.map((o) => <option key={o} value={o}>{o}</option>)}
+      <select value={v} onChange={(e) => onChange(e.target.value)} className={`mt-1 p-3 rounded-md border w-full ${error ? 'border-red-400 bg-red-50' : ''}`}>
+        <option value="">{i18n.t('field.select')}</option>
+        {options.map((o) => <option key={o} value={o}>{i18n.option(o)}</option>)}
       </select>
+      <FieldNote error={error} />
+    </div>
+  )
+}
+
+function FieldNote({ error, warning }) {
+  if (error) return <div className="mt-1 text-xs text-red-700">{error}</div>
+  if (warning) return <div className="mt-1 text-xs text-amber-700">{warning}</div>
+  return null
+}
+
+function PerceptionPanel({ perception, totalKg }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  const kg = i18n.number(totalKg)
+  if (!perception) {
+    return (
+      <div className="bg-white p-5 rounded-2xl shadow text-sm text-gray-600">
+        <div className="font-medium text-gray-800 mb-1">{t('perception.title')}</div>
+        {t('perception.prompt', { question: i18n.label(QUESTIONS.estimatedAnnualKgCO2), kg })}
+      </div>
+    )
+  }
+  const { estimatedBucket, actualBucket, gap, direction } = perception
+  const steps = Math.abs(gap)
+  const verdict = direction === 'accurate'
+    ? t('perception.accurate')
+    : t(`perception.${direction}${steps === 1 ? 'One' : 'Many'}`, { steps })
+  return (
+    <div className="bg-white p-5 rounded-2xl shadow">
+      <div className="font-medium mb-3">{t('perception.title')}</div>
+      <div className="grid grid-cols-5 gap-1 text-center text-xs">
+        {ESTIMATE_BUCKETS.map((b) => (
+          <div key={b.bucket} className={`p-2 rounded ${b.bucket === actualBucket ? 'bg-emerald-500 text-white' : b.bucket === estimatedBucket ? 'bg-amber-200' : 'bg-gray-100'}`}>
+            <div className="font-semibold">{b.bucket}</div>
+            <div>{i18n.option(b.label)}</div>
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex gap-3 text-xs text-gray-500">
+        <span><span className="inline-block w-2 h-2 rounded-full bg-amber-200 mr-1" />{t('perception.yourEstimate')}</span>
+        <span><span className="inline-block w-2 h-2 rounded-full bg-emerald-500 mr-1" />{t('perception.computed', { kg })}</span>
+      </div>
+      <div className={`mt-3 text-sm p-3 rounded ${direction === 'accurate' ? 'bg-emerald-50' : 'bg-amber-50'}`}>{verdict}</div>
+    </div>
+  )
+}
+
+function RecommendationsPanel({ recommendations }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  return (
+    <div className="bg-white p-5 rounded-2xl shadow">
+      <div className="font-medium mb-1 flex items-center gap-2"><Leaf size={18} className="text-emerald-600" />{t('recommend.title')}</div>
+      {recommendations.length === 0 ? (
+        <div className="text-sm text-gray-600">{t('recommend.none')}</div>
+      ) : (
+        <>
+          <div className="text-xs text-gray-500 mb-3">{t('recommend.intro')}</div>
+          <ol className="space-y-3">
+            {recommendations.map((r) => {
+              const values = recommendationValues(r, i18n)
+              return (
+                <li key={r.id} className="text-sm">
+                  <div className="font-medium">{t(`recommend.${r.id}.title`, values)}</div>
+                  <div className="text-gray-600">{t(`recommend.${r.id}.body`, values)}</div>
+                  <div className="mt-1 text-xs text-emerald-700 font-medium">
+                    {t('recommend.saving', { kg: i18n.number(r.kgSaved), inr: i18n.inr(r.inrSaved), percent: r.percent })}
+                  </div>
+                </li>
+              )
+            })}
+          </ol>
+        </>
+      )}
     </div>
   )
 }
 
+function WithdrawalCode({ code }) {
+  const { t } = useI18n()
+  return (
+    <div className="mt-2 text-sm p-3 rounded border border-indigo-200 bg-indigo-50 text-indigo-900">
+      <div className="font-medium">{t('withdrawal.title')}</div>
+      <div className="mt-1 font-mono text-lg tracking-wider select-all">{code}</div>
+      <div className="mt-1 text-xs">{t('withdrawal.body')}</div>
+    </div>
+  )
+}
+
+function SubmissionStatus({ submission, queuedCount, onRetry }) {
+  const { t } = useI18n()
+  const queued = queuedCount > 0 && (
+    <div className="mt-2 text-xs text-gray-600 flex items-center gap-2">
+      <CloudOff size={14} />
+      {queuedCount === 1 ? t('submission.waitingOne') : t('submission.waitingMany', { count: queuedCount })}
+    </div>
+  )
+  if (submission.status === 'pending') {
+    return <div className="mt-2 text-sm p-3 rounded bg-sky-50 text-sky-700">{t('submission.pending', { attempt: submission.attempt })}</div>
+  }
+  if (submission.status === 'queued') {
+    return (
+      <>
+        <div className="mt-2 text-sm p-3 rounded bg-amber-50 text-amber-800">{t('submission.queued')}</div>
+        {queued}
+      </>
+    )
+  }
+  if (submission.status === 'submitted') {
+    return (
+      <>
+        <div className="mt-2 text-sm p-3 rounded bg-emerald-50 text-emerald-700">{t('submission.submitted')}</div>
+        {queued}
+      </>
+    )
+  }
+  if (submission.status === 'failed') {
+    return (
+      <div className="mt-2 text-sm p-3 rounded bg-red-50 text-red-700 flex items-center gap-3">
+        <div>{t('submission.failed', { error: submission.error })}</div>
+        <button type="button" onClick={onRetry} className="ml-auto px-3 py-1 rounded-md border border-red-300 bg-white">{t('submission.retry')}</button>
+      </div>
+    )
+  }
+  return queued || null
+}
+
+// Earlier responses from this device that the server refused
+function RejectedSubmissions({ entries, onRetry, onDownload }) {
+  const { t } = useI18n()
+  return entries.map((entry) => (
+    <div key={entry.participantId} className="mt-2 text-sm p-3 rounded bg-red-50 text-red-700 flex items-center gap-3">
+      <div>{t('submission.failed', { error: entry.error })}</div>
+      <button type="button" onClick={() => onRetry(entry)} className="ml-auto px-3 py-1 rounded-md border border-red-300 bg-white">{t('submission.retry')}</button>
+      <button type="button" onClick={() => onDownload(entry)} className="px-3 py-1 rounded-md border border-red-300 bg-white">{t('nav.downloadJson')}</button>
+    </div>
+  ))
+}
 
-function SmallStat({ icon, label, value, color }) {
-  const bg = color === 'blue' ? 'bg-sky-50' : color === 'amber' ? 'bg-amber-50' : 'bg-emerald-50'
+function SmallStat({ icon, label, value, note, color }) {
+  const bg = color === 'blue' ? 'bg-sky-50' : color === 'amber' ? 'bg-amber-50' : color === 'purple' ? 'bg-purple-50' : 'bg-emerald-50'
   return (
     <div className={`flex items-center gap-3 p-2 ${bg} rounded`}>
       <div className="p-2 rounded bg-white/60">{icon}</div>
       <div>
         <div className="text-xs text-gray-500">{label}</div>
         <div className="font-medium">{value}</div>
+        {note && <div className="text-xs text-gray-500">{note}</div>}
       </div>
     </div>
   )
@@ -1,8 +1,127 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import App from './App';
+import { EMPTY_FORM } from './surveySchema';
+import { DRAFT_KEY } from './draft';
+import * as shareImage from './shareImage';
+import * as reportPdf from './reportPdf';
+import * as download from './download';
 
-test('renders learn react link', () => {
+afterEach(() => window.localStorage.clear());
+
+test('renders the survey with an empty footprint', () => {
+  render(<App />);
+  expect(screen.getByText(/Electronic Use & Carbon Footprint Survey/i)).toBeInTheDocument();
+  expect(screen.getByText('0 kg CO₂')).toBeInTheDocument();
+  expect(screen.getByText('Step 1 of 6')).toBeInTheDocument();
+});
+
+test('invalid answers are flagged inline and hold the respondent on the step', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText('e.g. 21'), { target: { value: 'abc' } });
+  expect(screen.getByText('Enter a number')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Next'));
+  expect(screen.getByText(/Please fix the highlighted answers before continuing: Age\./)).toBeInTheDocument();
+  expect(screen.getByText('Step 1 of 6')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByPlaceholderText('e.g. 21'), { target: { value: '21' } });
+  fireEvent.click(screen.getByText('Next'));
+  expect(screen.getByText('Step 2 of 6')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Back'));
+  expect(screen.getByPlaceholderText('e.g. 21')).toHaveValue('21');
+});
+
+test('answers are autosaved and can be resumed', () => {
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByPlaceholderText('e.g. 21'), { target: { value: '23' } });
+  fireEvent.click(screen.getByText('Next'));
+  expect(JSON.parse(window.localStorage.getItem(DRAFT_KEY))).toMatchObject({ form: { ...EMPTY_FORM, age: '23' }, step: 1 });
+  unmount();
+
+  render(<App />);
+  fireEvent.click(screen.getByText('Resume where you left off'));
+  expect(screen.getByText('Step 2 of 6')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Back'));
+  expect(screen.getByPlaceholderText('e.g. 21')).toHaveValue('23');
+});
+
+test('switching language translates the survey but stores English answers', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Language'), { target: { value: 'hi' } });
+  expect(screen.getByText('चरण 1 / 6')).toBeInTheDocument();
+  expect(screen.getByRole('option', { name: 'महिला' })).toHaveValue('Female');
+  expect(window.localStorage.getItem('carbon-survey-language')).toBe('hi');
+
+  fireEvent.change(screen.getByPlaceholderText('जैसे 21'), { target: { value: '30' } });
+  fireEvent.change(screen.getAllByDisplayValue('चुनें')[0], { target: { value: 'Female' } });
+  fireEvent.click(screen.getByText('आगे'));
+  expect(JSON.parse(window.localStorage.getItem(DRAFT_KEY)).form).toMatchObject({ age: '30', gender: 'Female' });
+});
+
+test('what-if scenarios change a copy of the answers and can be saved', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Copy my answers into a scenario'));
+  expect(screen.getByText('Same footprint as your answers')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('slider', { name: /Streaming \(entertainment hrs\/week\)/ }), { target: { value: '3' } });
+  expect(screen.getByText(/kg CO₂ higher/)).toBeInTheDocument();
+  expect(screen.getByText('0 kg CO₂')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Scenario name'), { target: { value: 'Binge' } });
+  fireEvent.click(screen.getByText('Save'));
+  expect(JSON.parse(window.localStorage.getItem('carbon-survey-scenarios'))).toEqual([
+    { name: 'Binge', changes: { streamingNonAcademicHrsPerWeek: '26-40 hrs - Heavy (daily streaming)' }, totalKg: expect.any(Number), savedAt: expect.any(String) },
+  ]);
+  expect(screen.getByRole('button', { name: 'Delete Binge' })).toBeInTheDocument();
+});
+
+test('a scenario follows answers edited after it was started and saves only the slider moves', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Copy my answers into a scenario'));
+  fireEvent.change(screen.getByPlaceholderText('e.g. 21'), { target: { value: '30' } });
+  fireEvent.change(screen.getByRole('slider', { name: /Streaming \(entertainment hrs\/week\)/ }), { target: { value: '3' } });
+  fireEvent.change(screen.getByLabelText('Scenario name'), { target: { value: 'Binge' } });
+  fireEvent.click(screen.getByText('Save'));
+  expect(JSON.parse(window.localStorage.getItem('carbon-survey-scenarios'))[0].changes).toEqual({
+    streamingNonAcademicHrsPerWeek: '26-40 hrs - Heavy (daily streaming)',
+  });
+});
+
+test('a share image that cannot be drawn shows a message instead of failing silently', async () => {
+  const spy = jest.spyOn(shareImage, 'shareImageBlob').mockRejectedValue(new Error('Canvas unavailable'));
+  render(<App />);
+  for (let i = 0; i < 5; i++) fireEvent.click(screen.getByText('Next'));
+  fireEvent.click(screen.getByRole('checkbox', { name: /I consent/ }));
+  fireEvent.click(screen.getByText('Calculate & Submit'));
+  fireEvent.click(await screen.findByText('Download share image'));
+  expect(await screen.findByText('Could not create the share image (Canvas unavailable).')).toBeInTheDocument();
+  spy.mockRestore();
+});
+
+test('the PDF report is made from the submitted results, and a failure is reported', async () => {
+  const spy = jest.spyOn(reportPdf, 'reportPdfBlob').mockRejectedValue(new Error('Canvas unavailable'));
+  render(<App />);
+  for (let i = 0; i < 5; i++) fireEvent.click(screen.getByText('Next'));
+  fireEvent.click(screen.getByRole('checkbox', { name: /I consent/ }));
+  fireEvent.click(screen.getByText('Calculate & Submit'));
+  fireEvent.click(await screen.findByText('Download PDF report'));
+  expect(await screen.findByText('Could not create the PDF report (Canvas unavailable).')).toBeInTheDocument();
+  expect(spy.mock.calls[0][0]).toMatchObject({ results: { totalKg: 0 }, recommendations: [], date: expect.any(String) });
+  spy.mockRestore();
+});
+
+test('the withdrawal code is shown on screen but kept out of the downloaded JSON', async () => {
+  const spy = jest.spyOn(download, 'downloadFile').mockImplementation(() => {});
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  for (let i = 0; i < 5; i++) fireEvent.click(screen.getByText('Next'));
+  fireEvent.click(screen.getByRole('checkbox', { name: /I consent/ }));
+  fireEvent.click(screen.getByText('Calculate & Submit'));
+  const code = (await screen.findByText(/^[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/)).textContent;
+  fireEvent.click(screen.getByText('Download JSON'));
+  await waitFor(() => expect(spy).toHaveBeenCalled());
+  const [filename, content] = spy.mock.calls[0];
+  expect(filename).toMatch(/^survey_P-[0-9a-f]{32}\.json$/);
+  expect(content).not.toContain(code);
+  expect(JSON.parse(content)).toMatchObject({ withdrawalCodeHash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+  expect(JSON.parse(content)).not.toHaveProperty('withdrawalCode');
+  spy.mockRestore();
 });
@@ -0,0 +1,36 @@
+import React from 'react'
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, ResponsiveContainer, Tooltip as ReTooltip, Legend } from 'recharts'
+import { CATEGORIES } from './report'
+import { useI18n } from './LanguageContext'
+
+const ELECTRICITY_COLOUR = CATEGORIES.find((c) => c.key === 'deviceKg').colour
+const MANUFACTURING_COLOUR = CATEGORIES.find((c) => c.key === 'manufacturingKg').colour
+
+// Each owned device's yearly kg CO₂, heaviest at the top, split into the
+// electricity it uses and its share of manufacturing. `devices` is
+// `results.devices`, already sorted.
+export default function DeviceBarChart({ devices }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  if (!devices.length) return null
+  const data = devices.map((d) => ({ ...d, name: i18n.device(d.device) }))
+  return (
+    <div>
+      <div className="text-sm font-medium mb-1">{t('results.byDevice')}</div>
+      <ResponsiveContainer width="100%" height={60 + data.length * 32}>
+        <BarChart data={data} layout="vertical" margin={{ left: 8, right: 8 }}>
+          <CartesianGrid strokeDasharray="3 3" horizontal={false} />
+          <XAxis type="number" tick={{ fontSize: 11 }} unit=" kg" />
+          <YAxis type="category" dataKey="name" width={110} tick={{ fontSize: 11 }} />
+          <ReTooltip
+            formatter={(value) => `${i18n.number(value)} kg`}
+            labelFormatter={(name, payload) => (payload && payload[0] ? t('results.deviceKwh', { device: name, kwh: i18n.number(payload[0].payload.kwhPerYear, 1) }) : name)}
+          />
+          <Legend wrapperStyle={{ fontSize: 11 }} />
+          <Bar dataKey="electricityKg" name={t('results.electricity')} stackId="kg" fill={ELECTRICITY_COLOUR} isAnimationActive={false} />
+          <Bar dataKey="manufacturingKg" name={t('category.manufacturing')} stackId="kg" fill={MANUFACTURING_COLOUR} isAnimationActive={false} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
@@ -0,0 +1,119 @@
+import React, { useState } from 'react'
+import { Upload, Download } from 'lucide-react'
+import {
+  availableProfiles, getActiveProfile, setActiveProfile, loadCustomProfiles, saveCustomProfiles,
+  parseProfile, profileKey, entryCitation, FACTOR_ENTRIES,
+} from './factorProfiles'
+import { downloadFile } from './download'
+
+function describeValue(value) {
+  if (typeof value === 'number') return String(value)
+  return `${Object.keys(value).length} entries`
+}
+
+// Emission-factor profiles in the dashboard: pick the one the survey uses in
+// this browser, upload new ones, and recalculate the loaded responses with
+// any of them via `onRecalculate` so different waves can be compared.
+export default function FactorProfilePanel({ recordCount, onRecalculate }) {
+  const [profiles, setProfiles] = useState(() => availableProfiles())
+  const [activeKey, setActiveKey] = useState(() => profileKey(getActiveProfile()))
+  const [selectedKey, setSelectedKey] = useState(activeKey)
+  const [errors, setErrors] = useState(null)
+
+  const selected = profiles.find((p) => profileKey(p) === selectedKey) || profiles[0]
+
+  async function upload(fileList) {
+    const file = fileList[0]
+    if (!file) return
+    const { profile, errors: problems } = parseProfile(await file.text())
+    if (problems) {
+      setErrors({ file: file.name, problems })
+      return
+    }
+    setErrors(null)
+    const custom = [...loadCustomProfiles().filter((p) => profileKey(p) !== profileKey(profile)), profile]
+    saveCustomProfiles(custom)
+    setProfiles(availableProfiles())
+    setSelectedKey(profileKey(profile))
+  }
+
+  function makeActive() {
+    setActiveProfile(selected)
+    setActiveKey(profileKey(selected))
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <select value={profileKey(selected)} onChange={(e) => setSelectedKey(e.target.value)} aria-label="Factor profile" className="p-2 rounded-md border">
+          {profiles.map((p) => (
+            <option key={profileKey(p)} value={profileKey(p)}>
+              {p.name || p.id} ({p.id} v{p.version}){profileKey(p) === activeKey ? ' — used by the survey' : ''}
+            </option>
+          ))}
+        </select>
+        {profileKey(selected) !== activeKey && (
+          <button type="button" onClick={makeActive} className="px-4 py-2 rounded-md bg-indigo-600 text-white shadow">Use for the survey in this browser</button>
+        )}
+        {recordCount > 0 && (
+          <button type="button" onClick={() => onRecalculate(selected)} className="px-4 py-2 rounded-md border">Recalculate {recordCount} response{recordCount === 1 ? '' : 's'} with this profile</button>
+        )}
+        <button type="button" onClick={() => downloadFile(`factors_${selected.id}_${selected.version}.json`, JSON.stringify(selected, null, 2))} className="px-4 py-2 rounded-md border inline-flex items-center gap-2">
+          <Download size={16} /> Download
+        </button>
+        <label className="px-4 py-2 rounded-md border inline-flex items-center gap-2 cursor-pointer">
+          <Upload size={16} /> Upload profile
+          <input type="file" accept="application/json,.json" className="hidden" onChange={(e) => upload(e.target.files)} />
+        </label>
+      </div>
+
+      {errors && (
+        <div className="text-sm p-3 rounded bg-red-50 text-red-800">
+          <div className="font-medium">{errors.file} is not a valid factor profile:</div>
+          <ul className="mt-1 list-disc pl-5 text-xs space-y-1">
+            {errors.problems.map((p) => <li key={p}>{p}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {selected.description && <div className="text-sm text-gray-600">{selected.description}</div>}
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="p-2">Factor</th>
+              <th className="p-2">Value</th>
+              <th className="p-2">Unit</th>
+              <th className="p-2">Source</th>
+              <th className="p-2">Year</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.keys(FACTOR_ENTRIES).map((key) => {
+              const factor = selected.factors[key]
+              return (
+                <tr key={key} className="border-t align-top">
+                  <td className="p-2 font-mono">{key}</td>
+                  <td className="p-2">{describeValue(factor.value)}</td>
+                  <td className="p-2">{factor.unit || ''}</td>
+                  <td className="p-2">
+                    {factor.source}{factor.note ? ` (${factor.note})` : ''}
+                    {factor.sources && (
+                      <ul className="mt-1 space-y-0.5 text-gray-600">
+                        {Object.keys(factor.sources).map((entry) => {
+                          const { source, year } = entryCitation(factor, entry)
+                          return <li key={entry}><span className="font-medium">{entry}:</span> {source} ({year})</li>
+                        })}
+                      </ul>
+                    )}
+                  </td>
+                  <td className="p-2">{factor.year}</td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
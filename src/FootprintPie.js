@@ -0,0 +1,26 @@
+import React from 'react'
+import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip as ReTooltip } from 'recharts'
+import { useI18n } from './LanguageContext'
+import { CATEGORIES } from './report'
+
+// Donut of the four footprint categories, shared by the results card and the
+// what-if comparison
+export default function FootprintPie({ results, height = 220, innerRadius = 50, outerRadius = 80 }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  const pieData = CATEGORIES.map((c) => ({ name: t(c.label), value: Number(results[c.key]) || 0, colour: c.colour }))
+  return (
+    <div style={{ height }}>
+      <ResponsiveContainer width="100%" height={height}>
+        <PieChart>
+          <Pie data={pieData} dataKey="value" nameKey="name" innerRadius={innerRadius} outerRadius={outerRadius} paddingAngle={3} isAnimationActive={false}>
+            {pieData.map((entry, index) => (
+              <Cell key={`cell-${index}`} fill={entry.colour} />
+            ))}
+          </Pie>
+          <ReTooltip formatter={(value) => `${i18n.number(value)} kg`} />
+        </PieChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
@@ -0,0 +1,123 @@
+import React from 'react'
+import { kgToInr } from './emissions'
+import { pieSlices, recommendationValues } from './report'
+import { useI18n } from './LanguageContext'
+
+const DONUT_RADIUS = 60
+const DONUT_WIDTH = 28
+
+// Fixed-size SVG donut: the recharts pie sizes itself from the page, which
+// has no width while the report is hidden for print
+function ReportDonut({ results }) {
+  const circumference = 2 * Math.PI * DONUT_RADIUS
+  const size = 2 * DONUT_RADIUS + DONUT_WIDTH
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${size} ${size}`} aria-hidden="true">
+      <g transform={`rotate(-90 ${size / 2} ${size / 2})`}>
+        {pieSlices(results).map((slice) => (
+          <circle
+            key={slice.key}
+            cx={size / 2}
+            cy={size / 2}
+            r={DONUT_RADIUS}
+            fill="none"
+            stroke={slice.colour}
+            strokeWidth={DONUT_WIDTH}
+            strokeDasharray={`${slice.share * circumference} ${circumference}`}
+            strokeDashoffset={-slice.start * circumference}
+          />
+        ))}
+      </g>
+    </svg>
+  )
+}
+
+// One-page personal report, laid out for A4 and printed (or saved as PDF)
+// from the browser's print dialog. `recommendations` are the ones to list.
+export default function FootprintReport({ results, uncertainty, recommendations, factors, profile, date }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  const devices = results.devices
+  const slices = pieSlices(results)
+  const rate = i18n.inr(factors.inrPerTonneCO2)
+
+  return (
+    <article className="text-gray-900 text-sm space-y-5">
+      <header className="border-b pb-3">
+        <h1 className="text-2xl font-semibold">{t('report.title')}</h1>
+        <div className="text-gray-500">{t('hero.title')} · {i18n.date(date)}</div>
+      </header>
+
+      <section className="flex items-center gap-8">
+        <ReportDonut results={results} />
+        <div className="flex-1">
+          <div className="text-gray-500">{t('results.total')}</div>
+          <div className="text-3xl font-bold">{i18n.number(results.totalKg)} kg CO₂</div>
+          {uncertainty && <div className="text-xs text-gray-500">{t('results.interval', { low: i18n.number(uncertainty.totalKg.low), high: i18n.number(uncertainty.totalKg.high) })}</div>}
+          <div className="mt-1">{t('results.approxCost', { cost: i18n.inr(kgToInr(results.totalKg, factors)), rate })}</div>
+          <ul className="mt-3 space-y-1">
+            {slices.map((slice) => (
+              <li key={slice.key} className="flex items-center gap-2">
+                <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: slice.colour }} />
+                <span className="flex-1">{t(slice.label)}</span>
+                <span className="font-medium">{i18n.number(slice.kg)} kg ({i18n.number(slice.share * 100, 0)}%)</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </section>
+
+      {devices.length > 0 && (
+        <section>
+          <h2 className="font-semibold mb-1">{t('report.devices')}</h2>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1">{t('report.device')}</th>
+                <th className="py-1 text-right">{t('report.count')}</th>
+                <th className="py-1 text-right">kWh</th>
+                <th className="py-1 text-right">{t('category.device')} (kg)</th>
+                <th className="py-1 text-right">{t('category.manufacturing')} (kg)</th>
+                <th className="py-1 text-right">{t('report.deviceTotal')} (kg)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {devices.map((d) => (
+                <tr key={d.device} className="border-t">
+                  <td className="py-1">{i18n.device(d.device)}</td>
+                  <td className="py-1 text-right">{d.count}</td>
+                  <td className="py-1 text-right">{i18n.number(d.kwhPerYear, 1)}</td>
+                  <td className="py-1 text-right">{i18n.number(d.electricityKg)}</td>
+                  <td className="py-1 text-right">{i18n.number(d.manufacturingKg)}</td>
+                  <td className="py-1 text-right font-medium">{i18n.number(d.kg)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+
+      {recommendations.length > 0 && (
+        <section>
+          <h2 className="font-semibold mb-1">{t('recommend.title')}</h2>
+          <ol className="list-decimal pl-5 space-y-1">
+            {recommendations.map((r) => (
+              <li key={r.id}>
+                <span className="font-medium">{t(`recommend.${r.id}.title`, recommendationValues(r, i18n))}</span>
+                {' — '}
+                {t('recommend.saving', { kg: i18n.number(r.kgSaved), inr: i18n.inr(r.inrSaved), percent: r.percent })}
+              </li>
+            ))}
+          </ol>
+        </section>
+      )}
+
+      <section className="text-xs text-gray-600 border-t pt-3 space-y-1">
+        <h2 className="font-semibold text-gray-800">{t('report.methodology')}</h2>
+        <p>{t('report.methodologyBody', { grid: i18n.number(results.assumptions.gridKgCO2PerKWh, 3), rate })}</p>
+        {uncertainty && <p>{t('results.intervalNote', { runs: i18n.number(uncertainty.runs, 0) })}</p>}
+        <p>{t('results.factorProfile', { name: profile.name || profile.id, version: profile.version })}</p>
+      </section>
+    </article>
+  )
+}
@@ -0,0 +1,27 @@
+import { render, screen } from '@testing-library/react'
+import FootprintReport from './FootprintReport'
+import { calculateFootprint, INDIAN_DEFAULTS } from './emissions'
+import { recommend } from './recommendations'
+import { DEFAULT_PROFILE } from './factorProfiles'
+
+const form = { laptop: '1', laptopDuration: '6', smartphone: '1', smartphoneDuration: '4', routerDuration: '24', router: '1' }
+
+test('the report lists devices, recommendations and the method behind them', () => {
+  const results = calculateFootprint(form)
+  render(
+    <FootprintReport
+      results={results}
+      uncertainty={null}
+      recommendations={recommend(form).slice(0, 3)}
+      factors={INDIAN_DEFAULTS}
+      profile={DEFAULT_PROFILE}
+      date="2025-03-14T09:26:53.589Z"
+    />,
+  )
+  expect(screen.getByRole('heading', { name: 'My digital carbon footprint' })).toBeInTheDocument()
+  expect(screen.getByText(`${results.totalKg.toLocaleString('en-IN')} kg CO₂`)).toBeInTheDocument()
+  expect(screen.getAllByRole('row')).toHaveLength(4)
+  expect(screen.getByText('Router/Modem')).toBeInTheDocument()
+  expect(screen.getAllByRole('listitem').length).toBeGreaterThan(3)
+  expect(screen.getByText(/These are estimates from your answers/)).toBeInTheDocument()
+})
@@ -0,0 +1,77 @@
+import React, { useState } from 'react'
+import { Upload, Download } from 'lucide-react'
+import { importSurveyFiles } from './records'
+import { downloadFile } from './download'
+import { anonymiseRecord } from './anonymise'
+
+// Drag-and-drop import of downloaded survey_*.json files (or merged datasets).
+// Hands the merged, de-duplicated records to `onMerged` and shows what was
+// skipped so the field team can chase up broken files. With `anonymised` the
+// merged download goes through the same rules as the other exports.
+export default function ImportPanel({ records, onMerged, anonymised }) {
+  const [report, setReport] = useState(null)
+  const [dragging, setDragging] = useState(false)
+
+  async function importFiles(fileList) {
+    const files = await Promise.all([...fileList].map(async (file) => ({ name: file.name, text: await file.text() })))
+    const result = importSurveyFiles(files, records)
+    setReport({ ...result, fileCount: files.length, added: result.records.length - records.length })
+    onMerged(result.records)
+  }
+
+  function onDrop(e) {
+    e.preventDefault()
+    setDragging(false)
+    importFiles(e.dataTransfer.files)
+  }
+
+  function downloadMerged() {
+    const data = anonymised ? records.map(anonymiseRecord) : records
+    downloadFile(`survey_merged_${records.length}${anonymised ? '_anonymised' : ''}.json`, JSON.stringify(data, null, 2))
+  }
+
+  return (
+    <div className="space-y-3">
+      <label
+        onDragOver={(e) => { e.preventDefault(); setDragging(true) }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={onDrop}
+        className={`block border-2 border-dashed rounded-xl p-6 text-center cursor-pointer ${dragging ? 'border-emerald-500 bg-emerald-50' : 'border-gray-300'}`}
+      >
+        <Upload className="mx-auto text-gray-500" size={28} />
+        <div className="mt-2 text-sm text-gray-700">Drop survey JSON files here, or click to choose</div>
+        <input type="file" accept="application/json,.json" multiple className="hidden" onChange={(e) => importFiles(e.target.files)} />
+      </label>
+
+      {records.length > 0 && (
+        <button type="button" onClick={downloadMerged} className="px-4 py-2 rounded-md border inline-flex items-center gap-2">
+          <Download size={16} /> Download merged dataset ({records.length})
+        </button>
+      )}
+
+      {report && (
+        <div className="text-sm space-y-2">
+          <div className="p-3 rounded bg-emerald-50 text-emerald-800">
+            Read {report.fileCount} file{report.fileCount === 1 ? '' : 's'}: {report.added} new record{report.added === 1 ? '' : 's'} added.
+          </div>
+          <ReportList title="Duplicates" tone="amber" items={report.duplicates.map((d) => `${d.participantId}: kept ${d.kept}${d.conflict ? ' (copies differ)' : ''}`)} />
+          <ReportList title="Incomplete" tone="amber" items={report.incomplete.map((r) => `${r.source}: ${r.warnings.join('; ')}`)} />
+          <ReportList title="Malformed (skipped)" tone="red" items={report.malformed.map((m) => `${m.source}: ${m.errors.join('; ')}`)} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+function ReportList({ title, tone, items }) {
+  if (!items.length) return null
+  const bg = tone === 'red' ? 'bg-red-50 text-red-800' : 'bg-amber-50 text-amber-800'
+  return (
+    <details className={`p-3 rounded ${bg}`}>
+      <summary className="cursor-pointer font-medium">{title}: {items.length}</summary>
+      <ul className="mt-2 list-disc pl-5 text-xs space-y-1 break-words">
+        {items.map((item, i) => <li key={i}>{item}</li>)}
+      </ul>
+    </details>
+  )
+}
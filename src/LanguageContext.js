@@ -0,0 +1,31 @@
+import { createContext, useContext } from 'react'
+import { createTranslator, getLocale, DEFAULT_LANGUAGE } from './i18n'
+
+export const LANGUAGE_KEY = 'carbon-survey-language'
+
+// The survey's current translator; English when no provider is mounted
+export const I18nContext = createContext(createTranslator(DEFAULT_LANGUAGE))
+
+export function useI18n() {
+  return useContext(I18nContext)
+}
+
+// The respondent's last choice, else the browser language if we have it
+export function getInitialLanguage() {
+  try {
+    const stored = window.localStorage.getItem(LANGUAGE_KEY)
+    if (stored) return getLocale(stored).code
+  } catch (err) {
+    // Storage unavailable; fall through to the browser language
+  }
+  const browser = (navigator.language || '').split('-')[0]
+  return getLocale(browser).code
+}
+
+export function storeLanguage(code) {
+  try {
+    window.localStorage.setItem(LANGUAGE_KEY, code)
+  } catch (err) {
+    console.error('Could not save language choice:', err)
+  }
+}
@@ -0,0 +1,21 @@
+import React, { useEffect, useState } from 'react'
+import SurveySite from './App'
+import AdminDashboard from './AdminDashboard'
+
+// Hash routing keeps the app a single static bundle: '#/admin' opens the
+// researcher dashboard, anything else the survey.
+function currentRoute() {
+  return window.location.hash.startsWith('#/admin') ? 'admin' : 'survey'
+}
+
+export default function Root() {
+  const [route, setRoute] = useState(currentRoute)
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(currentRoute())
+    window.addEventListener('hashchange', onHashChange)
+    return () => window.removeEventListener('hashchange', onHashChange)
+  }, [])
+
+  return route === 'admin' ? <AdminDashboard /> : <SurveySite />
+}
@@ -0,0 +1,141 @@
+import React, { useState, useMemo } from 'react'
+import { SlidersHorizontal, X } from 'lucide-react'
+import { calculateFootprint, round } from './emissions'
+import { QUESTIONS } from './surveySchema'
+import { scenarioSliders, sliderPosition, sliderAnswer, upsertScenario, loadScenarios, saveScenarios } from './scenarios'
+import FootprintPie from './FootprintPie'
+import { useI18n } from './LanguageContext'
+
+// "What if" simulator next to the results card. A scenario is the slider
+// moves alone, applied over the respondent's current answers on every render
+// and compared with `baseline`, the footprint of those answers, which stay as
+// they are. Saving stores the slider moves, so reopening a scenario applies
+// them to whatever the answers are by then.
+export default function WhatIfPanel({ form, baseline, factors }) {
+  const i18n = useI18n()
+  const { t } = i18n
+  const [scenarios, setScenarios] = useState(() => loadScenarios())
+  // { name, changes }, `changes` holding only the answers the sliders set
+  const [scenario, setScenario] = useState(null)
+
+  const scenarioForm = useMemo(() => (scenario ? { ...form, ...scenario.changes } : null), [scenario, form])
+  const results = useMemo(() => (scenarioForm ? calculateFootprint(scenarioForm, factors) : null), [scenarioForm, factors])
+  const sliders = useMemo(() => (scenarioForm ? scenarioSliders(scenarioForm) : []), [scenarioForm])
+
+  function start() {
+    setScenario({ name: '', changes: {} })
+  }
+
+  function move(slider, position) {
+    setScenario((s) => ({ ...s, changes: { ...s.changes, [slider.field]: sliderAnswer(slider, position) } }))
+  }
+
+  function save() {
+    const name = scenario.name.trim() || t('whatIf.defaultName', { n: scenarios.length + 1 })
+    const next = upsertScenario(scenarios, { name, changes: scenario.changes, totalKg: results.totalKg, savedAt: new Date().toISOString() })
+    setScenarios(next)
+    saveScenarios(next)
+    setScenario({ ...scenario, name })
+  }
+
+  function remove(name) {
+    const next = scenarios.filter((s) => s.name !== name)
+    setScenarios(next)
+    saveScenarios(next)
+  }
+
+  function sliderLabel(slider) {
+    return slider.device ? t('whatIf.hours', { device: i18n.device(slider.device) }) : i18n.label(QUESTIONS[slider.field])
+  }
+
+  function sliderValue(slider) {
+    const answer = scenarioForm[slider.field]
+    if (!slider.options) return `${i18n.number(answer || 0, 1)} h`
+    return slider.options.includes(answer) ? i18n.option(answer) : t('whatIf.notAnswered')
+  }
+
+  const change = results ? round(results.totalKg - baseline.totalKg) : 0
+  const percent = baseline.totalKg > 0 ? round((Math.abs(change) / baseline.totalKg) * 100, 0) : 0
+
+  return (
+    <div className="bg-white p-5 rounded-2xl shadow">
+      <div className="font-medium mb-1 flex items-center gap-2"><SlidersHorizontal size={18} className="text-indigo-600" />{t('whatIf.title')}</div>
+      <div className="text-xs text-gray-500 mb-3">{t('whatIf.intro')}</div>
+
+      {!scenario && (
+        <button type="button" onClick={start} className="px-3 py-2 rounded-md bg-indigo-600 text-white text-sm">{t('whatIf.start')}</button>
+      )}
+
+      {scenario && (
+        <>
+          <div className="grid grid-cols-2 gap-2 text-center">
+            <div>
+              <div className="text-xs text-gray-500">{t('whatIf.baseline')}</div>
+              <div className="font-semibold">{i18n.number(baseline.totalKg)} kg</div>
+              <FootprintPie results={baseline} height={140} innerRadius={30} outerRadius={55} />
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">{scenario.name || t('whatIf.scenario')}</div>
+              <div className="font-semibold">{i18n.number(results.totalKg)} kg</div>
+              <FootprintPie results={results} height={140} innerRadius={30} outerRadius={55} />
+            </div>
+          </div>
+          <div className={`text-sm p-2 rounded text-center ${change < 0 ? 'bg-emerald-50 text-emerald-800' : change > 0 ? 'bg-amber-50 text-amber-800' : 'bg-gray-50 text-gray-600'}`}>
+            {change === 0
+              ? t('whatIf.same')
+              : t(change < 0 ? 'whatIf.lower' : 'whatIf.higher', { kg: i18n.number(Math.abs(change)), percent })}
+          </div>
+
+          <div className="mt-4 space-y-3">
+            {sliders.map((slider) => (
+              <label key={slider.field} className="block text-sm">
+                <div className="flex justify-between gap-2">
+                  <span className="text-gray-600">{sliderLabel(slider)}</span>
+                  <span className="font-medium text-right">{sliderValue(slider)}</span>
+                </div>
+                <input
+                  type="range"
+                  className="w-full"
+                  min={slider.options ? 0 : slider.min}
+                  max={slider.options ? slider.options.length - 1 : slider.max}
+                  step={slider.options ? 1 : slider.step}
+                  value={sliderPosition(slider, scenarioForm)}
+                  onChange={(e) => move(slider, Number(e.target.value))}
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="mt-4 flex flex-wrap gap-2">
+            <input
+              value={scenario.name}
+              onChange={(e) => setScenario({ ...scenario, name: e.target.value })}
+              placeholder={t('whatIf.name')}
+              aria-label={t('whatIf.name')}
+              className="flex-1 min-w-0 p-2 rounded-md border text-sm"
+            />
+            <button type="button" onClick={save} className="px-3 py-2 rounded-md bg-indigo-600 text-white text-sm">{t('whatIf.save')}</button>
+            <button type="button" onClick={() => setScenario(null)} className="px-3 py-2 rounded-md border text-sm">{t('whatIf.close')}</button>
+          </div>
+        </>
+      )}
+
+      {scenarios.length > 0 && (
+        <div className="mt-4">
+          <div className="text-xs text-gray-500 mb-1">{t('whatIf.saved')}</div>
+          <ul className="flex flex-wrap gap-2">
+            {scenarios.map((s) => (
+              <li key={s.name} className={`flex items-center rounded-full border text-sm ${scenario && scenario.name === s.name ? 'border-indigo-400 bg-indigo-50' : ''}`}>
+                <button type="button" onClick={() => setScenario({ name: s.name, changes: s.changes })} className="pl-3 pr-1 py-1">
+                  {s.name}
+                  {typeof s.totalKg === 'number' && <span className="ml-1 text-xs text-gray-500">{i18n.number(s.totalKg)} kg</span>}
+                </button>
+                <button type="button" onClick={() => remove(s.name)} aria-label={t('whatIf.delete', { name: s.name })} className="pr-2 py-1 text-gray-400"><X size={14} /></button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
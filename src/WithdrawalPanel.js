@@ -0,0 +1,53 @@
+import React, { useState } from 'react'
+import { hashWithdrawalCode, normaliseWithdrawalCode } from './identity'
+import { withdrawSubmission } from './submission'
+
+// Consent withdrawal in the dashboard. The participant's code removes their
+// record from the server (when one is configured) and from the loaded
+// responses, including ones imported from the participant's own download,
+// which holds the code's hash; copies kept elsewhere, such as downloaded
+// files, have to be deleted by hand.
+export default function WithdrawalPanel({ records, endpoint, password, onWithdrawn }) {
+  const [text, setText] = useState('')
+  const [outcome, setOutcome] = useState(null)
+  const [busy, setBusy] = useState(false)
+
+  async function withdraw(e) {
+    e.preventDefault()
+    const code = normaliseWithdrawalCode(text)
+    if (!code) {
+      setOutcome({ tone: 'error', text: 'That is not a withdrawal code. Codes are 12 letters and digits, e.g. 7KQ2-M9XD-4TBN.' })
+      return
+    }
+    setBusy(true)
+    try {
+      const onServer = endpoint ? await withdrawSubmission(endpoint, password, code) : false
+      const hash = await hashWithdrawalCode(code)
+      const remaining = records.filter((r) => r.withdrawalCode !== code && !(hash && r.withdrawalCodeHash === hash))
+      const removed = records.length - remaining.length
+      onWithdrawn(remaining)
+      setText('')
+      if (!onServer && removed === 0) {
+        setOutcome({ tone: 'error', text: `No response has the code ${code}${endpoint ? '' : ' among the loaded ones'}.` })
+      } else {
+        const where = [onServer && 'the server', removed > 0 && 'the loaded responses'].filter(Boolean).join(' and ')
+        setOutcome({ tone: 'success', text: `Response ${code} was deleted from ${where}. Delete any downloaded copies of it too.` })
+      }
+    } catch (err) {
+      setOutcome({ tone: 'error', text: err.message })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <form onSubmit={withdraw} className="space-y-3">
+      <div className="text-sm text-gray-600">Participants are shown a withdrawal code after submitting. Enter the code they send to delete their response.</div>
+      <div className="flex flex-wrap gap-2">
+        <input value={text} onChange={(e) => setText(e.target.value)} placeholder="7KQ2-M9XD-4TBN" aria-label="Withdrawal code" className="p-2 rounded-md border font-mono" />
+        <button type="submit" disabled={busy} className="px-4 py-2 rounded-md border disabled:opacity-60">Delete response</button>
+      </div>
+      {outcome && <div className={`text-sm p-3 rounded ${outcome.tone === 'error' ? 'bg-red-50 text-red-700' : 'bg-emerald-50 text-emerald-700'}`}>{outcome.text}</div>}
+    </form>
+  )
+}
@@ -0,0 +1,93 @@
+// Aggregate statistics over many survey records for the researcher dashboard.
+// Records are the objects produced by `buildRecord` in App.js.
+import { ESTIMATE_BUCKETS } from './perception'
+import { round } from './emissions'
+
+export const CATEGORIES = [
+  { key: 'deviceKg', name: 'Devices' },
+  { key: 'dataKg', name: 'Data & Streaming' },
+  { key: 'aiKg', name: 'AI' },
+  { key: 'manufacturingKg', name: 'Manufacturing' },
+]
+
+const UNANSWERED = 'Not answered'
+
+export function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0
+}
+
+export function median(values) {
+  if (!values.length) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+function totalOf(record) {
+  return Number(record.results && record.results.totalKg) || 0
+}
+
+// Histogram over the same buckets respondents use to estimate their footprint
+export function histogram(records) {
+  return ESTIMATE_BUCKETS.map((b, i) => {
+    const min = i === 0 ? -Infinity : ESTIMATE_BUCKETS[i - 1].maxKg
+    const label = b.maxKg === Infinity ? `${min}+ kg` : `${i === 0 ? 0 : min}-${b.maxKg} kg`
+    return { bucket: label, count: records.filter((r) => totalOf(r) > min && totalOf(r) <= b.maxKg).length }
+  })
+}
+
+// Mean/median footprint per answer to one form field, largest groups first
+export function groupBy(records, field) {
+  const groups = new Map()
+  records.forEach((r) => {
+    const key = (r.form && r.form[field]) || UNANSWERED
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(totalOf(r))
+  })
+  return [...groups.entries()]
+    .map(([group, totals]) => ({ group, count: totals.length, meanKg: round(mean(totals)), medianKg: round(median(totals)) }))
+    .sort((a, b) => b.count - a.count || a.group.localeCompare(b.group))
+}
+
+// Share of the pooled footprint by category (devices, data, AI, manufacturing)
+export function categoryShare(records) {
+  const sums = CATEGORIES.map(({ key, name }) => ({
+    name,
+    kg: records.reduce((sum, r) => sum + (Number(r.results && r.results[key]) || 0), 0),
+  }))
+  const total = sums.reduce((sum, c) => sum + c.kg, 0)
+  return sums.map((c) => ({ name: c.name, kg: round(c.kg), share: total ? round(c.kg / total, 4) : 0 }))
+}
+
+// Share of pooled device use + manufacturing emissions by device type
+export function deviceTypeShare(records) {
+  const byType = new Map()
+  records.forEach((r) => {
+    const items = (r.results && r.results.breakdown) || []
+    items
+      .filter((i) => i.category === 'device' || i.category === 'manufacturing')
+      .forEach((i) => byType.set(i.item, (byType.get(i.item) || 0) + i.kg))
+  })
+  const total = [...byType.values()].reduce((a, b) => a + b, 0)
+  return [...byType.entries()]
+    .map(([name, kg]) => ({ name, kg: round(kg), share: total ? round(kg / total, 4) : 0 }))
+    .sort((a, b) => b.kg - a.kg)
+}
+
+export function summarize(records) {
+  const totals = records.map(totalOf)
+  return {
+    count: records.length,
+    meanKg: round(mean(totals)),
+    medianKg: round(median(totals)),
+    minKg: totals.length ? Math.min(...totals) : 0,
+    maxKg: totals.length ? Math.max(...totals) : 0,
+    histogram: histogram(records),
+    byState: groupBy(records, 'state'),
+    byCityTier: groupBy(records, 'cityTier'),
+    byOccupation: groupBy(records, 'occupation'),
+    byIncome: groupBy(records, 'familyIncomeRange'),
+    categoryShare: categoryShare(records),
+    deviceTypeShare: deviceTypeShare(records),
+  }
+}
@@ -0,0 +1,45 @@
+import { median, summarize } from './aggregate'
+
+const record = (totalKg, form = {}, extra = {}) => ({
+  participantId: `P${totalKg}`,
+  form,
+  results: { totalKg, deviceKg: totalKg, dataKg: 0, aiKg: 0, manufacturingKg: 0, breakdown: [], ...extra },
+})
+
+test('median handles odd and even counts', () => {
+  expect(median([3, 1, 2])).toBe(2)
+  expect(median([4, 1, 3, 2])).toBe(2.5)
+  expect(median([])).toBe(0)
+})
+
+test('summarizes totals, histogram and groups', () => {
+  const s = summarize([
+    record(40, { state: 'Kerala', cityTier: '1' }),
+    record(100, { state: 'Kerala', cityTier: '2' }),
+    record(700, { state: 'Bihar' }),
+  ])
+  expect(s).toMatchObject({ count: 3, meanKg: 280, medianKg: 100, minKg: 40, maxKg: 700 })
+  expect(s.histogram.map((h) => h.count)).toEqual([1, 1, 0, 0, 1])
+  expect(s.histogram[4].bucket).toBe('500+ kg')
+  expect(s.byState).toEqual([
+    { group: 'Kerala', count: 2, meanKg: 70, medianKg: 70 },
+    { group: 'Bihar', count: 1, meanKg: 700, medianKg: 700 },
+  ])
+  expect(s.byCityTier.map((g) => g.group)).toEqual(['1', '2', 'Not answered'])
+})
+
+test('category and device-type shares pool all records', () => {
+  const s = summarize([
+    record(10, {}, { deviceKg: 6, dataKg: 4, breakdown: [{ category: 'device', item: 'Laptop', kg: 6 }] }),
+    record(10, {}, { deviceKg: 2, manufacturingKg: 8, breakdown: [
+      { category: 'device', item: 'Smartphone', kg: 2 },
+      { category: 'manufacturing', item: 'Smartphone', kg: 8 },
+      { category: 'data', item: 'Cloud services', kg: 4 },
+    ] }),
+  ])
+  expect(s.categoryShare.find((c) => c.name === 'Devices')).toEqual({ name: 'Devices', kg: 8, share: 0.4 })
+  expect(s.deviceTypeShare).toEqual([
+    { name: 'Smartphone', kg: 10, share: 0.625 },
+    { name: 'Laptop', kg: 6, share: 0.375 },
+  ])
+})
@@ -0,0 +1,41 @@
+// Anonymisation rules for exports. Exact age, home city and free-text
+// occupation next to state and income can single a respondent out, so
+// anonymised exports band the age, keep only the city tier and state, drop
+// free text and give the submission date without the time.
+
+export const AGE_BANDS = ['Under 18', '18-24', '25-34', '35-44', '45-54', '55-64', '65+']
+
+// Lower bound of every band after the first
+const BAND_STARTS = [18, 25, 35, 45, 55, 65]
+
+// Free-text answers left out of anonymised exports; the city is still
+// described by the `cityTier` and `state` answers
+export const IDENTIFYING_FIELDS = ['city', 'customOccupation']
+
+// The band an age answer falls in, or '' when it is blank or not a number
+export function ageBand(age) {
+  if (age === '' || age === null || age === undefined) return ''
+  const n = Number(age)
+  if (!Number.isFinite(n)) return ''
+  return AGE_BANDS[BAND_STARTS.filter((start) => n >= start).length]
+}
+
+// "2025-03-14T09:26:53.589Z" -> "2025-03-14"
+export function submissionDate(timestamp) {
+  return typeof timestamp === 'string' ? timestamp.slice(0, 10) : ''
+}
+
+/**
+ * A raw record as it may leave the dashboard in anonymised JSON: no
+ * withdrawal code or its hash, the age given only as `ageBand` beside the form, the
+ * identifying free text blanked and the timestamp cut to the date. The form
+ * keeps every field, so the file still imports and merges like any other.
+ */
+export function anonymiseRecord(record) {
+  const { withdrawalCode, withdrawalCodeHash, cityState, ...rest } = record
+  const form = { ...record.form, age: '' }
+  IDENTIFYING_FIELDS.forEach((field) => {
+    if (field in form) form[field] = ''
+  })
+  return { ...rest, timestamp: submissionDate(record.timestamp), ageBand: ageBand(record.form && record.form.age), form }
+}
@@ -0,0 +1,35 @@
+import { ageBand, anonymiseRecord, submissionDate, AGE_BANDS } from './anonymise'
+import { validateRecord } from './records'
+import { EMPTY_FORM } from './surveySchema'
+
+test('ages fall into bands that cover the allowed range', () => {
+  expect([10, 17, 18, 24, 25, 44, 64, 65, 100].map(ageBand)).toEqual(['Under 18', 'Under 18', '18-24', '18-24', '25-34', '35-44', '55-64', '65+', '65+'])
+  expect(ageBand('21')).toBe('18-24')
+  expect(['', undefined, 'twenty'].map(ageBand)).toEqual(['', '', ''])
+  expect(AGE_BANDS).toHaveLength(7)
+})
+
+test('the submission time is cut to the date', () => {
+  expect(submissionDate('2025-03-14T09:26:53.589Z')).toBe('2025-03-14')
+  expect(submissionDate(undefined)).toBe('')
+})
+
+test('anonymised records drop the withdrawal code, its hash and identifying answers but still import', () => {
+  const record = {
+    participantId: 'P-1',
+    withdrawalCode: '7KQ2-M9XD-4TBN',
+    withdrawalCodeHash: 'ef0b5ef3',
+    timestamp: '2025-03-14T09:26:53.589Z',
+    cityState: 'Pune, Maharashtra',
+    form: { ...EMPTY_FORM, age: '21', city: 'Pune', state: 'Maharashtra', customOccupation: 'Tutor', consent: true },
+    results: { totalKg: 12.5 },
+  }
+  const anonymised = anonymiseRecord(record)
+  expect(anonymised).not.toHaveProperty('withdrawalCode')
+  expect(anonymised).not.toHaveProperty('withdrawalCodeHash')
+  expect(anonymised).not.toHaveProperty('cityState')
+  expect(anonymised).toMatchObject({ timestamp: '2025-03-14', ageBand: '18-24' })
+  expect(anonymised.form).toMatchObject({ age: '', city: '', customOccupation: '', state: 'Maharashtra' })
+  expect(record.form.age).toBe('21')
+  expect(validateRecord(anonymised)).toEqual({ errors: [], warnings: [] })
+})
@@ -0,0 +1,67 @@
+// Unfinished answers are kept in localStorage so a refresh, a closed tab or a
+// dropped mobile browser session does not lose them. Storage can be missing
+// or full (private browsing, quota), so every call degrades to a no-op.
+import { EMPTY_FORM, SECTIONS } from './surveySchema.js'
+
+export const DRAFT_KEY = 'carbon-survey-draft'
+
+export function defaultStorage() {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null
+  } catch (err) {
+    return null
+  }
+}
+
+// Whether any question has been answered
+export function hasAnswers(form) {
+  return Object.keys(EMPTY_FORM).some((f) => form[f] !== EMPTY_FORM[f])
+}
+
+// Saved answers laid over a blank form: answers to questions the survey no
+// longer asks are dropped and new questions start blank
+export function restoreForm(saved) {
+  const form = { ...EMPTY_FORM }
+  Object.keys(EMPTY_FORM).forEach((f) => {
+    if (f in saved) form[f] = saved[f]
+  })
+  return form
+}
+
+export function saveDraft(form, step, storage = defaultStorage()) {
+  if (!storage) return
+  try {
+    storage.setItem(DRAFT_KEY, JSON.stringify({ form, step, savedAt: new Date().toISOString() }))
+  } catch (err) {
+    console.error('Could not save draft answers:', err)
+  }
+}
+
+/**
+ * The saved draft as `{ form, step, savedAt }`, or null when there is none
+ * worth resuming. `step` is always one of the survey's sections.
+ */
+export function loadDraft(storage = defaultStorage()) {
+  if (!storage) return null
+  let draft
+  try {
+    draft = JSON.parse(storage.getItem(DRAFT_KEY))
+  } catch (err) {
+    return null
+  }
+  if (!draft || typeof draft.form !== 'object' || !draft.form) return null
+  const form = restoreForm(draft.form)
+  if (!hasAnswers(form)) return null
+  // A corrupt or older draft may point at a step the survey no longer has
+  const step = Number.isInteger(draft.step) ? Math.max(0, Math.min(draft.step, SECTIONS.length - 1)) : 0
+  return { form, step, savedAt: draft.savedAt }
+}
+
+export function clearDraft(storage = defaultStorage()) {
+  if (!storage) return
+  try {
+    storage.removeItem(DRAFT_KEY)
+  } catch (err) {
+    console.error('Could not clear draft answers:', err)
+  }
+}
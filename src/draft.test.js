@@ -0,0 +1,51 @@
+import { saveDraft, loadDraft, clearDraft, DRAFT_KEY } from './draft'
+import { EMPTY_FORM, SECTIONS } from './surveySchema'
+
+function memoryStorage() {
+  const items = {}
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value) },
+    removeItem: (key) => { delete items[key] },
+  }
+}
+
+test('a saved draft loads back with its step', () => {
+  const storage = memoryStorage()
+  saveDraft({ ...EMPTY_FORM, age: '21' }, 2, storage)
+  const draft = loadDraft(storage)
+  expect(draft.form).toEqual({ ...EMPTY_FORM, age: '21' })
+  expect(draft.step).toBe(2)
+  clearDraft(storage)
+  expect(loadDraft(storage)).toBeNull()
+})
+
+test('drafts are reconciled with the current questions', () => {
+  const storage = memoryStorage()
+  storage.setItem(DRAFT_KEY, JSON.stringify({ form: { age: '30', retiredQuestion: 'x' }, step: 1 }))
+  const draft = loadDraft(storage)
+  expect(draft.form).toEqual({ ...EMPTY_FORM, age: '30' })
+})
+
+test('a step outside the survey is clamped to its first or last section', () => {
+  const storage = memoryStorage()
+  const stepOf = (step) => {
+    storage.setItem(DRAFT_KEY, JSON.stringify({ form: { age: '30' }, step }))
+    return loadDraft(storage).step
+  }
+  expect(stepOf(-1)).toBe(0)
+  expect(stepOf(99)).toBe(SECTIONS.length - 1)
+  expect(stepOf(1.5)).toBe(0)
+})
+
+test('empty, corrupt or unavailable drafts are ignored', () => {
+  const storage = memoryStorage()
+  saveDraft(EMPTY_FORM, 0, storage)
+  expect(loadDraft(storage)).toBeNull()
+  storage.setItem(DRAFT_KEY, '{oops')
+  expect(loadDraft(storage)).toBeNull()
+  expect(loadDraft(null)).toBeNull()
+  jest.spyOn(console, 'error').mockImplementation(() => {})
+  expect(() => saveDraft(EMPTY_FORM, 0, { setItem: () => { throw new Error('quota') } })).not.toThrow()
+  console.error.mockRestore()
+})
@@ -0,0 +1,392 @@
+// Pure footprint model shared by the survey UI and offline analysis scripts.
+// Nothing in here touches React or the DOM. Device types and the midpoints of
+// range answers come from the survey schema; the factors come from a
+// factor profile. Plain Node loads it too (see scripts/check-model.mjs), so
+// imports here and in the modules they pull in carry their file extension.
+import { AI_USAGE_TYPES, DEVICE_TYPES, QUESTIONS } from './surveySchema.js'
+import { DEFAULT_PROFILE, profileFactors } from './factorProfiles.js'
+
+// The bundled India factor set (see src/factorProfiles/india-default.json for
+// every value's source and year). Pass another profile's factors to use those.
+export const INDIAN_DEFAULTS = profileFactors(DEFAULT_PROFILE)
+
+export function round(num, decimals = 2) {
+  return Math.round(num * Math.pow(10, decimals)) / Math.pow(10, decimals)
+}
+
+// Social cost of carbon in rupees. Indian environmental damage costs run above
+// the carbon market price because of population density.
+const SOCIAL_COST_MULTIPLIER = 1.5
+
+export function kgToInr(kg, factors = INDIAN_DEFAULTS) {
+  const tonne = (Number(kg) || 0) / 1000
+  return round(tonne * (Number(factors.inrPerTonneCO2) || 0) * SOCIAL_COST_MULTIPLIER, 2)
+}
+
+export function parseRange(text, table) {
+  const t = text || ''
+  const match = table.find(([prefix]) => t.startsWith(prefix))
+  return match ? match[1] : 0
+}
+
+// [low, high] of a range answer, or null when it has no spread (blank, "0 - …")
+export function parseRangeBounds(text, table) {
+  const t = text || ''
+  const match = table.find(([prefix]) => t.startsWith(prefix))
+  return match ? [match[2], match[3]] : null
+}
+
+// Grid intensity for the respondent's home state, national average otherwise
+export function getGridFactor(form, factors) {
+  const state = (form.state || '').trim()
+  const byState = factors.stateGridKgCO2PerKWh || {}
+  if (state && byState[state] !== undefined) {
+    return { kgCO2PerKWh: byState[state], source: state }
+  }
+  return { kgCO2PerKWh: factors.gridKgCO2PerKWh, source: 'National average' }
+}
+
+// Multiplier on grid intensity from the stated renewable share; null when unknown
+export function getRenewableShareMultiplier(form) {
+  switch (form.renewableEnergyUsage) {
+    case "0% - All conventional energy": return 1.0
+    case "1-25% - Mostly conventional": return 0.9
+    case "26-50% - Mixed sources": return 0.7
+    case "51-75% - Mostly renewable": return 0.4
+    case "76-100% - All or mostly renewable": return 0.2
+    default: return null
+  }
+}
+
+// Multipliers implied by the supply answers, on the same scale as the stated share
+function getPowerSourceAnswerMultiplier(form) {
+  switch (form.powerSource) {
+    case "Grid electricity (regular)": return 1.0
+    case "Grid electricity (renewable mix)": return 0.7
+    case "Mixed renewable sources": return 0.7
+    case "Solar panels": return 0.4
+    default: return null
+  }
+}
+
+function getSolarPanelsMultiplier(form) {
+  // Rooftop solar rarely covers a whole household's demand
+  return form.solarPanels === "Yes" ? 0.7 : null
+}
+
+function getRenewableAccessMultiplier(form) {
+  switch (form.accessRenewableAtHome) {
+    case "Yes - fully": return 0.2
+    case "Partial / Sometimes": return 0.7
+    case "No": return 1.0
+    default: return null
+  }
+}
+
+// Stated and implied multipliers further apart than this are treated as a conflict
+const POWER_SOURCE_CONFLICT_GAP = 0.3
+// Default assumption when nothing about the supply is known
+const UNKNOWN_POWER_SOURCE_MULTIPLIER = 0.8
+
+/**
+ * Reconcile the four power-supply answers into one multiplier on grid intensity.
+ *
+ * The stated renewable share is the most direct answer, so it wins whenever
+ * the supply answers (power source, solar panels, renewable access) roughly
+ * agree with it. When they contradict it, e.g. "Solar panels" with "0%
+ * renewable", neither answer is trusted outright and the two are averaged.
+ */
+export function resolvePowerSource(form) {
+  const stated = getRenewableShareMultiplier(form)
+  const signals = [
+    getPowerSourceAnswerMultiplier(form),
+    getSolarPanelsMultiplier(form),
+    getRenewableAccessMultiplier(form),
+  ].filter((m) => m !== null)
+  const implied = signals.length ? signals.reduce((a, b) => a + b, 0) / signals.length : null
+
+  if (stated === null && implied === null) return { multiplier: UNKNOWN_POWER_SOURCE_MULTIPLIER, stated, implied, conflict: false }
+  if (stated === null) return { multiplier: implied, stated, implied, conflict: false }
+  if (implied === null) return { multiplier: stated, stated, implied, conflict: false }
+  if (Math.abs(stated - implied) > POWER_SOURCE_CONFLICT_GAP) {
+    return { multiplier: (stated + implied) / 2, stated, implied, conflict: true }
+  }
+  return { multiplier: stated, stated, implied, conflict: false }
+}
+
+export function getPowerSourceMultiplier(form) {
+  return resolvePowerSource(form).multiplier
+}
+
+// Energy-efficient appliances draw less than the nominal device power
+export function getEfficiencyMultiplier(form) {
+  switch (form.energyEfficientAppliances) {
+    case "Yes - Most are energy-efficient": return 0.85
+    case "Some are energy-efficient": return 0.93
+    default: return 1.0 // "No - Regular appliances" and "Don't know"
+  }
+}
+
+// Charging habits multiplier (affects efficiency)
+export function getChargingMultiplier(form) {
+  switch (form.chargingHabits) {
+    case "Always keep plugged in": return 1.3 // Higher consumption
+    case "Charge overnight (8+ hours)": return 1.1
+    case "Charge when needed (1-3 hours)": return 1.0 // Baseline
+    case "Quick charge frequently (15-30 min)": return 1.2 // Less efficient
+    case "Battery saver mode user": return 0.8 // More efficient
+    default: return 1.0
+  }
+}
+
+// Embodied emissions are spread over how long the device is kept. The current
+// device's age is the best evidence we have of that; a device younger than a
+// year still carries at least a full year's share.
+export function getAmortisationYears(type, age, factors) {
+  if (age > 0) return Math.max(age, 1)
+  return factors.deviceLifespanYears[type] || 1
+}
+
+// Primary connection answer -> accessKWhPerGB key. A phone hotspot is mobile
+// data; every kind of Wi-Fi is backed by a fixed line.
+const ACCESS_NETWORKS = [['Mobile Data', 'mobile'], ['Hotspot', 'mobile'], ['Wi-Fi', 'fixed']]
+
+export function getAccessNetwork(connection) {
+  const match = ACCESS_NETWORKS.find(([prefix]) => (connection || '').startsWith(prefix))
+  return match ? match[1] : 'default'
+}
+
+// kg CO2 per GB as calculateFootprint charges it: data centres and the core
+// network at kgCO2PerGB, plus the access network's electricity on the grid
+export function getDataKgPerGB(factors, accessNetwork = 'default', gridKgCO2PerKWh = factors.gridKgCO2PerKWh) {
+  return factors.kgCO2PerGB + factors.accessKWhPerGB[accessNetwork] * gridKgCO2PerKWh
+}
+
+// Option label prefix -> gbPerStreamingHour key
+const STREAMING_QUALITY_KEYS = [['SD', 'SD'], ['HD', 'HD'], ['4K', '4K']]
+
+// Screen the stream is watched on -> quality assumed when the respondent picks
+// "Auto / Don't know", and the highest quality that screen realistically receives
+const STREAMING_SCREENS = {
+  'Phone': { assumed: 'SD', max: 'HD' },
+  'Laptop / Tablet': { assumed: 'HD', max: '4K' },
+  'Smart TV / Large screen': { assumed: 'HD', max: '4K' },
+}
+const QUALITY_ORDER = ['SD', 'HD', '4K']
+
+export function getStreamingQuality(quality, screen) {
+  const match = STREAMING_QUALITY_KEYS.find(([prefix]) => (quality || '').startsWith(prefix))
+  const context = STREAMING_SCREENS[screen]
+  if (!match) return context ? context.assumed : 'default'
+  if (context && QUALITY_ORDER.indexOf(match[1]) > QUALITY_ORDER.indexOf(context.max)) return context.max
+  return match[1]
+}
+
+// The single usage type older records carry -> aiKgCO2PerQuery key
+const LEGACY_AI_TYPES = [
+  ['Text generation', 'text'],
+  ['Image generation', 'image'],
+  ['Code assistance', 'code'],
+  ['Voice assistants', 'voice'],
+  ['Mixed usage', 'mixed'],
+]
+
+/**
+ * The respondent's AI usage mix as aiKgCO2PerQuery key -> fraction of their
+ * queries, adding up to 1. The share answers are scaled to their total;
+ * records from before the mix was asked carry a single usage type, read as all
+ * of their use, and anything unanswered is billed at the 'default' rate.
+ * `range` reads a range answer, as in `calculateFootprint`.
+ */
+export function getAiMix(form, range = (field) => parseRange(form[field], QUESTIONS[field].midpoints)) {
+  const shares = AI_USAGE_TYPES.map(({ field, factorKey }) => [factorKey, range(field)])
+  const total = shares.reduce((sum, [, share]) => sum + share, 0)
+  if (total > 0) {
+    return Object.fromEntries(shares.filter(([, share]) => share > 0).map(([key, share]) => [key, share / total]))
+  }
+  const legacy = LEGACY_AI_TYPES.find(([prefix]) => (form.aiUsageTypes || '').startsWith(prefix))
+  return { [legacy ? legacy[1] : 'default']: 1 }
+}
+
+// kg CO2 of an average query in a usage mix
+function getAiKgPerQuery(mix, factors) {
+  return Object.entries(mix).reduce((sum, [key, fraction]) => sum + fraction * factors.aiKgCO2PerQuery[key], 0)
+}
+
+/**
+ * Compute the annual footprint for one survey response.
+ *
+ * Returns the rounded category totals ({deviceKg, dataKg, aiKg,
+ * manufacturingKg, totalKg}) plus `breakdown`, one unrounded line item
+ * per contributing source, `devices`, the per-device totals from
+ * `deviceBreakdown`, and `assumptions`, every multiplier and midpoint
+ * that went into the numbers. `rangeValues` replaces the midpoints of range
+ * answers by field, which is how the uncertainty simulation varies them.
+ */
+export function calculateFootprint(form, factors = INDIAN_DEFAULTS, rangeValues = {}) {
+  const breakdown = []
+  const range = (field) => (field in rangeValues ? rangeValues[field] : parseRange(form[field], QUESTIONS[field].midpoints))
+
+  // Device calculations - based on device counts and actual usage duration
+  const grid = getGridFactor(form, factors)
+  const powerSource = resolvePowerSource(form)
+  const powerSourceMultiplier = powerSource.multiplier
+  const effectiveKgCO2PerKWh = grid.kgCO2PerKWh * powerSourceMultiplier
+  const efficiencyMultiplier = getEfficiencyMultiplier(form)
+  const chargingMultiplier = getChargingMultiplier(form)
+  let deviceKg = 0
+  DEVICE_TYPES.forEach(({ field, factorKey }) => {
+    const count = Number(form[field]) || 0
+    const duration = Number(form[`${field}Duration`]) || 0
+    if (count > 0 && duration > 0) {
+      const powerW = factors.devicePowerW[factorKey] || 0
+      const kwhPerYear = (powerW * duration * 365 * efficiencyMultiplier) / 1000
+      const baseEmissions = count * (kwhPerYear * grid.kgCO2PerKWh)
+      const kg = baseEmissions * powerSourceMultiplier * chargingMultiplier
+      deviceKg += kg
+      breakdown.push({ category: 'device', item: factorKey, count, hoursPerDay: duration, kwhPerYear: count * kwhPerYear, kg })
+    }
+  })
+
+  // Manufacturing (embodied) emissions, amortised per year of ownership
+  let manufacturingKg = 0
+  DEVICE_TYPES.forEach(({ field, factorKey }) => {
+    const count = Number(form[field]) || 0
+    if (count > 0) {
+      const age = Number(form[`${field}Age`]) || 0
+      const amortisationYears = getAmortisationYears(factorKey, age, factors)
+      const kg = (count * (factors.embodiedKgCO2[factorKey] || 0)) / amortisationYears
+      manufacturingKg += kg
+      breakdown.push({ category: 'manufacturing', item: factorKey, count, amortisationYears, kg })
+    }
+  })
+
+  // Data and streaming calculations
+  const academicHours = range('streamingAcademicHrsPerWeek')
+  const entertainmentHours = range('streamingNonAcademicHrsPerWeek')
+  const academicQuality = getStreamingQuality(form.streamingAcademicQuality, form.streamingAcademicScreen)
+  const entertainmentQuality = getStreamingQuality(form.streamingEntertainmentQuality, form.streamingEntertainmentScreen)
+  const academicGbPerHour = factors.gbPerStreamingHour[academicQuality]
+  const entertainmentGbPerHour = factors.gbPerStreamingHour[entertainmentQuality]
+
+  const cloudHours = range('cloudHoursPerWeek')
+  const gbFromCloudPerYear = cloudHours * 52 * factors.gbPerCloudHour
+  const gbFromBigTransfersPerYear = (Number(form.largeTransfersPerMonth) || 0) * 12
+
+  // Internet hours cross-check the activity answers: time online that
+  // streaming and cloud use do not account for is general browsing, and
+  // activity hours beyond the stated internet hours are flagged
+  const internetHoursPerDay = Number(form.avgDailyInternetHours) || 0
+  const activityHoursPerDay = (academicHours + entertainmentHours + cloudHours) / 7
+  const browsingHoursPerDay = Math.max(0, internetHoursPerDay - activityHoursPerDay)
+  const internetHoursConflict = internetHoursPerDay > 0 && activityHoursPerDay > internetHoursPerDay
+
+  const dataItems = [
+    { item: 'Academic streaming', gbPerYear: academicHours * academicGbPerHour * 52 },
+    { item: 'Entertainment streaming', gbPerYear: entertainmentHours * entertainmentGbPerHour * 52 },
+    { item: 'Cloud services', gbPerYear: gbFromCloudPerYear },
+    { item: 'Large transfers', gbPerYear: gbFromBigTransfersPerYear },
+    { item: 'General browsing', gbPerYear: browsingHoursPerDay * 365 * factors.gbPerBrowsingHour },
+  ]
+  let dataKg = 0
+  let gbPerYear = 0
+  dataItems.forEach((line) => {
+    if (line.gbPerYear > 0) {
+      const kg = line.gbPerYear * factors.kgCO2PerGB
+      dataKg += kg
+      gbPerYear += line.gbPerYear
+      breakdown.push({ category: 'data', item: line.item, gbPerYear: line.gbPerYear, kg })
+    }
+  })
+
+  // Electricity of the access network the data reaches the respondent over,
+  // on the state grid (the respondent's own power source does not run it)
+  const accessNetwork = getAccessNetwork(form.primaryConnection)
+  const accessKWhPerGB = factors.accessKWhPerGB[accessNetwork]
+  if (gbPerYear > 0) {
+    const kwhPerYear = gbPerYear * accessKWhPerGB
+    const kg = kwhPerYear * grid.kgCO2PerKWh
+    dataKg += kg
+    breakdown.push({ category: 'data', item: 'Access network', accessNetwork, gbPerYear, kwhPerYear, kg })
+  }
+
+  // AI calculations
+  const aiInteractionsDaily = range('aiInteractionsPerDay')
+  const sessionMinutes = range('typicalAiSessionMinutes')
+  const aiMix = getAiMix(form, range)
+  const aiKgPerQuery = getAiKgPerQuery(aiMix, factors)
+  // Records from before queries per session was asked: roughly one query
+  // every 2 minutes of an interactive session
+  const legacyQueries = !form.aiQueriesPerSession
+  const queriesPerSession = legacyQueries ? Math.max(1, sessionMinutes / 2) : range('aiQueriesPerSession')
+  let aiKg = 0
+  if (aiInteractionsDaily > 0 && (legacyQueries ? sessionMinutes > 0 : queriesPerSession > 0)) {
+    const queriesPerYear = aiInteractionsDaily * queriesPerSession * 365
+    aiKg = queriesPerYear * aiKgPerQuery
+    breakdown.push({ category: 'ai', item: 'AI queries', queriesPerYear, kg: aiKg })
+  }
+
+  return {
+    deviceKg: round(deviceKg),
+    dataKg: round(dataKg),
+    aiKg: round(aiKg),
+    manufacturingKg: round(manufacturingKg),
+    totalKg: round(deviceKg + dataKg + aiKg + manufacturingKg),
+    breakdown,
+    devices: deviceBreakdown({ breakdown }),
+    assumptions: {
+      gridKgCO2PerKWh: grid.kgCO2PerKWh,
+      gridFactorSource: grid.source,
+      powerSourceMultiplier,
+      powerSourceConflict: powerSource.conflict,
+      effectiveKgCO2PerKWh: round(effectiveKgCO2PerKWh, 3),
+      efficiencyMultiplier,
+      chargingMultiplier,
+      streamingHoursPerWeek: { academic: academicHours, entertainment: entertainmentHours },
+      streamingQuality: { academic: academicQuality, entertainment: entertainmentQuality },
+      streamingGbPerHour: { academic: academicGbPerHour, entertainment: entertainmentGbPerHour },
+      cloudHoursPerWeek: cloudHours,
+      gbPerCloudHour: factors.gbPerCloudHour,
+      kgCO2PerGB: factors.kgCO2PerGB,
+      internetHoursPerDay,
+      browsingHoursPerDay,
+      internetHoursConflict,
+      accessNetwork,
+      accessKWhPerGB,
+      aiInteractionsPerDay: aiInteractionsDaily,
+      aiSessionMinutes: sessionMinutes,
+      aiQueriesPerSession: queriesPerSession,
+      aiMix,
+      aiKgCO2PerQuery: aiKgPerQuery,
+    }
+  }
+}
+
+/**
+ * Per-device lines of a `calculateFootprint` result, heaviest first: for each
+ * device type owned, `{ device, count, kwhPerYear, electricityKg,
+ * manufacturingKg, kg }`, where `device` is the survey field (e.g. 'laptop').
+ * Results carry these as `devices`; records stored before that can be passed
+ * here, as only their `breakdown` is read.
+ */
+export function deviceBreakdown(results) {
+  return DEVICE_TYPES
+    .map(({ field, factorKey }) => {
+      const lines = results.breakdown.filter((b) => b.item === factorKey)
+      if (!lines.length) return null
+      const electricity = lines.find((b) => b.category === 'device')
+      const manufacturing = lines.find((b) => b.category === 'manufacturing')
+      const electricityKg = electricity ? electricity.kg : 0
+      const manufacturingKg = manufacturing ? manufacturing.kg : 0
+      return {
+        device: field,
+        count: lines[0].count,
+        kwhPerYear: round(electricity ? electricity.kwhPerYear : 0),
+        electricityKg: round(electricityKg),
+        manufacturingKg: round(manufacturingKg),
+        kg: round(electricityKg + manufacturingKg),
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.kg - a.kg)
+}
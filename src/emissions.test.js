@@ -0,0 +1,243 @@
+import { calculateFootprint, getAiMix, getGridFactor, resolvePowerSource, getStreamingQuality, parseRange, parseRangeBounds, deviceBreakdown, INDIAN_DEFAULTS } from './emissions'
+import { QUESTIONS } from './surveySchema'
+import { execFileSync } from 'child_process'
+
+test('empty form has no footprint', () => {
+  const r = calculateFootprint({})
+  expect(r).toMatchObject({ deviceKg: 0, dataKg: 0, aiKg: 0, totalKg: 0 })
+  expect(r.breakdown).toEqual([])
+})
+
+test('device emissions apply grid factor, power source and charging multipliers', () => {
+  const r = calculateFootprint({
+    smartphone: '1',
+    smartphoneDuration: '4',
+    renewableEnergyUsage: '0% - All conventional energy',
+    chargingHabits: 'Always keep plugged in',
+  })
+  // 3 W * 4 h * 365 d = 4.38 kWh * 0.82 * 1.0 * 1.3
+  expect(r.deviceKg).toBe(4.67)
+  expect(r.breakdown.filter((b) => b.category === 'device')).toEqual([
+    expect.objectContaining({ item: 'Smartphone', kwhPerYear: 4.38 }),
+  ])
+  expect(r.assumptions).toMatchObject({ powerSourceMultiplier: 1.0, chargingMultiplier: 1.3 })
+})
+
+test('data emissions combine streaming, cloud and transfers', () => {
+  const r = calculateFootprint({
+    streamingAcademicHrsPerWeek: '6-15 hrs - Moderate (regular classes)',
+    streamingNonAcademicHrsPerWeek: '11-25 hrs - Moderate (regular viewing)',
+    cloudHoursPerWeek: '1-5 hrs - Light usage (email, basic storage)',
+    largeTransfersPerMonth: '2',
+  })
+  // (10 + 18) h * 1.2 GB * 52 + 3 h * 0.5 GB * 52 + 2 GB * 12 = 1849.2 GB,
+  // at 0.065 kg/GB plus 0.06 kWh/GB of unknown access network at 0.82 kg/kWh
+  expect(r.dataKg).toBe(211.18)
+  expect(r.breakdown.map((b) => b.item)).toEqual(['Academic streaming', 'Entertainment streaming', 'Cloud services', 'Large transfers', 'Access network'])
+  expect(r.breakdown.find((b) => b.item === 'Access network').accessNetwork).toBe('default')
+  expect(r.breakdown.find((b) => b.item === 'Access network').gbPerYear).toBeCloseTo(1849.2)
+})
+
+test('AI emissions weight the per-query factors by the usage mix', () => {
+  const r = calculateFootprint({
+    aiInteractionsPerDay: '6-15 times',
+    aiQueriesPerSession: '2-3',
+    aiShareText: 'Mostly',
+    aiShareImage: 'A little',
+    aiShareCode: 'None',
+  })
+  // 70:10 is 87.5% text and 12.5% images: 0.875 * 0.0001 + 0.125 * 0.02 kg,
+  // for 10 sessions * 2.5 queries * 365
+  expect(r.assumptions.aiMix).toEqual({ text: 0.875, image: 0.125 })
+  expect(r.assumptions.aiKgCO2PerQuery).toBeCloseTo(0.0025875)
+  expect(r.assumptions.aiQueriesPerSession).toBe(2.5)
+  expect(r.aiKg).toBe(23.61)
+})
+
+test('older records read their single usage type and session length', () => {
+  expect(getAiMix({ aiUsageTypes: 'Mixed usage (text + image + code)' })).toEqual({ mixed: 1 })
+  expect(getAiMix({})).toEqual({ default: 1 })
+
+  const r = calculateFootprint({
+    aiInteractionsPerDay: '6-15 times',
+    typicalAiSessionMinutes: '1-5 minutes',
+    aiUsageTypes: 'Text generation (ChatGPT, etc.)',
+  })
+  // 10 sessions * 3 minutes at one query per 2 minutes * 365 * 0.0001 kg
+  expect(r.assumptions.aiQueriesPerSession).toBe(1.5)
+  expect(r.aiKg).toBe(0.55)
+  expect(r.totalKg).toBe(0.55)
+})
+
+test('range midpoints match on the label prefix', () => {
+  expect(parseRange('31-50 times', QUESTIONS.aiInteractionsPerDay.midpoints)).toBe(40)
+  expect(parseRange('1-5 times', QUESTIONS.aiInteractionsPerDay.midpoints)).toBe(3)
+  expect(parseRange("0 - Don't use AI", QUESTIONS.aiInteractionsPerDay.midpoints)).toBe(0)
+  expect(parseRangeBounds('31-50 times', QUESTIONS.aiInteractionsPerDay.midpoints)).toEqual([31, 50])
+  expect(parseRangeBounds("0 - Don't use AI", QUESTIONS.aiInteractionsPerDay.midpoints)).toBeNull()
+})
+
+test('factors can be overridden', () => {
+  const form = { laptop: '1', laptopDuration: '5', renewableEnergyUsage: '0% - All conventional energy' }
+  const base = calculateFootprint(form)
+  const clean = calculateFootprint(form, { ...INDIAN_DEFAULTS, gridKgCO2PerKWh: 0.41 })
+  expect(clean.deviceKg).toBeCloseTo(base.deviceKg / 2, 1)
+})
+
+test('manufacturing emissions are amortised over device age', () => {
+  const yearly = calculateFootprint({ smartphone: '1', smartphoneAge: '1' })
+  const keeper = calculateFootprint({ smartphone: '1', smartphoneAge: '6' })
+  expect(yearly.manufacturingKg).toBe(70)
+  expect(keeper.manufacturingKg).toBe(11.67)
+  expect(yearly.totalKg).toBe(70)
+})
+
+test('manufacturing falls back to expected lifespan and never amortises under a year', () => {
+  expect(calculateFootprint({ laptop: '2' }).manufacturingKg).toBe(120) // 2 * 300 / 5
+  expect(calculateFootprint({ laptop: '1', laptopAge: '0.5' }).manufacturingKg).toBe(300)
+})
+
+test('grid factor follows the home state and falls back to the national average', () => {
+  expect(getGridFactor({ state: 'Himachal Pradesh' }, INDIAN_DEFAULTS)).toEqual({ kgCO2PerKWh: 0.2, source: 'Himachal Pradesh' })
+  expect(getGridFactor({ state: '' }, INDIAN_DEFAULTS)).toEqual({ kgCO2PerKWh: 0.82, source: 'National average' })
+
+  const form = { desktop: '1', desktopDuration: '6' }
+  const hp = calculateFootprint({ ...form, state: 'Himachal Pradesh' })
+  const jh = calculateFootprint({ ...form, state: 'Jharkhand' })
+  expect(jh.deviceKg).toBeCloseTo(hp.deviceKg * 5.1, 0)
+  expect(jh.assumptions.gridFactorSource).toBe('Jharkhand')
+})
+
+test('power supply answers are reconciled into one multiplier', () => {
+  expect(resolvePowerSource({})).toMatchObject({ multiplier: 0.8, conflict: false })
+  expect(resolvePowerSource({ powerSource: 'Solar panels' })).toMatchObject({ multiplier: 0.4, conflict: false })
+  expect(resolvePowerSource({
+    renewableEnergyUsage: '51-75% - Mostly renewable',
+    powerSource: 'Solar panels',
+    solarPanels: 'Yes',
+  })).toMatchObject({ multiplier: 0.4, conflict: false })
+
+  const contradictory = resolvePowerSource({ renewableEnergyUsage: '0% - All conventional energy', powerSource: 'Solar panels' })
+  expect(contradictory.conflict).toBe(true)
+  expect(contradictory.multiplier).toBeCloseTo(0.7)
+})
+
+test('effective factor and appliance efficiency are recorded', () => {
+  const r = calculateFootprint({
+    state: 'Delhi',
+    laptop: '1',
+    laptopDuration: '4',
+    accessRenewableAtHome: 'Partial / Sometimes',
+    energyEfficientAppliances: 'Yes - Most are energy-efficient',
+  })
+  expect(r.assumptions).toMatchObject({ effectiveKgCO2PerKWh: 0.504, efficiencyMultiplier: 0.85 })
+  // 65 W * 4 h * 365 * 0.85 = 80.665 kWh * 0.504
+  expect(r.deviceKg).toBe(40.66)
+})
+
+test('streaming GB follows the chosen quality and screen', () => {
+  const binge = '41-60 hrs - Very heavy (binge watcher)'
+  const tv = calculateFootprint({
+    streamingNonAcademicHrsPerWeek: binge,
+    streamingEntertainmentQuality: '4K / Ultra HD',
+    streamingEntertainmentScreen: 'Smart TV / Large screen',
+  })
+  const phone = calculateFootprint({
+    streamingNonAcademicHrsPerWeek: binge,
+    streamingEntertainmentQuality: 'SD (480p or lower)',
+    streamingEntertainmentScreen: 'Phone',
+  })
+  expect(tv.dataKg).toBe(1336.14) // 50 h * 4.5 GB * 52 * (0.065 + 0.06 * 0.82)
+  expect(phone.dataKg).toBe(89.08) // 50 h * 0.3 GB * 52 * (0.065 + 0.06 * 0.82)
+  expect(tv.assumptions.streamingQuality.entertainment).toBe('4K')
+})
+
+test('unknown quality is inferred from the screen, and phones are capped at HD', () => {
+  expect(getStreamingQuality("Auto / Don't know", 'Phone')).toBe('SD')
+  expect(getStreamingQuality('', 'Laptop / Tablet')).toBe('HD')
+  expect(getStreamingQuality('4K / Ultra HD', 'Phone')).toBe('HD')
+  expect(getStreamingQuality('', '')).toBe('default')
+})
+
+test('range values can replace the midpoints', () => {
+  const form = { cloudHoursPerWeek: '1-5 hrs - Light usage (email, basic storage)' }
+  expect(calculateFootprint(form).assumptions.cloudHoursPerWeek).toBe(3)
+  expect(calculateFootprint(form, INDIAN_DEFAULTS, { cloudHoursPerWeek: 4.5 }).assumptions.cloudHoursPerWeek).toBe(4.5)
+})
+
+test('device breakdown joins electricity and manufacturing per device, heaviest first', () => {
+  const r = calculateFootprint({ smartphone: '1', smartphoneDuration: '4', laptop: '2', laptopDuration: '0' })
+  const devices = deviceBreakdown(r)
+  expect(devices.map((d) => d.device)).toEqual(['laptop', 'smartphone'])
+  expect(devices[0]).toMatchObject({ count: 2, kwhPerYear: 0, electricityKg: 0 })
+  expect(devices[0].kg).toBe(devices[0].manufacturingKg)
+  expect(devices[1]).toMatchObject({ count: 1, kwhPerYear: 4.38 })
+  expect(devices.reduce((sum, d) => sum + d.kg, 0)).toBeCloseTo(r.deviceKg + r.manufacturingKg, 1)
+  expect(deviceBreakdown(calculateFootprint({}))).toEqual([])
+  expect(r.devices).toEqual(devices)
+})
+
+test('access-network energy depends on the connection type', () => {
+  const form = { streamingNonAcademicHrsPerWeek: '11-25 hrs - Moderate (regular viewing)', state: 'Bihar' }
+  const mobile = calculateFootprint({ ...form, primaryConnection: 'Mobile Data (5G/4G)' })
+  const hotspot = calculateFootprint({ ...form, primaryConnection: 'Hotspot from Phone' })
+  const wifi = calculateFootprint({ ...form, primaryConnection: 'Wi-Fi at Home' })
+  const access = (r) => r.breakdown.find((b) => b.item === 'Access network')
+  // 18 h * 1.2 GB * 52 = 1123.2 GB
+  expect(access(mobile).accessNetwork).toBe('mobile')
+  expect(access(mobile).gbPerYear).toBeCloseTo(1123.2)
+  expect(access(mobile).kwhPerYear).toBeCloseTo(1123.2 * 0.15)
+  expect(access(mobile).kg).toBeCloseTo(access(mobile).kwhPerYear * mobile.assumptions.gridKgCO2PerKWh)
+  expect(access(wifi).kwhPerYear).toBeCloseTo(1123.2 * 0.03)
+  expect(hotspot.dataKg).toBe(mobile.dataKg)
+  expect(mobile.dataKg).toBeGreaterThan(wifi.dataKg)
+  // On the state grid, whatever the respondent's own power source
+  const solar = calculateFootprint({ ...form, primaryConnection: 'Wi-Fi at Home', renewableEnergyUsage: '100% - Fully renewable' })
+  expect(access(solar).kg).toBe(access(wifi).kg)
+})
+
+test('internet hours add general browsing and flag answers they cannot cover', () => {
+  const form = { primaryConnection: 'Wi-Fi at Home', cloudHoursPerWeek: '6-15 hrs - Moderate usage (Google Drive, Office 365)' }
+  // 10 cloud hours a week leave 5 - 10 / 7 hours a day of browsing
+  const online = calculateFootprint({ ...form, avgDailyInternetHours: '5' })
+  expect(online.assumptions).toMatchObject({ internetHoursPerDay: 5, internetHoursConflict: false })
+  expect(online.assumptions.browsingHoursPerDay).toBeCloseTo(5 - 10 / 7)
+  expect(online.breakdown.find((b) => b.item === 'General browsing').gbPerYear).toBeCloseTo((5 - 10 / 7) * 365 * 0.15)
+
+  const short = calculateFootprint({ ...form, avgDailyInternetHours: '1' })
+  expect(short.assumptions).toMatchObject({ browsingHoursPerDay: 0, internetHoursConflict: true })
+  expect(short.breakdown.map((b) => b.item)).not.toContain('General browsing')
+  expect(calculateFootprint(form).assumptions.internetHoursConflict).toBe(false)
+})
+
+test('the model loads and runs in plain Node', () => {
+  const flags = ['--experimental-detect-module', '--disable-warning=MODULE_TYPELESS_PACKAGE_JSON']
+  expect(execFileSync(process.execPath, [...flags, 'scripts/check-model.mjs'], { encoding: 'utf8' })).toMatch(/^Model OK/)
+})
+
+// Every range answer the survey offered before the model was extracted from
+// App.js, with the value the old `includes` chains gave it. Prefix matching
+// keeps them all, except that `includes("1-5")` also matched "31-50 …" and
+// read it as 3; those three answers now get their own midpoint, 40.
+const PRE_EXTRACTION_VALUES = {
+  streamingAcademicHrsPerWeek: [0, 3, 10, 23, 3, 65],
+  streamingNonAcademicHrsPerWeek: [0, 5, 18, 33, 50, 80],
+  cloudHoursPerWeek: [0, 3, 10, 23, 3, 65],
+  aiInteractionsPerDay: [0, 3, 10, 23, 3, 75],
+  typicalAiSessionMinutes: [0.5, 3, 10, 23, 45, 90],
+}
+const FIXED_BY_PREFIX_MATCHING = ['31-50 hrs - Very heavy (intensive programs)', '31-50 hrs - Very heavy usage (streaming, gaming)', '31-50 times']
+
+test('prefix matching keeps the pre-extraction values except for the "31-50" answers', () => {
+  Object.entries(PRE_EXTRACTION_VALUES).forEach(([field, oldValues]) => {
+    const { options, midpoints } = QUESTIONS[field]
+    expect(options).toHaveLength(oldValues.length)
+    options.forEach((option, i) => {
+      const expected = FIXED_BY_PREFIX_MATCHING.includes(option) ? 40 : oldValues[i]
+      expect([option, parseRange(option, midpoints)]).toEqual([option, expected])
+    })
+  })
+  // Usage types resolve to the same per-query factor as before
+  expect(QUESTIONS.aiUsageTypes.options.map((type) => Object.keys(getAiMix({ aiUsageTypes: type }))[0]))
+    .toEqual(['text', 'image', 'code', 'voice', 'mixed', 'default', 'default'])
+})
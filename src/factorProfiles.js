@@ -0,0 +1,192 @@
+// Emission-factor profiles: the numbers behind the footprint model as
+// versioned JSON, each factor with its source and year (a table factor can
+// also cite each entry on its own, under `sources`) and optionally the
+// `low`/`high` bounds the uncertainty ranges sample from. Bundled profiles live
+// in src/factorProfiles/; researchers can upload more from the dashboard, and
+// the one chosen there is what the survey uses in that browser. Every record
+// is stamped with the profile's id and version so results can be reproduced.
+import { DEVICE_TYPES } from './surveySchema.js'
+import { defaultStorage } from './draft.js'
+import indiaDefault from './factorProfiles/india-default.json' with { type: 'json' }
+import indiaCea2024 from './factorProfiles/india-cea-2024.json' with { type: 'json' }
+
+export const PROFILES_KEY = 'carbon-survey-factor-profiles'
+export const ACTIVE_PROFILE_KEY = 'carbon-survey-factor-profile'
+
+const DEVICE_KEYS = DEVICE_TYPES.map((d) => d.factorKey)
+
+// Every factor the model reads, with the entries a table must have
+// (null for a single number)
+export const FACTOR_ENTRIES = {
+  gridKgCO2PerKWh: null,
+  stateGridKgCO2PerKWh: [],
+  devicePowerW: DEVICE_KEYS,
+  embodiedKgCO2: DEVICE_KEYS,
+  deviceLifespanYears: DEVICE_KEYS,
+  kgCO2PerGB: null,
+  accessKWhPerGB: ['mobile', 'fixed', 'default'],
+  inrPerTonneCO2: null,
+  gbPerStreamingHour: ['SD', 'HD', '4K', 'default'],
+  gbPerCloudHour: null,
+  gbPerBrowsingHour: null,
+  aiKgCO2PerQuery: ['text', 'image', 'code', 'voice', 'mixed', 'default'],
+}
+
+function isAmount(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n >= 0
+}
+
+function isCitation(c) {
+  return !!c && typeof c.source === 'string' && !!c.source.trim() && Number.isInteger(c.year) && c.year >= 1900 && c.year <= 2100
+}
+
+// Optional per-entry `sources` of a table factor: `{ entry: { source, year } }`
+function checkSources(key, factor) {
+  const { sources, value } = factor
+  if (!sources || typeof sources !== 'object' || Array.isArray(sources)) return [`${key}: sources must be an object of { source, year } by entry`]
+  const errors = []
+  const unknown = Object.keys(sources).filter((k) => !value || typeof value !== 'object' || !(k in value))
+  const bad = Object.keys(sources).filter((k) => !isCitation(sources[k]))
+  if (unknown.length) errors.push(`${key}: sources for entries not in the value: ${unknown.join(', ')}`)
+  if (bad.length) errors.push(`${key}: sources need a source and a year (1900-2100) for ${bad.join(', ')}`)
+  return errors
+}
+
+// Source and year of one entry of a table factor: its own, else the table's
+export function entryCitation(factor, entry) {
+  const own = factor.sources && factor.sources[entry]
+  return own ? { source: own.source, year: own.year } : { source: factor.source, year: factor.year }
+}
+
+// Optional `low`/`high` bounds of a factor, shaped like its value and around it
+function checkBounds(key, factor) {
+  const { value, low, high } = factor
+  if (typeof value === 'number') {
+    if (!isAmount(low) || !isAmount(high)) return [`${key}: low and high must be non-negative numbers`]
+    return low <= value && value <= high ? [] : [`${key}: value must lie between low and high`]
+  }
+  if (!value || typeof value !== 'object') return []
+  const bad = Object.keys(value).filter((k) => !low || !high || !isAmount(low[k]) || !isAmount(high[k]) || low[k] > value[k] || value[k] > high[k])
+  return bad.length ? [`${key}: low/high missing or not around the value for ${bad.join(', ')}`] : []
+}
+
+/**
+ * Check a parsed profile. Returns a list of problems; an empty list means the
+ * profile can drive the model.
+ */
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['Profile is not a JSON object']
+  const errors = []
+  if (typeof profile.id !== 'string' || !/^[\w.-]+$/.test(profile.id)) errors.push('Missing or invalid id (letters, digits, ".", "_" and "-")')
+  if (typeof profile.version !== 'string' || !profile.version.trim()) errors.push('Missing version')
+  if (!profile.factors || typeof profile.factors !== 'object') return [...errors, 'Missing factors']
+
+  Object.entries(FACTOR_ENTRIES).forEach(([key, entries]) => {
+    const factor = profile.factors[key]
+    if (!factor || typeof factor !== 'object') {
+      errors.push(`${key}: missing`)
+      return
+    }
+    if (entries === null && !isAmount(factor.value)) errors.push(`${key}: value must be a non-negative number`)
+    if (entries !== null) {
+      const table = factor.value
+      if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        errors.push(`${key}: value must be an object of numbers`)
+      } else {
+        const bad = Object.keys(table).filter((k) => !isAmount(table[k]))
+        const missing = entries.filter((k) => !(k in table))
+        if (bad.length) errors.push(`${key}: not a non-negative number: ${bad.join(', ')}`)
+        if (missing.length) errors.push(`${key}: missing ${missing.join(', ')}`)
+      }
+    }
+    if ('low' in factor || 'high' in factor) errors.push(...checkBounds(key, factor))
+    if (entries !== null && 'sources' in factor) errors.push(...checkSources(key, factor))
+    // The factor's own source and year cite every entry without one of its own,
+    // so a table whose entries all have theirs needs none
+    const allEntriesCited = entries !== null && !!factor.sources && !!factor.value && typeof factor.value === 'object'
+      && Object.keys(factor.value).every((k) => isCitation(factor.sources[k]))
+    if (allEntriesCited) return
+    if (typeof factor.source !== 'string' || !factor.source.trim()) errors.push(`${key}: missing source`)
+    if (!Number.isInteger(factor.year) || factor.year < 1900 || factor.year > 2100) errors.push(`${key}: missing or invalid year`)
+  })
+  return errors
+}
+
+// Unique across versions, e.g. "india-default@2025.1"
+export function profileKey(profile) {
+  return `${profile.id}@${profile.version}`
+}
+
+// What a record carries to say which factors produced its results
+export function profileStamp(profile) {
+  return { id: profile.id, version: profile.version }
+}
+
+// The plain `{ factorName: value }` object the model takes
+export function profileFactors(profile) {
+  return Object.fromEntries(Object.keys(FACTOR_ENTRIES).map((key) => [key, profile.factors[key].value]))
+}
+
+export const BUNDLED_PROFILES = [indiaDefault, indiaCea2024]
+export const DEFAULT_PROFILE = BUNDLED_PROFILES[0]
+
+/**
+ * Read an uploaded profile file. Returns `{ profile }`, or `{ errors }` when
+ * it is not valid JSON or fails `validateProfile`.
+ */
+export function parseProfile(text) {
+  let profile
+  try {
+    profile = JSON.parse(text)
+  } catch (err) {
+    return { errors: [`Invalid JSON: ${err.message}`] }
+  }
+  const errors = validateProfile(profile)
+  return errors.length ? { errors } : { profile }
+}
+
+// Profiles uploaded in this browser; anything no longer valid is dropped
+export function loadCustomProfiles(storage = defaultStorage()) {
+  if (!storage) return []
+  try {
+    const saved = JSON.parse(storage.getItem(PROFILES_KEY))
+    return Array.isArray(saved) ? saved.filter((p) => validateProfile(p).length === 0) : []
+  } catch (err) {
+    return []
+  }
+}
+
+export function saveCustomProfiles(profiles, storage = defaultStorage()) {
+  if (!storage) return
+  try {
+    storage.setItem(PROFILES_KEY, JSON.stringify(profiles))
+  } catch (err) {
+    console.error('Could not save factor profiles:', err)
+  }
+}
+
+// Bundled profiles first, then uploaded ones that do not clash with them
+export function availableProfiles(storage = defaultStorage()) {
+  const bundled = new Set(BUNDLED_PROFILES.map(profileKey))
+  return [...BUNDLED_PROFILES, ...loadCustomProfiles(storage).filter((p) => !bundled.has(profileKey(p)))]
+}
+
+// The profile chosen in the dashboard, or the default when none is (or it has gone)
+export function getActiveProfile(storage = defaultStorage()) {
+  let key = null
+  try {
+    key = storage ? storage.getItem(ACTIVE_PROFILE_KEY) : null
+  } catch (err) {
+    // Storage unavailable; use the default
+  }
+  return availableProfiles(storage).find((p) => profileKey(p) === key) || DEFAULT_PROFILE
+}
+
+export function setActiveProfile(profile, storage = defaultStorage()) {
+  if (!storage) return
+  try {
+    storage.setItem(ACTIVE_PROFILE_KEY, profileKey(profile))
+  } catch (err) {
+    console.error('Could not save the active factor profile:', err)
+  }
+}
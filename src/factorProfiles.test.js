@@ -0,0 +1,103 @@
+import {
+  validateProfile, parseProfile, profileFactors, profileKey, availableProfiles, getActiveProfile, setActiveProfile,
+  saveCustomProfiles, loadCustomProfiles, entryCitation, BUNDLED_PROFILES, DEFAULT_PROFILE, ACTIVE_PROFILE_KEY,
+} from './factorProfiles'
+import { INDIAN_DEFAULTS, calculateFootprint } from './emissions'
+
+function memoryStorage() {
+  const items = {}
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value) },
+    removeItem: (key) => { delete items[key] },
+  }
+}
+
+function variant(changes) {
+  return { ...DEFAULT_PROFILE, ...changes, factors: { ...DEFAULT_PROFILE.factors, ...changes.factors } }
+}
+
+test('bundled profiles are valid and the default drives the model', () => {
+  BUNDLED_PROFILES.forEach((p) => expect(validateProfile(p)).toEqual([]))
+  expect(INDIAN_DEFAULTS).toEqual(profileFactors(DEFAULT_PROFILE))
+  expect(INDIAN_DEFAULTS.gridKgCO2PerKWh).toBe(0.82)
+})
+
+test('every factor needs a usable value, a source and a year', () => {
+  const broken = variant({
+    version: '',
+    factors: {
+      kgCO2PerGB: { value: -1, source: 'x', year: 2024 },
+      devicePowerW: { value: { Laptop: 65 }, source: 'x', year: 2024 },
+      gbPerCloudHour: { value: 0.5, source: '', year: 24 },
+      aiKgCO2PerQuery: undefined,
+    },
+  })
+  expect(validateProfile(broken)).toEqual(expect.arrayContaining([
+    'Missing version',
+    'kgCO2PerGB: value must be a non-negative number',
+    expect.stringMatching(/^devicePowerW: missing Smartphone, Tablet/),
+    'gbPerCloudHour: missing source',
+    'gbPerCloudHour: missing or invalid year',
+    'aiKgCO2PerQuery: missing',
+  ]))
+  expect(parseProfile('{oops')).toEqual({ errors: [expect.stringMatching(/^Invalid JSON/)] })
+  expect(parseProfile(JSON.stringify(broken)).profile).toBeUndefined()
+})
+
+test('table entries can cite their own source and year', () => {
+  const { devicePowerW, gbPerStreamingHour } = DEFAULT_PROFILE.factors
+  expect(entryCitation(devicePowerW, 'Router')).toEqual({ source: expect.stringMatching(/Wi-Fi router/), year: 2025 })
+  expect(entryCitation(gbPerStreamingHour, 'HD')).toEqual({ source: gbPerStreamingHour.source, year: gbPerStreamingHour.year })
+
+  const { source, year, ...uncited } = gbPerStreamingHour
+  const sources = Object.fromEntries(Object.keys(gbPerStreamingHour.value).map((k) => [k, { source: `${k} bitrate study`, year: 2024 }]))
+  expect(validateProfile(variant({ factors: { gbPerStreamingHour: { ...uncited, sources } } }))).toEqual([])
+  expect(validateProfile(variant({ factors: { gbPerStreamingHour: { ...uncited, sources: { ...sources, SD: { source: 'x' } } } } }))).toEqual([
+    'gbPerStreamingHour: sources need a source and a year (1900-2100) for SD',
+    'gbPerStreamingHour: missing source',
+    'gbPerStreamingHour: missing or invalid year',
+  ])
+  expect(validateProfile(variant({ factors: { gbPerStreamingHour: { ...gbPerStreamingHour, sources: { '8K': { source: 'x', year: 2024 } } } } }))).toEqual([
+    'gbPerStreamingHour: sources for entries not in the value: 8K',
+  ])
+})
+
+test('low and high bounds are optional but must surround the value', () => {
+  const { gridKgCO2PerKWh, devicePowerW } = DEFAULT_PROFILE.factors
+  const bounded = variant({ factors: { gridKgCO2PerKWh: { ...gridKgCO2PerKWh, low: 0.9 }, devicePowerW: { ...devicePowerW, high: { ...devicePowerW.high, Laptop: 10 } } } })
+  expect(validateProfile(bounded)).toEqual([
+    'gridKgCO2PerKWh: value must lie between low and high',
+    'devicePowerW: low/high missing or not around the value for Laptop',
+  ])
+  const { low, high, ...unbounded } = gridKgCO2PerKWh
+  expect(validateProfile(variant({ factors: { gridKgCO2PerKWh: unbounded } }))).toEqual([])
+})
+
+test('the bundled CEA 2023-24 profile swaps in the newer grid figures', () => {
+  const cea = BUNDLED_PROFILES.find((p) => p.id === 'india-cea-2024')
+  expect(profileFactors(cea).gridKgCO2PerKWh).toBe(0.727)
+  expect(profileFactors(cea).stateGridKgCO2PerKWh.Bihar).toBeLessThan(INDIAN_DEFAULTS.stateGridKgCO2PerKWh.Bihar)
+  expect(profileFactors(cea).devicePowerW).toEqual(INDIAN_DEFAULTS.devicePowerW)
+})
+
+test('a different profile changes the results', () => {
+  const cea2024 = variant({ version: '2024.1', factors: { gridKgCO2PerKWh: { value: 0.41, source: 'test', year: 2024 } } })
+  const form = { smartphone: '1', smartphoneDuration: '4', renewableEnergyUsage: '0% - All conventional energy' }
+  const before = calculateFootprint(form).deviceKg
+  expect(calculateFootprint(form, profileFactors(cea2024)).deviceKg).toBeCloseTo(before / 2, 1)
+})
+
+test('uploaded profiles can be chosen for the survey', () => {
+  const storage = memoryStorage()
+  const upload = variant({ id: 'alt-ai', version: '1', name: 'Alternative AI estimates' })
+  saveCustomProfiles([upload, { id: 'broken' }], storage)
+  expect(loadCustomProfiles(storage)).toEqual([upload])
+  expect(availableProfiles(storage).map(profileKey)).toEqual(['india-default@2025.2', 'india-cea-2024@2025.1', 'alt-ai@1'])
+
+  expect(getActiveProfile(storage)).toBe(DEFAULT_PROFILE)
+  setActiveProfile(upload, storage)
+  expect(getActiveProfile(storage)).toEqual(upload)
+  storage.setItem(ACTIVE_PROFILE_KEY, 'gone@1')
+  expect(getActiveProfile(storage)).toBe(DEFAULT_PROFILE)
+})
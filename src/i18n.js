@@ -0,0 +1,93 @@
+// Translation and number formatting for the survey. Answers are always stored
+// as the schema's English option text; a locale only changes what is shown,
+// so responses collected in any language land in the same dataset.
+//
+// Each locale in src/locales/ is plain data:
+//   code, name     language code and its name in that language
+//   intl           BCP 47 tag used for Intl number and date formatting
+//   strings        interface text by key; `{name}` marks a placeholder and
+//                  `**bold**` marks emphasis
+//   sections       section id -> { title, step }
+//   questions      field -> question label
+//   deviceQuestion { count, hours, age } label templates for the device table
+//   devices        device field -> row label
+//   quiz           quiz field -> { title, question }
+//   options        English option text -> translated text (shared by all questions)
+// Anything a locale leaves out falls back to English. Imported by
+// validation.js and so by the Node CLI; keep to Node-loadable imports.
+import { LOCALES } from './locales/index.js'
+import { DEVICE_TYPES } from './surveySchema.js'
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export function getLocale(code) {
+  return LOCALES.find((l) => l.code === code) || LOCALES.find((l) => l.code === DEFAULT_LANGUAGE)
+}
+
+export function interpolate(text, values = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match))
+}
+
+/**
+ * Everything the UI needs to show text in one language: `t(key, values)` for
+ * interface strings, `label`/`option`/`section`/`device`/`quizText` for the
+ * schema, and Indian-grouped (lakh/crore) `number` and `inr` formatting.
+ */
+export function createTranslator(code) {
+  const locale = getLocale(code)
+  const english = getLocale(DEFAULT_LANGUAGE)
+  const pick = (table, key) => (locale[table] && locale[table][key] !== undefined ? locale[table][key] : undefined)
+
+  function t(key, values) {
+    const text = pick('strings', key) ?? english.strings[key] ?? key
+    return interpolate(text, values)
+  }
+
+  function option(text) {
+    return pick('options', text) ?? text
+  }
+
+  function device(field) {
+    const type = DEVICE_TYPES.find((d) => d.field === field)
+    return pick('devices', field) ?? (type ? type.label : field)
+  }
+
+  function quizText(question) {
+    return pick('quiz', question.field) ?? { title: question.title, question: question.question }
+  }
+
+  function label(question) {
+    const own = pick('questions', question.field)
+    if (own !== undefined) return own
+    if (question.device && locale.deviceQuestion) return interpolate(locale.deviceQuestion[question.part], { device: device(question.device) })
+    const quiz = pick('quiz', question.field)
+    if (quiz) return `${quiz.title}: ${quiz.question}`
+    return question.label
+  }
+
+  function section(s) {
+    return pick('sections', s.id) ?? { title: s.title, step: s.step }
+  }
+
+  const numberFormats = {}
+  function number(value, decimals = 2) {
+    if (!numberFormats[decimals]) numberFormats[decimals] = new Intl.NumberFormat(locale.intl, { maximumFractionDigits: decimals })
+    return numberFormats[decimals].format(Number(value) || 0)
+  }
+
+  const currency = new Intl.NumberFormat(locale.intl, { style: 'currency', currency: 'INR', maximumFractionDigits: 2 })
+  function inr(value) {
+    return currency.format(Number(value) || 0)
+  }
+
+  function date(iso) {
+    return new Date(iso).toLocaleString(locale.intl)
+  }
+
+  return { code: locale.code, t, option, device, quizText, label, section, number, inr, date }
+}
+
+// Languages offered in the switcher, as [code, name]
+export function availableLanguages() {
+  return LOCALES.map((l) => [l.code, l.name])
+}
@@ -0,0 +1,53 @@
+import { createTranslator, availableLanguages, interpolate } from './i18n'
+import { LOCALES } from './locales'
+import { QUESTIONS, QUESTION_LIST } from './surveySchema'
+import { validateForm } from './validation'
+import en from './locales/en'
+
+test('interpolate fills named placeholders and leaves unknown ones', () => {
+  expect(interpolate('Step {current} of {total}', { current: 2, total: 6 })).toBe('Step 2 of 6')
+  expect(interpolate('{missing} stays', {})).toBe('{missing} stays')
+})
+
+test('English reads straight from the schema', () => {
+  const i18n = createTranslator('en')
+  expect(i18n.label(QUESTIONS.gender)).toBe('Gender')
+  expect(i18n.option('Female')).toBe('Female')
+  expect(i18n.t('progress.step', { current: 1, total: 6 })).toBe('Step 1 of 6')
+})
+
+test('Hindi translates labels, device rows, quiz text and options', () => {
+  const i18n = createTranslator('hi')
+  expect(i18n.label(QUESTIONS.gender)).toBe('लिंग')
+  expect(i18n.option('Female')).toBe('महिला')
+  expect(i18n.label(QUESTIONS.smartphoneDuration)).toContain(i18n.device('smartphone'))
+  expect(i18n.quizText(QUESTIONS.quizDataUsage).title).not.toBe(QUESTIONS.quizDataUsage.title)
+  expect(i18n.t('nav.next')).toBe('आगे')
+})
+
+test('unknown languages and missing entries fall back to English', () => {
+  expect(createTranslator('xx').code).toBe('en')
+  const i18n = createTranslator('hi')
+  expect(i18n.option('Not a real option')).toBe('Not a real option')
+  expect(i18n.t('no.such.key')).toBe('no.such.key')
+})
+
+test('numbers and rupees use lakh and crore grouping', () => {
+  const i18n = createTranslator('en')
+  expect(i18n.number(1234567)).toBe('12,34,567')
+  expect(i18n.number(1234.567)).toBe('1,234.57')
+  expect(i18n.inr(12345678)).toBe('₹1,23,45,678.00')
+})
+
+test('validation messages follow the language', () => {
+  const { errors } = validateForm({ ...Object.fromEntries(QUESTION_LIST.map((q) => [q.field, ''])), age: 'abc' }, createTranslator('hi').t)
+  expect(errors.age).toBe('एक संख्या दर्ज करें')
+})
+
+test('every locale uses only keys the English locale defines', () => {
+  expect(availableLanguages()).toEqual(LOCALES.map((l) => [l.code, l.name]))
+  LOCALES.forEach((locale) => {
+    Object.keys(locale.strings).forEach((key) => expect(en.strings).toHaveProperty([key]))
+    Object.keys(locale.questions || {}).forEach((field) => expect(QUESTIONS).toHaveProperty([field]))
+  })
+})
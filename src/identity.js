@@ -0,0 +1,71 @@
+// Participant identity. IDs and withdrawal codes are random, so two people
+// submitting at the same moment cannot collide and neither value says when
+// (or by whom) a response was made. The withdrawal code is shown to the
+// participant once; quoting it later is how they ask for their record to be
+// deleted. Files the participant downloads carry only a hash of it.
+
+// Crockford base32: no I, L, O or U, so a code read aloud or copied by hand
+// survives the usual mix-ups
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'
+const CODE_GROUPS = 3
+const CODE_GROUP_LENGTH = 4
+
+function defaultRandomBytes(n) {
+  return crypto.getRandomValues(new Uint8Array(n))
+}
+
+function hex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('')
+}
+
+// 128 random bits, e.g. "P-3f9c0a7e12d45b8861c0e2f4a9b7d310"
+export function generateParticipantId(randomBytes = defaultRandomBytes) {
+  return `P-${hex(randomBytes(16))}`
+}
+
+// 60 random bits as three groups of four, e.g. "7KQ2-M9XD-4TBN"
+export function generateWithdrawalCode(randomBytes = defaultRandomBytes) {
+  const chars = Array.from(randomBytes(CODE_GROUPS * CODE_GROUP_LENGTH), (b) => CODE_ALPHABET[b % CODE_ALPHABET.length])
+  const groups = []
+  for (let i = 0; i < chars.length; i += CODE_GROUP_LENGTH) groups.push(chars.slice(i, i + CODE_GROUP_LENGTH).join(''))
+  return groups.join('-')
+}
+
+/**
+ * A withdrawal code as typed by a participant or researcher, in the form it
+ * was issued: case, spaces and dashes are ignored and the letters Crockford
+ * base32 leaves out are read as the digits they resemble. Returns null when
+ * it cannot be a code.
+ */
+export function normaliseWithdrawalCode(text) {
+  const chars = String(text || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1')
+  if (chars.length !== CODE_GROUPS * CODE_GROUP_LENGTH || [...chars].some((c) => !CODE_ALPHABET.includes(c))) return null
+  return chars.match(new RegExp(`.{${CODE_GROUP_LENGTH}}`, 'g')).join('-')
+}
+
+/**
+ * SHA-256 of a withdrawal code as hex, or null where the browser offers no
+ * Web Crypto (pages served over plain http). Codes are ASCII, so no
+ * TextEncoder is needed.
+ */
+export async function hashWithdrawalCode(code) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null
+  const digest = await crypto.subtle.digest('SHA-256', Uint8Array.from(code, (c) => c.charCodeAt(0)))
+  return hex(new Uint8Array(digest))
+}
+
+/**
+ * A record as the participant may download it. Whoever holds the file could
+ * quote the code and have the response deleted, so only its hash goes in;
+ * that is still enough for the dashboard to find the record when the
+ * participant sends the code.
+ */
+export async function participantCopy(record) {
+  const { withdrawalCode, ...rest } = record
+  const withdrawalCodeHash = withdrawalCode && (await hashWithdrawalCode(withdrawalCode))
+  return withdrawalCodeHash ? { ...rest, withdrawalCodeHash } : rest
+}
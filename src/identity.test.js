@@ -0,0 +1,32 @@
+import { generateParticipantId, generateWithdrawalCode, normaliseWithdrawalCode, participantCopy } from './identity'
+
+test('participant IDs are 128 random bits and do not repeat', () => {
+  expect(generateParticipantId((n) => new Uint8Array(n).fill(171))).toBe(`P-${'ab'.repeat(16)}`)
+  const ids = new Set(Array.from({ length: 1000 }, () => generateParticipantId()))
+  expect(ids.size).toBe(1000)
+  ids.forEach((id) => expect(id).toMatch(/^P-[0-9a-f]{32}$/))
+})
+
+test('withdrawal codes are three groups of unambiguous characters', () => {
+  expect(generateWithdrawalCode((n) => Uint8Array.from({ length: n }, (_, i) => i * 3))).toBe('0369-CFJN-RVY1')
+  const codes = Array.from({ length: 200 }, () => generateWithdrawalCode())
+  codes.forEach((code) => expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{4}(-[0-9A-HJKMNP-TV-Z]{4}){2}$/))
+  expect(new Set(codes).size).toBe(200)
+})
+
+test('typed codes are read back in their issued form', () => {
+  expect(normaliseWithdrawalCode(' 7kq2 m9xd 4tbn ')).toBe('7KQ2-M9XD-4TBN')
+  expect(normaliseWithdrawalCode('OIL0-M9XD-4TBN')).toBe('0110-M9XD-4TBN')
+  expect(normaliseWithdrawalCode('7KQ2-M9XD')).toBeNull()
+  expect(normaliseWithdrawalCode('7KQ2-M9XD-4TBU')).toBeNull()
+  expect(normaliseWithdrawalCode(undefined)).toBeNull()
+})
+
+test('the participant\'s copy of a record holds the withdrawal code\'s hash, not the code', async () => {
+  const record = { participantId: 'P-1', withdrawalCode: '7KQ2-M9XD-4TBN', form: {} }
+  const copy = await participantCopy(record)
+  expect(copy).toEqual({ participantId: 'P-1', withdrawalCodeHash: 'ef0b5ef3b2d8417cd1e34b5c46338e64c1bdea3d4e67f1a58fa020e40bed2c84', form: {} })
+  expect(JSON.stringify(copy)).not.toContain('7KQ2')
+  expect(record.withdrawalCode).toBe('7KQ2-M9XD-4TBN')
+  expect(await participantCopy({ participantId: 'P-2' })).toEqual({ participantId: 'P-2' })
+})
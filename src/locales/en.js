@@ -0,0 +1,193 @@
+// English: the reference locale. Question labels and options come straight
+// from the survey schema, so only interface text lives here. Every key used
+// in the app must exist in this file; other locales fall back to it.
+const en = {
+  code: 'en',
+  name: 'English',
+  intl: 'en-IN',
+  strings: {
+    'language': 'Language',
+    'hero.title': 'Electronic Use & Carbon Footprint Survey',
+    'hero.subtitle': 'Contribute to a greener future — understand your digital impact on the environment.',
+    'hero.costPreview': 'Estimated cost preview',
+    'hero.costRate': '(at {rate}/tCO₂)',
+
+    'draft.unfinished': 'You have unfinished answers.',
+    'draft.unfinishedSince': 'You have unfinished answers from {date}.',
+    'draft.resume': 'Resume where you left off',
+    'draft.startOver': 'Start over',
+    'progress.step': 'Step {current} of {total}',
+
+    'nav.back': 'Back',
+    'nav.next': 'Next',
+    'nav.downloadJson': 'Download JSON',
+    'nav.downloadCsv': 'Download CSV',
+    'nav.submit': 'Calculate & Submit',
+
+    'message.fixBeforeContinuing': 'Please fix the highlighted answers before continuing: {fields}.',
+    'message.fixBeforeSubmitting': 'Please fix the highlighted answers before submitting: {fields}.',
+    'message.consentRequired': 'Please provide consent to participate.',
+    'message.completed': 'Survey completed successfully! Your carbon footprint has been calculated.',
+
+    'field.select': 'Select',
+
+    'validation.pickOption': 'Pick one of the listed options',
+    'validation.number': 'Enter a number',
+    'validation.wholeNumber': 'Enter a whole number',
+    'validation.range': 'Enter a number from {min} to {max}',
+    'validation.unusuallyHigh': '{value} is unusually high — please double-check',
+    'validation.deviceTotal': 'Your device table adds up to {total}; update this or the table',
+    'validation.hoursWithoutDevices': 'Hours entered but no devices counted',
+
+    'devices.heading': 'Devices Owned (Enter quantity of devices, Daily usage hours, and Age of the devices)',
+    'devices.type': 'Device Type',
+    'devices.count': 'Number of devices',
+    'devices.hours': 'Hours/Day',
+    'devices.age': 'Age of the devices (Years)',
+
+    'aiMix.heading': 'What do you use AI for?',
+    'aiMix.hint': 'Give a rough share for each kind of use, e.g. mostly text and some image generation. Leave the ones you never use at None.',
+
+    'quiz.intro': "Test your knowledge about electronic device carbon footprints! Pick the answer closest to the truth — we'll score you after you submit.",
+    'quiz.score': 'Your score: {score}/{total}',
+    'quiz.correct': 'Correct!',
+    'quiz.notAnswered': 'Not answered. The answer is {answer}.',
+    'quiz.offOne': '1 option off — the answer is {answer}.',
+    'quiz.offMany': '{steps} options off — the answer is {answer}.',
+    'quiz.explain.quizDataUsage': '1 hour of HD is about {gb} GB. Each GB emits {kgPerGb} kg CO₂ in data centres and the core network, plus about {accessKgPerGb} kg for the mobile or broadband connection, so about {grams} g.',
+    'quiz.explain.quizDeviceLifespan': "A phone's ~{embodiedKg} kg manufacturing footprint spread over 5 years instead of 2 is {percent}% less per year.",
+    'quiz.explain.quizChargingImpact': 'Always-plugged-in devices keep drawing standby and trickle power, about {percent}% more than charging only when needed.',
+    'quiz.explain.quizStreamingFootprint': '4K uses about {gb4k} GB/hour against {gbSd} GB/hour for SD, about {ratio}× more.',
+    'quiz.explain.quizRenewableEnergy': 'Mostly renewable supply still leaves some grid and backup power, so the cut is about {percent}%, not 100%.',
+    'quiz.explain.quizAIFootprint': 'An image costs about {imageKg} kg CO₂ against {textKg} kg for a text query, roughly {ratio} text queries.',
+
+    'facts.title': '💡 Digital Carbon Facts',
+    'facts.1.title': '📡 Global Data Infrastructure Cost',
+    'facts.1.body': 'Transferring 1GB globally costs **₹0.80-2.50** including undersea cables, data centers, bandwidth, cooling systems, and maintenance workforce.',
+    'facts.1.note': '**💰 Daily Cost:** ₹2,300 crores spent daily on global internet infrastructure!',
+    'facts.2.title': '🎬 Streaming Infrastructure',
+    'facts.2.body': 'Netflix spends **₹15,000 crores annually** on content delivery networks (CDNs) and bandwidth to stream videos worldwide smoothly.',
+    'facts.2.note': "**💰 Daily Reality:** ₹41 crores daily just for Netflix's streaming infrastructure",
+    'facts.3.title': '🤖 AI Infrastructure Cost',
+    'facts.3.body': "OpenAI spends **₹2,100 crores monthly** on computing infrastructure. Google's AI data centers cost **₹50,000 crores** to build.",
+    'facts.3.note': '**💰 Daily Scale:** ₹70 crores daily spent by OpenAI alone on computing power',
+    'facts.4.title': '📱 Manufacturing Infrastructure',
+    'facts.4.body': "Foxconn's iPhone factories cost **₹40,000 crores** to setup. Semiconductor fabs cost **₹80,000+ crores** each to build.",
+    'facts.4.note': '**💰 Daily Production:** ₹550 crores worth of global electronics manufactured daily',
+    'facts.5.title': '🔋 Power Grid Infrastructure',
+    'facts.5.body': "India's power grid infrastructure is worth **₹25 lakh crores**. Each power plant costs ₹15,000-50,000 crores to build and maintain.",
+    'facts.5.note': "**💰 Daily Maintenance:** ₹137 crores daily maintenance for India's electricity grid",
+    'facts.6.title': '🌱 Undersea Cable Reality',
+    'facts.6.body': 'Undersea internet cables cost **₹2,500-4,000 crores per cable**. 400+ cables carry 99% of international data worldwide.',
+    'facts.6.note': '**💰 Daily Operations:** ₹85 crores daily to operate and maintain undersea cables',
+    'facts.footer': '💚 Your responses help researchers understand digital behavior patterns and promote sustainable technology use!',
+    'expectation.note': "**Expectation vs Reality:** Press **Calculate** and we'll show how your estimate compares to a computed footprint based on your inputs.",
+
+    'results.total': 'Total Annual Footprint',
+    'results.approxCost': 'Approx. {cost} (at {rate}/tCO₂)',
+    'results.interval': '90% interval: {low}–{high} kg',
+    'results.intervalNote': 'Intervals come from {runs} simulations over the range of each answer band and of each emission factor.',
+    'results.gridFactor': 'Grid factor applied:',
+    'results.nationalAverage': 'National average',
+    'results.factorProfile': 'Emission factors: {name}, version {version}',
+    'results.effectiveFactor': 'Effective factor after your power source:',
+    'results.powerConflict': 'Your power source and renewable share answers disagree, so we used a value between them.',
+    'results.internetHoursConflict': 'Your streaming and cloud hours add up to more than the {hours} hours a day you spend online, so we counted no extra browsing.',
+    'results.byDevice': 'By device (kg CO₂/year)',
+    'results.electricity': 'Electricity',
+    'results.deviceKwh': '{device}: {kwh} kWh/year',
+    'category.device': 'Devices',
+    'category.data': 'Data & Streaming',
+    'category.ai': 'AI',
+    'category.manufacturing': 'Manufacturing',
+
+    'perception.title': 'Expectation vs Reality',
+    'perception.prompt': 'Pick "{question}" to see how it compares with your computed {kg} kg CO₂.',
+    'perception.accurate': 'Your estimate matches your computed footprint.',
+    'perception.underOne': 'You under-estimated by 1 level.',
+    'perception.underMany': 'You under-estimated by {steps} levels.',
+    'perception.overOne': 'You over-estimated by 1 level.',
+    'perception.overMany': 'You over-estimated by {steps} levels.',
+    'perception.yourEstimate': 'Your estimate',
+    'perception.computed': 'Computed ({kg} kg)',
+
+    'whatIf.title': 'What if…?',
+    'whatIf.intro': 'Try changes on a copy of your answers and compare. Your real answers stay as they are.',
+    'whatIf.start': 'Copy my answers into a scenario',
+    'whatIf.baseline': 'Your answers',
+    'whatIf.scenario': 'Scenario',
+    'whatIf.lower': '{kg} kg CO₂ lower ({percent}%)',
+    'whatIf.higher': '{kg} kg CO₂ higher ({percent}%)',
+    'whatIf.same': 'Same footprint as your answers',
+    'whatIf.hours': '{device}: hours/day',
+    'whatIf.notAnswered': 'Not answered',
+    'whatIf.name': 'Scenario name',
+    'whatIf.defaultName': 'Scenario {n}',
+    'whatIf.save': 'Save',
+    'whatIf.close': 'Close',
+    'whatIf.saved': 'Saved scenarios',
+    'whatIf.delete': 'Delete {name}',
+
+    'recommend.title': 'How you could cut your footprint',
+    'recommend.intro': 'Estimated from your own answers: each saving is what the calculator gives if you made just that one change.',
+    'recommend.none': 'Your answers leave little to cut — your footprint is already low for the changes we model.',
+    'recommend.saving': 'Saves about {kg} kg CO₂ ({percent}%) and {inr} a year',
+    'recommend.streamEntertainmentSd.title': 'Stream entertainment in SD',
+    'recommend.streamEntertainmentSd.body': 'Standard definition uses a fraction of the data of HD or 4K, and on a phone screen the difference is hard to see.',
+    'recommend.streamAcademicHd.title': 'Watch lectures in HD, not 4K',
+    'recommend.streamAcademicHd.body': 'Slides and talking heads look just as sharp in HD, at around a quarter of the data.',
+    'recommend.streamLess.title': 'Stream a little less each week',
+    'recommend.streamLess.body': 'Dropping to the next lower band of entertainment streaming, for example by turning off autoplay and background videos.',
+    'recommend.batterySaver.title': 'Use battery saver instead of keeping devices plugged in',
+    'recommend.batterySaver.body': 'Unplug once charged and turn on battery saver mode; idle chargers and trickle charging waste power.',
+    'recommend.routerOvernight.title': 'Switch off the router overnight',
+    'recommend.routerOvernight.body': 'A plug-in timer can turn your Wi-Fi off for {hours} hours while everyone is asleep.',
+    'recommend.lessScreenTime.title': 'Use your {device} one hour less a day',
+    'recommend.lessScreenTime.body': 'Your {device} is your most power-hungry device in use; an hour less a day makes the biggest dent.',
+    'recommend.keepDevicesLonger.title': 'Keep your devices {years} years longer',
+    'recommend.keepDevicesLonger.body': 'Most of a gadget\'s footprint comes from making it. Repairing, replacing batteries and delaying upgrades spreads that over more years.',
+    'recommend.efficientAppliances.title': 'Choose energy-efficient devices',
+    'recommend.efficientAppliances.body': 'When you next replace something, pick a BEE 5-star or similarly rated model.',
+    'recommend.greenTariff.title': 'Switch to a green electricity tariff',
+    'recommend.greenTariff.body': 'Many electricity distributors offer a renewable (green) tariff; ask yours, or consider rooftop solar.',
+    'recommend.textOverImages.title': 'Ask AI for text rather than images',
+    'recommend.textOverImages.body': 'Generating an image takes far more computing than a text answer; save image tools for when you really need them.',
+    'recommend.fewerTransfers.title': 'Halve your large uploads and downloads',
+    'recommend.fewerTransfers.body': 'Share links instead of sending copies, and avoid re-downloading files you already have.',
+
+    'submission.pending': 'Sending your response… (attempt {attempt})',
+    'submission.queued': "You appear to be offline. Your response is saved on this device and will be sent automatically when you're back online.",
+    'submission.waitingOne': '1 response saved on this device, waiting to sync',
+    'submission.waitingMany': '{count} responses saved on this device, waiting to sync',
+    'submission.submitted': 'Response saved. Thank you!',
+    'submission.failed': "We couldn't save your response ({error}). Please retry, or use Download JSON and send us the file.",
+    'submission.retry': 'Retry',
+    'withdrawal.title': 'Your withdrawal code',
+    'withdrawal.body': 'Keep this code. If you change your mind about taking part, send it to the survey team and your response will be deleted. It is not in the files you download, so note it down. Your name is never stored, so without the code we cannot tell which response is yours.',
+
+    'report.keep': 'Keep your results',
+    'report.downloadPdf': 'Download PDF report',
+    'report.pdfFailed': 'Could not create the PDF report ({error}).',
+    'report.print': 'Print report',
+    'report.shareImage': 'Download share image',
+    'report.title': 'My digital carbon footprint',
+    'report.devices': 'Your devices, per year',
+    'report.device': 'Device',
+    'report.count': 'Count',
+    'report.deviceTotal': 'Total',
+    'report.methodology': 'How this was calculated',
+    'report.methodologyBody': 'These are estimates from your answers, not measurements. Device electricity is each device\'s typical power × your daily hours × 365, at {grid} kg CO₂/kWh for your state and adjusted for your power source, charging habits and appliances. Making a device is spread over its expected life. Streaming, cloud, transfers and the rest of your time online are converted from data volume, including the energy of your mobile or broadband connection, and AI from the number of queries, weighted by what you use it for. Answers given as a range use the middle of the range. Rupee costs use a social cost of carbon of {rate}/tCO₂.',
+
+    'share.heading': 'My digital carbon footprint',
+    'share.perYear': 'per year · about {cost} in climate damage',
+    'share.nextStep': 'My next step:',
+    'share.callToAction': 'Measure yours in the Electronic Use & Carbon Footprint Survey',
+    'share.callToActionUrl': 'Measure yours: {url}',
+    'share.failed': 'Could not create the share image ({error}).',
+    'share.downloadedInstead': 'Sharing did not work on this device, so the image was downloaded instead.',
+
+    'footer': 'Made with care 🌿 — this tool provides estimates; please validate emission factors before using results in research.',
+  },
+}
+
+export default en
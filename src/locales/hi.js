@@ -0,0 +1,412 @@
+// Hindi. A template for further languages: copy this file, translate the
+// values (never the keys, which are the English schema text), and list the
+// new locale in locales/index.js. Missing entries fall back to English.
+const hi = {
+  code: 'hi',
+  name: 'हिन्दी',
+  intl: 'hi-IN',
+  strings: {
+    'language': 'भाषा',
+    'hero.title': 'इलेक्ट्रॉनिक उपयोग और कार्बन फुटप्रिंट सर्वेक्षण',
+    'hero.subtitle': 'हरित भविष्य में योगदान दें — पर्यावरण पर अपने डिजिटल प्रभाव को समझें।',
+    'hero.costPreview': 'अनुमानित लागत',
+    'hero.costRate': '({rate}/tCO₂ की दर से)',
+
+    'draft.unfinished': 'आपके कुछ उत्तर अधूरे हैं।',
+    'draft.unfinishedSince': '{date} से आपके कुछ उत्तर अधूरे हैं।',
+    'draft.resume': 'जहाँ छोड़ा था वहीं से जारी रखें',
+    'draft.startOver': 'फिर से शुरू करें',
+    'progress.step': 'चरण {current} / {total}',
+
+    'nav.back': 'पीछे',
+    'nav.next': 'आगे',
+    'nav.downloadJson': 'JSON डाउनलोड करें',
+    'nav.downloadCsv': 'CSV डाउनलोड करें',
+    'nav.submit': 'गणना करें और जमा करें',
+
+    'message.fixBeforeContinuing': 'आगे बढ़ने से पहले चिह्नित उत्तर ठीक करें: {fields}।',
+    'message.fixBeforeSubmitting': 'जमा करने से पहले चिह्नित उत्तर ठीक करें: {fields}।',
+    'message.consentRequired': 'कृपया भाग लेने के लिए सहमति दें।',
+    'message.completed': 'सर्वेक्षण सफलतापूर्वक पूरा हुआ! आपके कार्बन फुटप्रिंट की गणना हो गई है।',
+
+    'field.select': 'चुनें',
+
+    'validation.pickOption': 'दिए गए विकल्पों में से एक चुनें',
+    'validation.number': 'एक संख्या दर्ज करें',
+    'validation.wholeNumber': 'पूर्ण संख्या दर्ज करें',
+    'validation.range': '{min} से {max} के बीच की संख्या दर्ज करें',
+    'validation.unusuallyHigh': '{value} असामान्य रूप से अधिक है — कृपया दोबारा जाँचें',
+    'validation.deviceTotal': 'आपकी डिवाइस तालिका का योग {total} है; इसे या तालिका को ठीक करें',
+    'validation.hoursWithoutDevices': 'घंटे दर्ज हैं पर डिवाइस की संख्या नहीं',
+
+    'devices.heading': 'आपके डिवाइस (डिवाइस की संख्या, रोज़ाना उपयोग के घंटे और डिवाइस की उम्र दर्ज करें)',
+    'devices.type': 'डिवाइस का प्रकार',
+    'devices.count': 'डिवाइस की संख्या',
+    'devices.hours': 'घंटे/दिन',
+    'devices.age': 'डिवाइस की उम्र (वर्ष)',
+
+    'aiMix.heading': 'आप AI का उपयोग किसलिए करते हैं?',
+    'aiMix.hint': 'हर तरह के उपयोग का मोटा हिस्सा बताएँ, जैसे ज़्यादातर टेक्स्ट और कुछ इमेज जनरेशन। जिनका उपयोग कभी नहीं करते, उन्हें "बिल्कुल नहीं" पर छोड़ दें।',
+
+    'quiz.intro': 'इलेक्ट्रॉनिक डिवाइस के कार्बन फुटप्रिंट के बारे में अपना ज्ञान परखें! सच के सबसे नज़दीक वाला उत्तर चुनें — जमा करने के बाद हम आपका स्कोर बताएँगे।',
+    'quiz.score': 'आपका स्कोर: {score}/{total}',
+    'quiz.correct': 'सही!',
+    'quiz.notAnswered': 'उत्तर नहीं दिया। सही उत्तर {answer} है।',
+    'quiz.offOne': '1 विकल्प दूर — सही उत्तर {answer} है।',
+    'quiz.offMany': '{steps} विकल्प दूर — सही उत्तर {answer} है।',
+    'quiz.explain.quizDataUsage': '1 घंटे का HD लगभग {gb} GB होता है। हर GB से डेटा सेंटर और कोर नेटवर्क में {kgPerGb} kg CO₂ निकलती है, और मोबाइल या ब्रॉडबैंड कनेक्शन के लिए लगभग {accessKgPerGb} kg और, यानी लगभग {grams} ग्राम।',
+    'quiz.explain.quizDeviceLifespan': 'फ़ोन के निर्माण का ~{embodiedKg} kg फुटप्रिंट 2 की जगह 5 साल में बँटे तो हर साल {percent}% कम होता है।',
+    'quiz.explain.quizChargingImpact': 'हमेशा प्लग में लगे डिवाइस स्टैंडबाय और ट्रिकल बिजली लेते रहते हैं, ज़रूरत पर चार्ज करने से लगभग {percent}% अधिक।',
+    'quiz.explain.quizStreamingFootprint': '4K लगभग {gb4k} GB/घंटा लेता है जबकि SD {gbSd} GB/घंटा, यानी लगभग {ratio}× अधिक।',
+    'quiz.explain.quizRenewableEnergy': 'ज़्यादातर नवीकरणीय आपूर्ति में भी कुछ ग्रिड और बैकअप बिजली रहती है, इसलिए कमी लगभग {percent}% है, 100% नहीं।',
+    'quiz.explain.quizAIFootprint': 'एक इमेज से लगभग {imageKg} kg CO₂ निकलती है, जबकि एक टेक्स्ट क्वेरी से {textKg} kg, यानी लगभग {ratio} टेक्स्ट क्वेरी के बराबर।',
+
+    'facts.title': '💡 डिजिटल कार्बन तथ्य',
+    'facts.1.title': '📡 वैश्विक डेटा इंफ्रास्ट्रक्चर की लागत',
+    'facts.1.body': '1GB डेटा दुनिया भर में भेजने की लागत **₹0.80-2.50** है, जिसमें समुद्री केबल, डेटा सेंटर, बैंडविड्थ, कूलिंग और रखरखाव कर्मचारी शामिल हैं।',
+    'facts.1.note': '**💰 रोज़ाना लागत:** वैश्विक इंटरनेट इंफ्रास्ट्रक्चर पर हर दिन ₹2,300 करोड़ खर्च होते हैं!',
+    'facts.2.title': '🎬 स्ट्रीमिंग इंफ्रास्ट्रक्चर',
+    'facts.2.body': 'Netflix दुनिया भर में वीडियो सुचारु रूप से स्ट्रीम करने के लिए कंटेंट डिलीवरी नेटवर्क (CDN) और बैंडविड्थ पर **सालाना ₹15,000 करोड़** खर्च करता है।',
+    'facts.2.note': '**💰 रोज़ाना हकीकत:** सिर्फ़ Netflix के स्ट्रीमिंग इंफ्रास्ट्रक्चर पर हर दिन ₹41 करोड़',
+    'facts.3.title': '🤖 AI इंफ्रास्ट्रक्चर की लागत',
+    'facts.3.body': 'OpenAI कंप्यूटिंग इंफ्रास्ट्रक्चर पर **हर महीने ₹2,100 करोड़** खर्च करता है। Google के AI डेटा सेंटर बनाने में **₹50,000 करोड़** लगते हैं।',
+    'facts.3.note': '**💰 रोज़ाना पैमाना:** अकेले OpenAI कंप्यूटिंग पावर पर हर दिन ₹70 करोड़ खर्च करता है',
+    'facts.4.title': '📱 निर्माण इंफ्रास्ट्रक्चर',
+    'facts.4.body': 'Foxconn की iPhone फ़ैक्टरियाँ लगाने में **₹40,000 करोड़** लगे। हर सेमीकंडक्टर फ़ैब बनाने में **₹80,000+ करोड़** लगते हैं।',
+    'facts.4.note': '**💰 रोज़ाना उत्पादन:** दुनिया भर में हर दिन ₹550 करोड़ के इलेक्ट्रॉनिक्स बनते हैं',
+    'facts.5.title': '🔋 पावर ग्रिड इंफ्रास्ट्रक्चर',
+    'facts.5.body': 'भारत के पावर ग्रिड इंफ्रास्ट्रक्चर का मूल्य **₹25 लाख करोड़** है। हर पावर प्लांट बनाने और चलाने में ₹15,000-50,000 करोड़ लगते हैं।',
+    'facts.5.note': '**💰 रोज़ाना रखरखाव:** भारत के बिजली ग्रिड के रखरखाव पर हर दिन ₹137 करोड़',
+    'facts.6.title': '🌱 समुद्री केबल की हकीकत',
+    'facts.6.body': 'समुद्री इंटरनेट केबल की लागत **₹2,500-4,000 करोड़ प्रति केबल** है। 400+ केबल दुनिया का 99% अंतरराष्ट्रीय डेटा ले जाते हैं।',
+    'facts.6.note': '**💰 रोज़ाना संचालन:** समुद्री केबल चलाने और बनाए रखने पर हर दिन ₹85 करोड़',
+    'facts.footer': '💚 आपके उत्तर शोधकर्ताओं को डिजिटल व्यवहार समझने और टिकाऊ तकनीक को बढ़ावा देने में मदद करते हैं!',
+    'expectation.note': '**अनुमान बनाम वास्तविकता:** **गणना करें** दबाएँ, और हम दिखाएँगे कि आपका अनुमान आपके उत्तरों से निकले फुटप्रिंट से कैसे मेल खाता है।',
+
+    'results.total': 'कुल वार्षिक फुटप्रिंट',
+    'results.approxCost': 'लगभग {cost} ({rate}/tCO₂ की दर से)',
+    'results.interval': '90% अंतराल: {low}–{high} kg',
+    'results.intervalNote': 'अंतराल हर उत्तर-श्रेणी और हर उत्सर्जन कारक की सीमा पर {runs} सिमुलेशन से निकाले गए हैं।',
+    'results.gridFactor': 'लागू ग्रिड फ़ैक्टर:',
+    'results.nationalAverage': 'राष्ट्रीय औसत',
+    'results.factorProfile': 'उत्सर्जन कारक: {name}, संस्करण {version}',
+    'results.effectiveFactor': 'आपके बिजली स्रोत के बाद प्रभावी फ़ैक्टर:',
+    'results.powerConflict': 'आपके बिजली स्रोत और नवीकरणीय हिस्से के उत्तर मेल नहीं खाते, इसलिए हमने दोनों के बीच का मान लिया।',
+    'results.internetHoursConflict': 'आपके स्ट्रीमिंग और क्लाउड के घंटे रोज़ ऑनलाइन बिताए {hours} घंटों से ज़्यादा हैं, इसलिए हमने अलग से ब्राउज़िंग नहीं गिनी।',
+    'results.byDevice': 'डिवाइस के अनुसार (kg CO₂/वर्ष)',
+    'results.electricity': 'बिजली',
+    'results.deviceKwh': '{device}: {kwh} kWh/वर्ष',
+    'category.device': 'डिवाइस',
+    'category.data': 'डेटा और स्ट्रीमिंग',
+    'category.ai': 'AI',
+    'category.manufacturing': 'निर्माण',
+
+    'perception.title': 'अनुमान बनाम वास्तविकता',
+    'perception.prompt': '"{question}" चुनें और देखें कि यह आपके गणना किए गए {kg} kg CO₂ से कैसे मेल खाता है।',
+    'perception.accurate': 'आपका अनुमान आपके गणना किए गए फुटप्रिंट से मेल खाता है।',
+    'perception.underOne': 'आपने 1 स्तर कम अनुमान लगाया।',
+    'perception.underMany': 'आपने {steps} स्तर कम अनुमान लगाया।',
+    'perception.overOne': 'आपने 1 स्तर अधिक अनुमान लगाया।',
+    'perception.overMany': 'आपने {steps} स्तर अधिक अनुमान लगाया।',
+    'perception.yourEstimate': 'आपका अनुमान',
+    'perception.computed': 'गणना ({kg} kg)',
+
+    'whatIf.title': 'अगर ऐसा हो तो…?',
+    'whatIf.intro': 'अपने उत्तरों की एक कॉपी पर बदलाव आज़माएँ और तुलना करें। आपके असली उत्तर जैसे हैं वैसे ही रहेंगे।',
+    'whatIf.start': 'मेरे उत्तर एक परिदृश्य में कॉपी करें',
+    'whatIf.baseline': 'आपके उत्तर',
+    'whatIf.scenario': 'परिदृश्य',
+    'whatIf.lower': '{kg} kg CO₂ कम ({percent}%)',
+    'whatIf.higher': '{kg} kg CO₂ ज़्यादा ({percent}%)',
+    'whatIf.same': 'आपके उत्तरों जितना ही फुटप्रिंट',
+    'whatIf.hours': '{device}: घंटे/दिन',
+    'whatIf.notAnswered': 'उत्तर नहीं दिया',
+    'whatIf.name': 'परिदृश्य का नाम',
+    'whatIf.defaultName': 'परिदृश्य {n}',
+    'whatIf.save': 'सहेजें',
+    'whatIf.close': 'बंद करें',
+    'whatIf.saved': 'सहेजे गए परिदृश्य',
+    'whatIf.delete': '{name} हटाएँ',
+
+    'recommend.title': 'आप अपना फुटप्रिंट कैसे घटा सकते हैं',
+    'recommend.intro': 'आपके अपने उत्तरों से अनुमानित: हर बचत वह है जो केवल वही एक बदलाव करने पर कैलकुलेटर बताता है।',
+    'recommend.none': 'आपके उत्तरों में घटाने को बहुत कम है — जिन बदलावों का हम मॉडल बनाते हैं, उनके लिए आपका फुटप्रिंट पहले से कम है।',
+    'recommend.saving': 'हर साल लगभग {kg} kg CO₂ ({percent}%) और {inr} की बचत',
+    'recommend.streamEntertainmentSd.title': 'मनोरंजन SD में स्ट्रीम करें',
+    'recommend.streamEntertainmentSd.body': 'स्टैंडर्ड डेफ़िनिशन HD या 4K के मुकाबले बहुत कम डेटा लेता है, और फ़ोन की स्क्रीन पर फ़र्क मुश्किल से दिखता है।',
+    'recommend.streamAcademicHd.title': 'लेक्चर 4K नहीं, HD में देखें',
+    'recommend.streamAcademicHd.body': 'स्लाइड और वक्ता HD में भी उतने ही साफ़ दिखते हैं, लगभग एक-चौथाई डेटा में।',
+    'recommend.streamLess.title': 'हर हफ़्ते थोड़ा कम स्ट्रीम करें',
+    'recommend.streamLess.body': 'मनोरंजन स्ट्रीमिंग को अगली निचली श्रेणी तक घटाएँ, जैसे ऑटोप्ले और बैकग्राउंड वीडियो बंद करके।',
+    'recommend.batterySaver.title': 'डिवाइस हमेशा प्लग में रखने के बजाय बैटरी सेवर अपनाएँ',
+    'recommend.batterySaver.body': 'चार्ज होने पर प्लग निकाल दें और बैटरी सेवर मोड चालू करें; खाली चार्जर और ट्रिकल चार्जिंग बिजली बर्बाद करते हैं।',
+    'recommend.routerOvernight.title': 'रात में राउटर बंद करें',
+    'recommend.routerOvernight.body': 'प्लग-इन टाइमर से सबके सोते समय Wi-Fi को {hours} घंटे बंद रखा जा सकता है।',
+    'recommend.lessScreenTime.title': 'अपना {device} रोज़ एक घंटा कम इस्तेमाल करें',
+    'recommend.lessScreenTime.body': 'आपका {device} उपयोग में सबसे ज़्यादा बिजली लेने वाला डिवाइस है; रोज़ एक घंटा कम करने से सबसे बड़ी बचत होती है।',
+    'recommend.keepDevicesLonger.title': 'अपने डिवाइस {years} साल ज़्यादा चलाएँ',
+    'recommend.keepDevicesLonger.body': 'किसी गैजेट का ज़्यादातर फुटप्रिंट उसे बनाने में आता है। मरम्मत, बैटरी बदलना और अपग्रेड टालना उसे ज़्यादा सालों में बाँट देता है।',
+    'recommend.efficientAppliances.title': 'ऊर्जा-कुशल डिवाइस चुनें',
+    'recommend.efficientAppliances.body': 'अगली बार कुछ बदलें तो BEE 5-स्टार या इसी तरह रेटेड मॉडल चुनें।',
+    'recommend.greenTariff.title': 'ग्रीन बिजली टैरिफ़ अपनाएँ',
+    'recommend.greenTariff.body': 'कई बिजली वितरण कंपनियाँ नवीकरणीय (ग्रीन) टैरिफ़ देती हैं; अपनी कंपनी से पूछें, या रूफ़टॉप सोलर पर विचार करें।',
+    'recommend.textOverImages.title': 'AI से इमेज के बजाय टेक्स्ट माँगें',
+    'recommend.textOverImages.body': 'इमेज बनाने में टेक्स्ट उत्तर से कहीं ज़्यादा कंप्यूटिंग लगती है; इमेज टूल तभी इस्तेमाल करें जब सच में ज़रूरत हो।',
+    'recommend.fewerTransfers.title': 'बड़े अपलोड और डाउनलोड आधे करें',
+    'recommend.fewerTransfers.body': 'कॉपी भेजने के बजाय लिंक शेयर करें, और पहले से मौजूद फ़ाइलें दोबारा डाउनलोड न करें।',
+
+    'submission.pending': 'आपका उत्तर भेजा जा रहा है… (प्रयास {attempt})',
+    'submission.queued': 'लगता है आप ऑफ़लाइन हैं। आपका उत्तर इस डिवाइस पर सहेजा गया है और ऑनलाइन होते ही अपने आप भेज दिया जाएगा।',
+    'submission.waitingOne': '1 उत्तर इस डिवाइस पर सहेजा गया है, सिंक होने की प्रतीक्षा में',
+    'submission.waitingMany': '{count} उत्तर इस डिवाइस पर सहेजे गए हैं, सिंक होने की प्रतीक्षा में',
+    'submission.submitted': 'उत्तर सहेजा गया। धन्यवाद!',
+    'submission.failed': 'हम आपका उत्तर सहेज नहीं सके ({error})। कृपया फिर से कोशिश करें, या JSON डाउनलोड करके फ़ाइल हमें भेजें।',
+    'submission.retry': 'फिर से कोशिश करें',
+    'withdrawal.title': 'आपका वापसी कोड',
+    'withdrawal.body': 'यह कोड संभाल कर रखें। अगर आप भाग लेने के बारे में अपना मन बदलते हैं, तो इसे सर्वेक्षण टीम को भेजें और आपका उत्तर हटा दिया जाएगा। यह कोड आपकी डाउनलोड की गई फ़ाइलों में नहीं है, इसलिए इसे लिख लें। आपका नाम कभी सहेजा नहीं जाता, इसलिए कोड के बिना हम नहीं जान सकते कि कौन सा उत्तर आपका है।',
+
+    'report.keep': 'अपने नतीजे रखें',
+    'report.downloadPdf': 'PDF रिपोर्ट डाउनलोड करें',
+    'report.pdfFailed': 'PDF रिपोर्ट नहीं बन सकी ({error})।',
+    'report.print': 'रिपोर्ट प्रिंट करें',
+    'report.shareImage': 'शेयर करने के लिए चित्र डाउनलोड करें',
+    'report.title': 'मेरा डिजिटल कार्बन फुटप्रिंट',
+    'report.devices': 'आपके डिवाइस, प्रति वर्ष',
+    'report.device': 'डिवाइस',
+    'report.count': 'संख्या',
+    'report.deviceTotal': 'कुल',
+    'report.methodology': 'यह गणना कैसे हुई',
+    'report.methodologyBody': 'ये आपके उत्तरों पर आधारित अनुमान हैं, माप नहीं। डिवाइस की बिजली हर डिवाइस की सामान्य पावर × आपके रोज़ के घंटे × 365 है, आपके राज्य के {grid} kg CO₂/kWh पर, और आपके बिजली स्रोत, चार्जिंग की आदतों और उपकरणों के अनुसार समायोजित। डिवाइस बनाने का उत्सर्जन उसकी अपेक्षित आयु में बाँटा गया है। स्ट्रीमिंग, क्लाउड, ट्रांसफ़र और ऑनलाइन बिताया बाकी समय डेटा की मात्रा से गिने गए हैं, जिसमें आपके मोबाइल या ब्रॉडबैंड कनेक्शन की बिजली भी शामिल है, और AI प्रश्नों की संख्या से, इस हिसाब से कि आप उसका उपयोग किसलिए करते हैं। सीमा में दिए गए उत्तरों के लिए सीमा का मध्य मान लिया गया है। रुपये की लागत {rate}/tCO₂ की कार्बन की सामाजिक लागत पर है।',
+
+    'share.heading': 'मेरा डिजिटल कार्बन फुटप्रिंट',
+    'share.perYear': 'प्रति वर्ष · जलवायु को लगभग {cost} का नुकसान',
+    'share.nextStep': 'मेरा अगला कदम:',
+    'share.callToAction': 'इलेक्ट्रॉनिक उपयोग और कार्बन फुटप्रिंट सर्वेक्षण में अपना फुटप्रिंट मापें',
+    'share.callToActionUrl': 'अपना फुटप्रिंट मापें: {url}',
+    'share.failed': 'शेयर करने का चित्र नहीं बन सका ({error})।',
+    'share.downloadedInstead': 'इस डिवाइस पर शेयर नहीं हो सका, इसलिए चित्र डाउनलोड कर दिया गया।',
+
+    'footer': 'सावधानी से बनाया गया 🌿 — यह टूल अनुमान देता है; शोध में परिणामों का उपयोग करने से पहले उत्सर्जन फ़ैक्टर की पुष्टि करें।',
+  },
+  sections: {
+    demographics: { title: 'आपके बारे में', step: 'जनसांख्यिकी' },
+    internetDevices: { title: 'इंटरनेट और डिवाइस', step: 'इंटरनेट और डिवाइस' },
+    chargingPower: { title: 'चार्जिंग की आदतें और बिजली स्रोत', step: 'चार्जिंग और बिजली' },
+    aiCloudStreaming: { title: 'AI, क्लाउड और स्ट्रीमिंग', step: 'AI, क्लाउड और स्ट्रीमिंग' },
+    quiz: { title: '📱 इलेक्ट्रॉनिक कार्बन फुटप्रिंट क्विज़', step: 'क्विज़' },
+    sustainability: { title: 'स्थिरता और जागरूकता', step: 'स्थिरता और सहमति' },
+  },
+  questions: {
+    age: 'आयु',
+    gender: 'लिंग',
+    occupation: 'व्यवसाय',
+    customOccupation: 'कृपया व्यवसाय बताएँ',
+    schooling: 'स्कूली शिक्षा',
+    city: 'गृह नगर',
+    state: 'गृह राज्य',
+    cityTier: 'शहर की श्रेणी (टियर)',
+    accommodation: 'वर्तमान निवास',
+    familyIncomeRange: 'पारिवारिक आय सीमा',
+    primaryConnection: 'मुख्य इंटरनेट कनेक्शन',
+    avgDailyInternetHours: 'औसत दैनिक इंटरनेट उपयोग (घंटे)',
+    totalDevices: 'कुल डिवाइस',
+    chargingHabits: 'चार्जिंग की मुख्य आदत',
+    powerSource: 'घर पर बिजली का मुख्य स्रोत',
+    renewableEnergyUsage: 'नवीकरणीय ऊर्जा का उपयोग',
+    solarPanels: 'क्या आपके पास सोलर पैनल हैं?',
+    energyEfficientAppliances: 'ऊर्जा-कुशल उपकरण',
+    aiInteractionsPerDay: 'प्रतिदिन AI का उपयोग',
+    aiUsageTypes: 'AI उपयोग का प्रकार',
+    aiShareText: 'टेक्स्ट जनरेशन (ChatGPT आदि): AI उपयोग में हिस्सा',
+    aiShareImage: 'इमेज जनरेशन (DALL-E आदि): AI उपयोग में हिस्सा',
+    aiShareCode: 'कोड सहायता (GitHub Copilot आदि): AI उपयोग में हिस्सा',
+    aiShareVoice: 'वॉइस असिस्टेंट (Siri, Alexa आदि): AI उपयोग में हिस्सा',
+    aiShareOther: 'अन्य AI टूल: AI उपयोग में हिस्सा',
+    typicalAiSessionMinutes: 'आम तौर पर AI सत्र की अवधि',
+    aiQueriesPerSession: 'एक आम AI सत्र में प्रॉम्प्ट या अनुरोध',
+    cloudHoursPerWeek: 'क्लाउड सेवाओं का उपयोग (घंटे/सप्ताह)',
+    largeTransfersPerMonth: 'प्रति माह अपलोड / बड़े ट्रांसफ़र (GB)',
+    streamingAcademicHrsPerWeek: 'स्ट्रीमिंग (पढ़ाई, घंटे/सप्ताह)',
+    streamingNonAcademicHrsPerWeek: 'स्ट्रीमिंग (मनोरंजन, घंटे/सप्ताह)',
+    streamingAcademicQuality: 'पढ़ाई की स्ट्रीमिंग की गुणवत्ता',
+    streamingAcademicScreen: 'पढ़ाई की स्ट्रीमिंग ज़्यादातर किस पर देखते हैं',
+    streamingEntertainmentQuality: 'मनोरंजन स्ट्रीमिंग की गुणवत्ता',
+    streamingEntertainmentScreen: 'मनोरंजन स्ट्रीमिंग ज़्यादातर किस पर देखते हैं',
+    accessRenewableAtHome: 'घर पर नवीकरणीय बिजली की उपलब्धता',
+    estimatedAnnualKgCO2: 'आपके वार्षिक इलेक्ट्रॉनिक फुटप्रिंट का अनुमान',
+    consent: 'मैं इस शोध में भाग लेने के लिए सहमति देता/देती हूँ।',
+  },
+  deviceQuestion: {
+    count: '{device}: डिवाइस की संख्या',
+    hours: '{device}: घंटे/दिन',
+    age: '{device}: डिवाइस की उम्र (वर्ष)',
+  },
+  devices: {
+    smartphone: 'स्मार्टफ़ोन',
+    laptop: 'लैपटॉप',
+    tablet: 'टैबलेट',
+    desktop: 'डेस्कटॉप',
+    smartTV: 'स्मार्ट टीवी',
+    gamingConsole: 'गेमिंग कंसोल',
+    streamingDevice: 'स्ट्रीमिंग डिवाइस (Roku, Chromecast आदि)',
+    smartHomeDevices: 'स्मार्ट होम डिवाइस (Alexa आदि)',
+    router: 'राउटर/मॉडेम',
+    otherDevices: 'अन्य डिवाइस',
+  },
+  quiz: {
+    quizDataUsage: { title: 'डेटा उपयोग का प्रभाव', question: '1 घंटे का HD वीडियो स्ट्रीम करने से लगभग कितनी CO₂ निकलती है?' },
+    quizDeviceLifespan: { title: 'डिवाइस की आयु का प्रभाव', question: 'स्मार्टफ़ोन 2 की जगह 5 साल रखने से उसके निर्माण का वार्षिक फुटप्रिंट लगभग कितना घटता है?' },
+    quizChargingImpact: { title: 'चार्जिंग की आदतों का प्रभाव', question: 'डिवाइस को 24/7 प्लग में लगाए रखने से उनका बिजली उत्सर्जन लगभग कितना बढ़ता है?' },
+    quizStreamingFootprint: { title: 'स्ट्रीमिंग गुणवत्ता का प्रभाव', question: '4K स्ट्रीमिंग का एक घंटा SD के एक घंटे से कितने गुना अधिक डेटा लेता है?' },
+    quizRenewableEnergy: { title: 'नवीकरणीय ऊर्जा का प्रभाव', question: 'पूरी तरह पारंपरिक से ज़्यादातर नवीकरणीय बिजली पर जाने से डिवाइस का उत्सर्जन लगभग कितना घटता है?' },
+    quizAIFootprint: { title: 'AI उपयोग का प्रभाव', question: 'एक AI इमेज बनाना लगभग कितनी टेक्स्ट AI क्वेरी के बराबर उत्सर्जन करता है?' },
+  },
+  options: {
+    'e.g. 21': 'जैसे 21',
+    'e.g. 5': 'जैसे 5',
+    'Male': 'पुरुष',
+    'Female': 'महिला',
+    'Other': 'अन्य',
+    'Student': 'विद्यार्थी',
+    'Employed': 'नौकरीपेशा',
+    'Self-Employed': 'स्वरोज़गार',
+    'Unemployed': 'बेरोज़गार',
+    'Government': 'सरकारी',
+    'Private': 'निजी',
+    'Convent': 'कॉन्वेंट',
+    'Andhra Pradesh': 'आंध्र प्रदेश',
+    'Arunachal Pradesh': 'अरुणाचल प्रदेश',
+    'Assam': 'असम',
+    'Bihar': 'बिहार',
+    'Chhattisgarh': 'छत्तीसगढ़',
+    'Goa': 'गोवा',
+    'Gujarat': 'गुजरात',
+    'Haryana': 'हरियाणा',
+    'Himachal Pradesh': 'हिमाचल प्रदेश',
+    'Jharkhand': 'झारखंड',
+    'Karnataka': 'कर्नाटक',
+    'Kerala': 'केरल',
+    'Madhya Pradesh': 'मध्य प्रदेश',
+    'Maharashtra': 'महाराष्ट्र',
+    'Manipur': 'मणिपुर',
+    'Meghalaya': 'मेघालय',
+    'Mizoram': 'मिज़ोरम',
+    'Nagaland': 'नागालैंड',
+    'Odisha': 'ओडिशा',
+    'Punjab': 'पंजाब',
+    'Rajasthan': 'राजस्थान',
+    'Sikkim': 'सिक्किम',
+    'Tamil Nadu': 'तमिलनाडु',
+    'Telangana': 'तेलंगाना',
+    'Tripura': 'त्रिपुरा',
+    'Uttar Pradesh': 'उत्तर प्रदेश',
+    'Uttarakhand': 'उत्तराखंड',
+    'West Bengal': 'पश्चिम बंगाल',
+    'Andaman and Nicobar Islands': 'अंडमान और निकोबार द्वीपसमूह',
+    'Chandigarh': 'चंडीगढ़',
+    'Dadra and Nagar Haveli and Daman and Diu': 'दादरा और नगर हवेली और दमन और दीव',
+    'Delhi': 'दिल्ली',
+    'Jammu and Kashmir': 'जम्मू और कश्मीर',
+    'Ladakh': 'लद्दाख',
+    'Lakshadweep': 'लक्षद्वीप',
+    'Puducherry': 'पुडुचेरी',
+    'Apartment': 'अपार्टमेंट',
+    'Independent House': 'स्वतंत्र मकान',
+    'Rented': 'किराये का',
+    'Hostel': 'हॉस्टल',
+    'Mobile Data (5G/4G)': 'मोबाइल डेटा (5G/4G)',
+    'Wi-Fi at Home': 'घर पर वाई-फ़ाई',
+    'Wi-Fi at Work/College': 'ऑफ़िस/कॉलेज में वाई-फ़ाई',
+    'Public Wi-Fi': 'सार्वजनिक वाई-फ़ाई',
+    'Hotspot from Phone': 'फ़ोन का हॉटस्पॉट',
+    'Charge overnight (8+ hours)': 'रात भर चार्ज (8+ घंटे)',
+    'Charge when needed (1-3 hours)': 'ज़रूरत पर चार्ज (1-3 घंटे)',
+    'Quick charge frequently (15-30 min)': 'बार-बार जल्दी चार्ज (15-30 मिनट)',
+    'Always keep plugged in': 'हमेशा प्लग में लगा रहता है',
+    'Battery saver mode user': 'बैटरी सेवर मोड का उपयोग',
+    'Grid electricity (regular)': 'ग्रिड बिजली (सामान्य)',
+    'Grid electricity (renewable mix)': 'ग्रिड बिजली (नवीकरणीय मिश्रण)',
+    'Solar panels': 'सोलर पैनल',
+    'Mixed renewable sources': 'मिश्रित नवीकरणीय स्रोत',
+    "Don't know": 'पता नहीं',
+    '0% - All conventional energy': '0% - पूरी तरह पारंपरिक ऊर्जा',
+    '1-25% - Mostly conventional': '1-25% - ज़्यादातर पारंपरिक',
+    '26-50% - Mixed sources': '26-50% - मिश्रित स्रोत',
+    '51-75% - Mostly renewable': '51-75% - ज़्यादातर नवीकरणीय',
+    '76-100% - All or mostly renewable': '76-100% - पूरी या लगभग पूरी नवीकरणीय',
+    'Yes': 'हाँ',
+    'No': 'नहीं',
+    'Planning to install': 'लगवाने की योजना है',
+    'Yes - Most are energy-efficient': 'हाँ - ज़्यादातर ऊर्जा-कुशल हैं',
+    'Some are energy-efficient': 'कुछ ऊर्जा-कुशल हैं',
+    'No - Regular appliances': 'नहीं - सामान्य उपकरण',
+    "0 - Don't use AI": '0 - AI का उपयोग नहीं करते',
+    '1-5 times': '1-5 बार',
+    '6-15 times': '6-15 बार',
+    '16-30 times': '16-30 बार',
+    '31-50 times': '31-50 बार',
+    '50+ times': '50+ बार',
+    'Text generation (ChatGPT, etc.)': 'टेक्स्ट जनरेशन (ChatGPT आदि)',
+    'Image generation (DALL-E, etc.)': 'इमेज जनरेशन (DALL-E आदि)',
+    'Code assistance (GitHub Copilot, etc.)': 'कोड सहायता (GitHub Copilot आदि)',
+    'Voice assistants (Siri, Alexa, etc.)': 'वॉइस असिस्टेंट (Siri, Alexa आदि)',
+    'Mixed usage (text + image + code)': 'मिश्रित उपयोग (टेक्स्ट + इमेज + कोड)',
+    'Other AI tools': 'अन्य AI टूल',
+    "Don't use AI": 'AI का उपयोग नहीं करते',
+    'None': 'बिल्कुल नहीं',
+    'A little': 'थोड़ा',
+    'Some': 'कुछ',
+    'Mostly': 'ज़्यादातर',
+    'Less than 1 minute': '1 मिनट से कम',
+    '1-5 minutes': '1-5 मिनट',
+    '6-15 minutes': '6-15 मिनट',
+    '16-30 minutes': '16-30 मिनट',
+    '31-60 minutes': '31-60 मिनट',
+    'More than 1 hour': '1 घंटे से अधिक',
+    'More than 10': '10 से अधिक',
+    "0 - Don't use cloud services": '0 - क्लाउड सेवाओं का उपयोग नहीं करते',
+    '1-5 hrs - Light usage (email, basic storage)': '1-5 घंटे - हल्का उपयोग (ईमेल, बेसिक स्टोरेज)',
+    '6-15 hrs - Moderate usage (Google Drive, Office 365)': '6-15 घंटे - मध्यम उपयोग (Google Drive, Office 365)',
+    '16-30 hrs - Heavy usage (video calls, collaboration)': '16-30 घंटे - भारी उपयोग (वीडियो कॉल, सहयोग)',
+    '31-50 hrs - Very heavy usage (streaming, gaming)': '31-50 घंटे - बहुत भारी उपयोग (स्ट्रीमिंग, गेमिंग)',
+    '50+ hrs - Constant usage (work/business)': '50+ घंटे - लगातार उपयोग (काम/व्यवसाय)',
+    '0 - No academic streaming': '0 - पढ़ाई के लिए स्ट्रीमिंग नहीं',
+    '1-5 hrs - Light (few lectures/courses)': '1-5 घंटे - हल्का (कुछ लेक्चर/कोर्स)',
+    '6-15 hrs - Moderate (regular classes)': '6-15 घंटे - मध्यम (नियमित कक्षाएँ)',
+    '16-30 hrs - Heavy (full online courses)': '16-30 घंटे - भारी (पूरे ऑनलाइन कोर्स)',
+    '31-50 hrs - Very heavy (intensive programs)': '31-50 घंटे - बहुत भारी (गहन कार्यक्रम)',
+    '50+ hrs - Constant (full-time online)': '50+ घंटे - लगातार (पूर्णकालिक ऑनलाइन)',
+    '0 - No entertainment streaming': '0 - मनोरंजन स्ट्रीमिंग नहीं',
+    '1-10 hrs - Light (occasional shows)': '1-10 घंटे - हल्का (कभी-कभार शो)',
+    '11-25 hrs - Moderate (regular viewing)': '11-25 घंटे - मध्यम (नियमित देखना)',
+    '26-40 hrs - Heavy (daily streaming)': '26-40 घंटे - भारी (रोज़ाना स्ट्रीमिंग)',
+    '41-60 hrs - Very heavy (binge watcher)': '41-60 घंटे - बहुत भारी (लगातार कई एपिसोड)',
+    '60+ hrs - Constant (background streaming)': '60+ घंटे - लगातार (बैकग्राउंड स्ट्रीमिंग)',
+    'SD (480p or lower)': 'SD (480p या कम)',
+    'HD (720p/1080p)': 'HD (720p/1080p)',
+    '4K / Ultra HD': '4K / अल्ट्रा HD',
+    "Auto / Don't know": 'ऑटो / पता नहीं',
+    'Phone': 'फ़ोन',
+    'Laptop / Tablet': 'लैपटॉप / टैबलेट',
+    'Smart TV / Large screen': 'स्मार्ट टीवी / बड़ी स्क्रीन',
+    'Yes - fully': 'हाँ - पूरी तरह',
+    'Partial / Sometimes': 'आंशिक / कभी-कभी',
+    '1 - Very Low (0-50 kg CO₂)': '1 - बहुत कम (0-50 kg CO₂)',
+    '2 - Low (51-150 kg CO₂)': '2 - कम (51-150 kg CO₂)',
+    '3 - Moderate (151-300 kg CO₂)': '3 - मध्यम (151-300 kg CO₂)',
+    '4 - High (301-500 kg CO₂)': '4 - अधिक (301-500 kg CO₂)',
+    '5 - Very High (500+ kg CO₂)': '5 - बहुत अधिक (500+ kg CO₂)',
+    'Very Low': 'बहुत कम',
+    'Low': 'कम',
+    'Moderate': 'मध्यम',
+    'High': 'अधिक',
+    'Very High': 'बहुत अधिक',
+    'About 1 g': 'लगभग 1 ग्राम',
+    'About 10 g': 'लगभग 10 ग्राम',
+    'About 80 g': 'लगभग 80 ग्राम',
+    'About 500 g': 'लगभग 500 ग्राम',
+    'About 2 kg': 'लगभग 2 किलो',
+  },
+}
+
+export default hi
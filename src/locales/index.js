@@ -0,0 +1,6 @@
+// Languages offered by the survey, in switcher order. To add one (Tamil,
+// Bengali, …), copy hi.js to e.g. ta.js, translate it and list it here.
+import en from './en.js'
+import hi from './hi.js'
+
+export const LOCALES = [en, hi]
@@ -0,0 +1,117 @@
+// Offline queue for completed submissions. Records wait here, keyed by
+// participantId, until the endpoint is reachable. Because the key is the same
+// participantId the server deduplicates on, syncing the same record twice is
+// harmless. Records the server refuses move to a second store, so a response
+// the participant was told is saved is never thrown away.
+
+const DB_NAME = 'survey-offline'
+export const QUEUE_STORE = 'submissions'
+// Entries are { participantId, error, record }
+export const REJECTED_STORE = 'rejected'
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * IndexedDB-backed store. All stores expose the same async
+ * put / getAll / delete / count interface.
+ */
+export function createIndexedDbStore(indexedDB = window.indexedDB, storeName = QUEUE_STORE) {
+  const open = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 2)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      for (const name of [QUEUE_STORE, REJECTED_STORE]) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'participantId' })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'))
+  })
+
+  async function withStore(mode, fn) {
+    const db = await open
+    return requestToPromise(fn(db.transaction(storeName, mode).objectStore(storeName)))
+  }
+
+  return {
+    put: (record) => withStore('readwrite', (store) => store.put(record)),
+    getAll: () => withStore('readonly', (store) => store.getAll()),
+    delete: (participantId) => withStore('readwrite', (store) => store.delete(participantId)),
+    count: () => withStore('readonly', (store) => store.count()),
+  }
+}
+
+// Used where IndexedDB is unavailable (tests, some private browsing modes)
+export function createMemoryStore() {
+  const records = new Map()
+  return {
+    put: async (record) => { records.set(record.participantId, record) },
+    getAll: async () => [...records.values()],
+    delete: async (participantId) => { records.delete(participantId) },
+    count: async () => records.size,
+  }
+}
+
+/**
+ * `primary` until one of its calls fails, then `fallback` for good, retrying
+ * the failed call there. Some browsers have IndexedDB but refuse to open it
+ * (private modes, a full quota, a blocked upgrade); queued records then stay
+ * in memory for the visit instead of being lost.
+ */
+export function createFallbackStore(primary, fallback = createMemoryStore()) {
+  let store = primary
+  async function call(method, ...args) {
+    if (store === primary) {
+      try {
+        return await primary[method](...args)
+      } catch (err) {
+        console.error('Offline queue unavailable, keeping submissions in memory:', err)
+        store = fallback
+      }
+    }
+    return store[method](...args)
+  }
+  return {
+    put: (record) => call('put', record),
+    getAll: () => call('getAll'),
+    delete: (participantId) => call('delete', participantId),
+    count: () => call('count'),
+  }
+}
+
+export function createDefaultStore(storeName = QUEUE_STORE) {
+  return typeof window !== 'undefined' && window.indexedDB ? createFallbackStore(createIndexedDbStore(window.indexedDB, storeName)) : createMemoryStore()
+}
+
+/**
+ * Try to send every queued record once, oldest first. Sent records leave the
+ * queue; ones the server rejects outright move to `rejectedStore` with the
+ * server's error, to be retried or downloaded by hand. A retryable failure
+ * means the endpoint is still down, so syncing stops there and resumes next
+ * time. Resolves to `{ sent, rejected, remaining }`.
+ */
+export async function flushQueue(store, submitter, rejectedStore) {
+  const queued = (await store.getAll()).sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1))
+  let sent = 0
+  const rejected = []
+  for (const record of queued) {
+    try {
+      await submitter(record)
+      await store.delete(record.participantId)
+      sent++
+    } catch (err) {
+      if (err.retryable !== false) break
+      const entry = { participantId: record.participantId, error: err.message, record }
+      await rejectedStore.put(entry)
+      await store.delete(record.participantId)
+      rejected.push(entry)
+    }
+  }
+  return { sent, rejected, remaining: await store.count() }
+}
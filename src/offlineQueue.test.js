@@ -0,0 +1,59 @@
+import { createFallbackStore, createIndexedDbStore, createMemoryStore, flushQueue } from './offlineQueue'
+import { SubmissionError } from './submission'
+
+const rec = (id, minute) => ({ participantId: id, timestamp: `2025-01-01T00:0${minute}:00.000Z` })
+
+test('queued records are keyed by participantId', async () => {
+  const store = createMemoryStore()
+  await store.put(rec('P1', 1))
+  await store.put(rec('P1', 1))
+  expect(await store.count()).toBe(1)
+})
+
+test('flush sends oldest first and empties the queue', async () => {
+  const store = createMemoryStore()
+  await store.put(rec('P2', 2))
+  await store.put(rec('P1', 1))
+  const submitter = jest.fn().mockResolvedValue()
+  expect(await flushQueue(store, submitter, createMemoryStore())).toEqual({ sent: 2, rejected: [], remaining: 0 })
+  expect(submitter.mock.calls.map(([r]) => r.participantId)).toEqual(['P1', 'P2'])
+})
+
+test('flush stops at the first retryable failure', async () => {
+  const store = createMemoryStore()
+  await store.put(rec('P1', 1))
+  await store.put(rec('P2', 2))
+  const submitter = jest.fn()
+    .mockResolvedValueOnce()
+    .mockRejectedValueOnce(new SubmissionError('offline'))
+  expect(await flushQueue(store, submitter, createMemoryStore())).toEqual({ sent: 1, rejected: [], remaining: 1 })
+})
+
+test('records the server rejects move to the rejected store instead of being lost', async () => {
+  const store = createMemoryStore()
+  const rejectedStore = createMemoryStore()
+  await store.put(rec('P1', 1))
+  const submitter = jest.fn().mockRejectedValue(new SubmissionError('bad record', { status: 422, retryable: false }))
+  const entry = { participantId: 'P1', error: 'bad record', record: rec('P1', 1) }
+  expect(await flushQueue(store, submitter, rejectedStore)).toEqual({ sent: 0, rejected: [entry], remaining: 0 })
+  expect(await rejectedStore.getAll()).toEqual([entry])
+})
+
+test('a queue IndexedDB refuses to open falls back to memory', async () => {
+  const indexedDB = {
+    open: () => {
+      const request = {}
+      setTimeout(() => {
+        request.error = new Error('The user denied permission to access the database')
+        request.onerror()
+      })
+      return request
+    },
+  }
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+  const store = createFallbackStore(createIndexedDbStore(indexedDB))
+  await store.put(rec('P1', 1))
+  expect(await store.count()).toBe(1)
+  expect(error).toHaveBeenCalledTimes(1)
+  error.mockRestore()
+})
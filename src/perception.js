@@ -0,0 +1,41 @@
+// Expectation vs Reality: compares the respondent's self-estimate bucket
+// (the `estimatedAnnualKgCO2` question) with the computed footprint.
+
+// Upper bound (kg CO2/year, inclusive) of each self-estimate bucket, 1-5
+export const ESTIMATE_BUCKETS = [
+  { bucket: 1, label: 'Very Low', maxKg: 50 },
+  { bucket: 2, label: 'Low', maxKg: 150 },
+  { bucket: 3, label: 'Moderate', maxKg: 300 },
+  { bucket: 4, label: 'High', maxKg: 500 },
+  { bucket: 5, label: 'Very High', maxKg: Infinity },
+]
+
+export function bucketForKg(kg) {
+  const value = Number(kg) || 0
+  return ESTIMATE_BUCKETS.find((b) => value <= b.maxKg).bucket
+}
+
+// "3 - Moderate (151-300 kg CO₂)" -> 3
+export function parseEstimateBucket(answer) {
+  const n = parseInt(answer, 10)
+  return n >= 1 && n <= 5 ? n : null
+}
+
+/**
+ * Perception gap for one response, or null when no estimate was given.
+ *
+ * `gap` is estimated bucket minus computed bucket: negative means the
+ * respondent under-estimated their footprint, positive means over-estimated.
+ */
+export function comparePerception(estimateAnswer, totalKg) {
+  const estimatedBucket = parseEstimateBucket(estimateAnswer)
+  if (estimatedBucket === null) return null
+  const actualBucket = bucketForKg(totalKg)
+  const gap = estimatedBucket - actualBucket
+  return {
+    estimatedBucket,
+    actualBucket,
+    gap,
+    direction: gap < 0 ? 'under' : gap > 0 ? 'over' : 'accurate',
+  }
+}
@@ -0,0 +1,18 @@
+import { bucketForKg, comparePerception } from './perception'
+
+test('computed totals map onto the self-estimate buckets', () => {
+  expect(bucketForKg(0)).toBe(1)
+  expect(bucketForKg(50)).toBe(1)
+  expect(bucketForKg(50.5)).toBe(2)
+  expect(bucketForKg(300)).toBe(3)
+  expect(bucketForKg(2000)).toBe(5)
+})
+
+test('perception gap is signed by direction', () => {
+  expect(comparePerception('1 - Very Low (0-50 kg CO₂)', 420)).toEqual({
+    estimatedBucket: 1, actualBucket: 4, gap: -3, direction: 'under',
+  })
+  expect(comparePerception('5 - Very High (500+ kg CO₂)', 120)).toMatchObject({ gap: 3, direction: 'over' })
+  expect(comparePerception('3 - Moderate (151-300 kg CO₂)', 200)).toMatchObject({ gap: 0, direction: 'accurate' })
+  expect(comparePerception('', 200)).toBeNull()
+})
@@ -0,0 +1,108 @@
+// Electronic Carbon Footprint Quiz. Reference answers are derived from the same
+// factors and multipliers the calculator uses, so the answer key can never
+// drift from the model.
+import { INDIAN_DEFAULTS, getChargingMultiplier, getDataKgPerGB, getRenewableShareMultiplier, getAmortisationYears, round } from './emissions'
+import { QUIZ_QUESTIONS } from './surveySchema'
+import { createTranslator, DEFAULT_LANGUAGE } from './i18n'
+
+const english = createTranslator(DEFAULT_LANGUAGE).t
+
+/**
+ * The schema's quiz questions with the model's `reference` value and an
+ * explanation attached (in English, with `explanationValues` for other
+ * languages). The correct option is whichever option is closest to
+ * the reference (on a log scale for ratios).
+ */
+export function buildQuiz(factors = INDIAN_DEFAULTS) {
+  // On an unknown connection at the national grid intensity
+  const accessKgPerGb = getDataKgPerGB(factors) - factors.kgCO2PerGB
+  const hdGrams = factors.gbPerStreamingHour.HD * getDataKgPerGB(factors) * 1000
+  const phoneKeptTwo = 1 / getAmortisationYears('Smartphone', 2, factors)
+  const phoneKeptFive = 1 / getAmortisationYears('Smartphone', 5, factors)
+  const pluggedIn = getChargingMultiplier({ chargingHabits: "Always keep plugged in" })
+  const asNeeded = getChargingMultiplier({ chargingHabits: "Charge when needed (1-3 hours)" })
+  const conventional = getRenewableShareMultiplier({ renewableEnergyUsage: "0% - All conventional energy" })
+  const renewable = getRenewableShareMultiplier({ renewableEnergyUsage: "76-100% - All or mostly renewable" })
+  const ai = factors.aiKgCO2PerQuery
+
+  const model = {
+    quizDataUsage: {
+      reference: hdGrams,
+      values: { gb: factors.gbPerStreamingHour.HD, kgPerGb: factors.kgCO2PerGB, accessKgPerGb: round(accessKgPerGb, 3), grams: round(hdGrams, 0) },
+    },
+    quizDeviceLifespan: {
+      reference: (1 - phoneKeptFive / phoneKeptTwo) * 100,
+      values: { embodiedKg: factors.embodiedKgCO2.Smartphone, percent: round((1 - phoneKeptFive / phoneKeptTwo) * 100, 0) },
+    },
+    quizChargingImpact: {
+      reference: (pluggedIn / asNeeded - 1) * 100,
+      values: { percent: round((pluggedIn / asNeeded - 1) * 100, 0) },
+    },
+    quizStreamingFootprint: {
+      reference: factors.gbPerStreamingHour['4K'] / factors.gbPerStreamingHour.SD,
+      values: { gb4k: factors.gbPerStreamingHour['4K'], gbSd: factors.gbPerStreamingHour.SD, ratio: round(factors.gbPerStreamingHour['4K'] / factors.gbPerStreamingHour.SD, 0) },
+    },
+    quizRenewableEnergy: {
+      reference: (1 - renewable / conventional) * 100,
+      values: { percent: round((1 - renewable / conventional) * 100, 0) },
+    },
+    quizAIFootprint: {
+      reference: ai.image / ai.text,
+      values: { imageKg: ai.image, textKg: ai.text, ratio: round(ai.image / ai.text, 0) },
+    },
+  }
+  return QUIZ_QUESTIONS.map((q) => ({
+    ...q,
+    reference: model[q.field].reference,
+    explanationValues: model[q.field].values,
+    explanation: english(`quiz.explain.${q.field}`, model[q.field].values),
+  }))
+}
+
+function distance(a, b, scale) {
+  if (scale === 'log') return Math.abs(Math.log(a) - Math.log(b))
+  return Math.abs(a - b)
+}
+
+export function correctOptionIndex(question) {
+  let best = 0
+  question.options.forEach(([, value], i) => {
+    if (distance(value, question.reference, question.scale) < distance(question.options[best][1], question.reference, question.scale)) best = i
+  })
+  return best
+}
+
+/**
+ * Score the quiz answers in `form`.
+ *
+ * Each item records how many options away from the correct one the answer was
+ * (`stepsOff`) and an `accuracy` from 1 (correct) to 0 (furthest option).
+ * Unanswered items have null `stepsOff` and `accuracy`, so a skipped question
+ * is not read as the most wrong answer; the mean `accuracy` is over the
+ * `answered` items only, and null when there are none.
+ */
+export function scoreQuiz(form, factors = INDIAN_DEFAULTS) {
+  const items = buildQuiz(factors).map((q) => {
+    const answer = form[q.field] || ''
+    const correctIndex = correctOptionIndex(q)
+    const answerIndex = q.options.findIndex(([label]) => label === answer)
+    const stepsOff = answerIndex === -1 ? null : Math.abs(answerIndex - correctIndex)
+    return {
+      field: q.field,
+      answer,
+      correctAnswer: q.options[correctIndex][0],
+      correct: stepsOff === 0,
+      stepsOff,
+      accuracy: stepsOff === null ? null : round(1 - stepsOff / (q.options.length - 1)),
+      explanation: q.explanation,
+    }
+  })
+  const answered = items.filter((i) => i.accuracy !== null)
+  return {
+    score: items.filter((i) => i.correct).length,
+    total: items.length,
+    answered: answered.length,
+    accuracy: answered.length ? round(answered.reduce((sum, i) => sum + i.accuracy, 0) / answered.length) : null,
+    items,
+  }
+}
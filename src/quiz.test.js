@@ -0,0 +1,43 @@
+import { buildQuiz, correctOptionIndex, scoreQuiz } from './quiz'
+import { INDIAN_DEFAULTS, calculateFootprint } from './emissions'
+
+test('answer key is derived from the model factors', () => {
+  const key = Object.fromEntries(buildQuiz().map((q) => [q.field, q.options[correctOptionIndex(q)][0]]))
+  expect(key).toEqual({
+    quizDataUsage: 'About 80 g',
+    quizDeviceLifespan: '60%',
+    quizChargingImpact: '30%',
+    quizStreamingFootprint: '15×',
+    quizRenewableEnergy: '80%',
+    quizAIFootprint: '200',
+  })
+})
+
+test('the streaming answer charges a GB as the calculator does, access network included', () => {
+  const q = buildQuiz().find((x) => x.field === 'quizDataUsage')
+  // 100 GB a month on an unknown connection at the national grid intensity
+  const kgPerGb = calculateFootprint({ largeTransfersPerMonth: '100' }).dataKg / 1200
+  expect(q.reference).toBeCloseTo(INDIAN_DEFAULTS.gbPerStreamingHour.HD * kgPerGb * 1000, 1)
+  expect(q.explanation).toMatch(/mobile or broadband connection/)
+})
+
+test('answer key follows the factors passed in', () => {
+  const factors = { ...INDIAN_DEFAULTS, aiKgCO2PerQuery: { ...INDIAN_DEFAULTS.aiKgCO2PerQuery, image: 0.005 } }
+  const q = buildQuiz(factors).find((x) => x.field === 'quizAIFootprint')
+  expect(q.options[correctOptionIndex(q)][0]).toBe('50')
+})
+
+test('scores answers by distance from the correct option', () => {
+  const result = scoreQuiz({ quizDataUsage: 'About 80 g', quizAIFootprint: '2', quizChargingImpact: '100%' })
+  expect(result.score).toBe(1)
+  expect(result.total).toBe(6)
+  const byField = Object.fromEntries(result.items.map((i) => [i.field, i]))
+  expect(byField.quizDataUsage).toMatchObject({ correct: true, stepsOff: 0, accuracy: 1 })
+  expect(byField.quizAIFootprint).toMatchObject({ correct: false, stepsOff: 3, accuracy: 0.25 })
+  expect(byField.quizChargingImpact).toMatchObject({ stepsOff: 1, accuracy: 0.75 })
+  expect(byField.quizRenewableEnergy).toMatchObject({ stepsOff: null, accuracy: null })
+  // Skipped questions are left out of the mean rather than scored as wrong
+  expect(result.answered).toBe(3)
+  expect(result.accuracy).toBe(0.67)
+  expect(scoreQuiz({})).toMatchObject({ answered: 0, accuracy: null })
+})
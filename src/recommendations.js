@@ -0,0 +1,154 @@
+// Personalised reduction recommendations. Each action is a change to the
+// respondent's own answers; the footprint model is re-run on the changed
+// answers, so every saving is the model's own estimate for that respondent
+// and ranks itself by how much the affected category contributes.
+import { INDIAN_DEFAULTS, calculateFootprint, getAmortisationYears, kgToInr, resolvePowerSource, round } from './emissions'
+import { AI_SHARE_OPTIONS, AI_USAGE_TYPES, DEVICE_TYPES, QUESTIONS } from './surveySchema'
+
+const CATEGORIES = ['device', 'data', 'ai', 'manufacturing']
+
+// Chargers left on beyond what the battery needs
+const WASTEFUL_CHARGING = ["Always keep plugged in", "Charge overnight (8+ hours)", "Quick charge frequently (15-30 min)"]
+// Hours a router can be switched off overnight
+const ROUTER_NIGHT_HOURS = 8
+// Extra years of use asked of every device
+const EXTRA_YEARS = 2
+
+function stepDown(field, form, minIndex = 1) {
+  const options = QUESTIONS[field].options
+  const i = options.indexOf(form[field])
+  return i > minIndex ? options[i - 1] : null
+}
+
+// The image share of the AI mix moved to text, or for older records the single
+// image or mixed usage type swapped for text
+function textOverImages(form) {
+  const imageShare = AI_SHARE_OPTIONS.indexOf(form.aiShareImage)
+  if (imageShare > 0) {
+    const textShare = Math.max(imageShare, AI_SHARE_OPTIONS.indexOf(form.aiShareText))
+    return { aiShareImage: AI_SHARE_OPTIONS[0], aiShareText: AI_SHARE_OPTIONS[textShare] }
+  }
+  const mixAnswered = AI_USAGE_TYPES.some(({ field }) => AI_SHARE_OPTIONS.indexOf(form[field]) > 0)
+  return !mixAnswered && /^(Image generation|Mixed usage)/.test(form.aiUsageTypes || '') ? { aiUsageTypes: "Text generation (ChatGPT, etc.)" } : null
+}
+
+// The non-always-on device type with the highest use-phase footprint
+function heaviestDevice(results) {
+  const rows = results.breakdown.filter((b) => b.category === 'device' && b.hoursPerDay >= 2)
+  const ranked = rows
+    .map((b) => ({ ...b, type: DEVICE_TYPES.find((d) => d.factorKey === b.item) }))
+    .filter((b) => b.type && !b.type.alwaysOn)
+    .sort((a, b) => b.kg - a.kg)
+  return ranked[0] || null
+}
+
+/**
+ * Candidate actions. `change(form, results, factors)` returns the answers the
+ * action would alter, or null when it does not apply to this respondent;
+ * `values` are the placeholders of its `recommend.<id>.*` strings.
+ */
+export const ACTIONS = [
+  {
+    id: 'streamEntertainmentSd',
+    change: (form, results) => results.assumptions.streamingHoursPerWeek.entertainment > 0 && results.assumptions.streamingQuality.entertainment !== 'SD'
+      ? { streamingEntertainmentQuality: "SD (480p or lower)" }
+      : null,
+  },
+  {
+    id: 'streamAcademicHd',
+    change: (form, results) => results.assumptions.streamingHoursPerWeek.academic > 0 && results.assumptions.streamingQuality.academic === '4K'
+      ? { streamingAcademicQuality: "HD (720p/1080p)" }
+      : null,
+  },
+  {
+    id: 'streamLess',
+    change: (form) => {
+      const fewer = stepDown('streamingNonAcademicHrsPerWeek', form)
+      return fewer ? { streamingNonAcademicHrsPerWeek: fewer } : null
+    },
+  },
+  {
+    id: 'batterySaver',
+    change: (form) => (WASTEFUL_CHARGING.includes(form.chargingHabits) ? { chargingHabits: "Battery saver mode user" } : null),
+  },
+  {
+    id: 'routerOvernight',
+    change: (form) => {
+      const hours = Number(form.routerDuration) || 0
+      return Number(form.router) > 0 && hours > 24 - ROUTER_NIGHT_HOURS ? { routerDuration: String(hours - ROUTER_NIGHT_HOURS) } : null
+    },
+    values: () => ({ hours: ROUTER_NIGHT_HOURS }),
+  },
+  {
+    id: 'lessScreenTime',
+    change: (form, results) => {
+      const device = heaviestDevice(results)
+      return device ? { [`${device.type.field}Duration`]: String(device.hoursPerDay - 1) } : null
+    },
+    values: (form, results) => ({ device: heaviestDevice(results).type.field }),
+  },
+  {
+    id: 'keepDevicesLonger',
+    change: (form, results, factors) => {
+      const owned = DEVICE_TYPES.filter(({ field }) => Number(form[field]) > 0)
+      if (!owned.length) return null
+      return Object.fromEntries(owned.map(({ field, factorKey }) => {
+        const years = getAmortisationYears(factorKey, Number(form[`${field}Age`]) || 0, factors)
+        return [`${field}Age`, String(years + EXTRA_YEARS)]
+      }))
+    },
+    values: () => ({ years: EXTRA_YEARS }),
+  },
+  {
+    id: 'efficientAppliances',
+    change: (form) => (form.energyEfficientAppliances !== "Yes - Most are energy-efficient" ? { energyEfficientAppliances: "Yes - Most are energy-efficient" } : null),
+  },
+  {
+    id: 'greenTariff',
+    change: (form) => (resolvePowerSource(form).multiplier > 0.7
+      ? { powerSource: "Grid electricity (renewable mix)", renewableEnergyUsage: "26-50% - Mixed sources" }
+      : null),
+  },
+  {
+    id: 'textOverImages',
+    change: textOverImages,
+  },
+  {
+    id: 'fewerTransfers',
+    change: (form) => {
+      const transfers = Number(form.largeTransfersPerMonth) || 0
+      return transfers > 0 ? { largeTransfersPerMonth: String(round(transfers / 2, 1)) } : null
+    },
+  },
+]
+
+/**
+ * Rank the actions that would reduce this respondent's footprint.
+ *
+ * Each entry has the action `id`, its string `values`, the `category` most of
+ * the saving comes from, and the annual `kgSaved`, `inrSaved` and `percent`
+ * of the current total. Largest saving first; actions that save nothing are
+ * left out.
+ */
+export function recommend(form, factors = INDIAN_DEFAULTS) {
+  const baseline = calculateFootprint(form, factors)
+  return ACTIONS.flatMap((action) => {
+    const changes = action.change(form, baseline, factors)
+    if (!changes) return []
+    const after = calculateFootprint({ ...form, ...changes }, factors)
+    const kgSaved = round(baseline.totalKg - after.totalKg)
+    if (kgSaved <= 0) return []
+    const category = CATEGORIES.reduce((best, c) => (
+      baseline[`${c}Kg`] - after[`${c}Kg`] > baseline[`${best}Kg`] - after[`${best}Kg`] ? c : best
+    ))
+    return [{
+      id: action.id,
+      values: action.values ? action.values(form, baseline) : {},
+      category,
+      changes,
+      kgSaved,
+      inrSaved: kgToInr(kgSaved, factors),
+      percent: baseline.totalKg > 0 ? round((kgSaved / baseline.totalKg) * 100, 0) : 0,
+    }]
+  }).sort((a, b) => b.kgSaved - a.kgSaved)
+}
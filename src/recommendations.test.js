@@ -0,0 +1,75 @@
+import { recommend, ACTIONS } from './recommendations'
+import { calculateFootprint, kgToInr } from './emissions'
+import { EMPTY_FORM } from './surveySchema'
+import en from './locales/en'
+
+const form = {
+  ...EMPTY_FORM,
+  state: 'Jharkhand',
+  laptop: '1',
+  laptopDuration: '8',
+  smartphone: '1',
+  smartphoneDuration: '5',
+  router: '1',
+  routerDuration: '24',
+  chargingHabits: 'Always keep plugged in',
+  streamingNonAcademicHrsPerWeek: '26-40 hrs - Heavy (daily streaming)',
+  streamingEntertainmentQuality: '4K / Ultra HD',
+  streamingEntertainmentScreen: 'Smart TV / Large screen',
+}
+
+test('an empty form has nothing to recommend', () => {
+  expect(recommend(EMPTY_FORM)).toEqual([])
+})
+
+test('every saving is the model re-run on the changed answers', () => {
+  const before = calculateFootprint(form).totalKg
+  const list = recommend(form)
+  expect(list.length).toBeGreaterThan(3)
+  list.forEach((r) => {
+    const after = calculateFootprint({ ...form, ...r.changes }).totalKg
+    expect(r.kgSaved).toBeCloseTo(before - after, 1)
+    expect(r.kgSaved).toBeGreaterThan(0)
+    expect(r.inrSaved).toBe(kgToInr(r.kgSaved))
+  })
+  expect(list.map((r) => r.kgSaved)).toEqual([...list.map((r) => r.kgSaved)].sort((a, b) => b - a))
+})
+
+test('actions only apply to respondents they fit', () => {
+  const ids = recommend(form).map((r) => r.id)
+  expect(ids).toEqual(expect.arrayContaining(['streamEntertainmentSd', 'streamLess', 'batterySaver', 'routerOvernight', 'lessScreenTime', 'keepDevicesLonger']))
+  expect(ids).not.toContain('textOverImages')
+  expect(ids).not.toContain('fewerTransfers')
+
+  const saver = recommend({ ...form, chargingHabits: 'Battery saver mode user', routerDuration: '10' }).map((r) => r.id)
+  expect(saver).not.toContain('batterySaver')
+  expect(saver).not.toContain('routerOvernight')
+})
+
+test('image generation is moved to text in the AI mix', () => {
+  const ai = { ...form, aiInteractionsPerDay: '16-30 times', aiQueriesPerSession: '4-6', aiShareImage: 'Some', aiShareCode: 'A little' }
+  const action = recommend(ai).find((r) => r.id === 'textOverImages')
+  expect(action.changes).toEqual({ aiShareImage: 'None', aiShareText: 'Some' })
+  expect(recommend({ ...ai, aiShareImage: 'None' }).map((r) => r.id)).not.toContain('textOverImages')
+  expect(recommend({ ...form, aiInteractionsPerDay: '1-5 times', typicalAiSessionMinutes: '6-15 minutes', aiUsageTypes: 'Image generation (DALL-E, etc.)' })
+    .find((r) => r.id === 'textOverImages').changes).toEqual({ aiUsageTypes: 'Text generation (ChatGPT, etc.)' })
+})
+
+test('recommendations name the heaviest device and the category they cut', () => {
+  const list = recommend(form)
+  const screen = list.find((r) => r.id === 'lessScreenTime')
+  expect(screen.values).toEqual({ device: 'laptop' })
+  expect(screen.changes).toEqual({ laptopDuration: '7' })
+  expect(screen.category).toBe('device')
+  expect(list.find((r) => r.id === 'streamEntertainmentSd').category).toBe('data')
+  expect(list.find((r) => r.id === 'keepDevicesLonger').category).toBe('manufacturing')
+})
+
+test('every action has a unique id and English wording', () => {
+  const ids = ACTIONS.map((a) => a.id)
+  expect(new Set(ids).size).toBe(ids.length)
+  ids.forEach((id) => {
+    expect(en.strings).toHaveProperty([`recommend.${id}.title`])
+    expect(en.strings).toHaveProperty([`recommend.${id}.body`])
+  })
+})
@@ -0,0 +1,108 @@
+// Survey records: validation of downloaded `survey_*.json` files, and merging
+// many of them into one dataset. Imported by the Node CLI in scripts/ as well
+// as the app, so it only imports the (import-free) survey schema and the
+// answer checks, with the file extension Node needs.
+import { EMPTY_FORM, FIELDS_ADDED_IN, FORM_FIELDS, LEGACY_QUIZ_OPTIONS, QUESTIONS, QUIZ_QUESTIONS, RETIRED_FIELDS } from './surveySchema.js'
+import { checkAnswer } from './validation.js'
+
+const QUIZ_FIELDS = QUIZ_QUESTIONS.map((q) => q.field)
+
+// Questionnaire version of a record; records from before versions were stamped are version 1
+export function recordSchemaVersion(record) {
+  return Number.isInteger(record.schemaVersion) ? record.schemaVersion : 1
+}
+
+// Whether `value` is a valid answer to `field` in a record of `version`
+function isValidAnswer(field, value, version) {
+  if (version === 1 && QUIZ_FIELDS.includes(field) && LEGACY_QUIZ_OPTIONS.includes(value)) return true
+  return !checkAnswer(QUESTIONS[field], value).error
+}
+
+/**
+ * Check one record. `errors` make it unusable (it is left out of a merge);
+ * `warnings` mark it incomplete but still usable. A record is checked against
+ * the questionnaire version it was collected with: questions added later are
+ * not missing, and version 1 quiz ratings are valid answers.
+ */
+export function validateRecord(record) {
+  const errors = []
+  const warnings = []
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { errors: ['Record is not a JSON object'], warnings }
+  }
+  if (typeof record.participantId !== 'string' || !record.participantId) errors.push('Missing participantId')
+  if (typeof record.timestamp !== 'string' || Number.isNaN(Date.parse(record.timestamp))) errors.push('Missing or invalid timestamp')
+  if (!record.form || typeof record.form !== 'object') errors.push('Missing form answers')
+  if (!record.results || typeof record.results !== 'object') errors.push('Missing results')
+  if (errors.length) return { errors, warnings }
+
+  const version = recordSchemaVersion(record)
+  const notAsked = Object.entries(FIELDS_ADDED_IN).filter(([v]) => Number(v) > version).flatMap(([, fields]) => fields)
+  const missing = FORM_FIELDS.filter((f) => !(f in record.form) && !notAsked.includes(f))
+  const unknown = Object.keys(record.form).filter((f) => !(f in EMPTY_FORM) && !RETIRED_FIELDS.includes(f))
+  if (missing.length) warnings.push(`Missing fields: ${missing.join(', ')}`)
+  if (unknown.length) warnings.push(`Unknown fields: ${unknown.join(', ')}`)
+  const invalid = FORM_FIELDS.filter((f) => f in record.form && !isValidAnswer(f, record.form[f], version))
+  if (invalid.length) warnings.push(`Answers outside the survey options or ranges: ${invalid.join(', ')}`)
+  if (typeof record.results.totalKg !== 'number') warnings.push('Results have no totalKg')
+  if (record.form.consent !== true) warnings.push('Consent not given')
+  return { errors, warnings }
+}
+
+// A file holds either one record (as downloaded) or an array (a merged dataset)
+export function parseSurveyFile(name, text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (err) {
+    return { entries: [], malformed: [{ source: name, errors: [`Invalid JSON: ${err.message}`] }] }
+  }
+  const list = Array.isArray(data) ? data : [data]
+  return {
+    entries: list.map((record, i) => ({ source: list.length > 1 ? `${name}[${i}]` : name, record })),
+    malformed: [],
+  }
+}
+
+/**
+ * Merge `{ name, text }` files into one dataset, keyed by participantId.
+ *
+ * When the same participant appears more than once, the copy with the latest
+ * timestamp is kept; identical copies are only counted, differing ones are
+ * reported as conflicts. Returns the merged `records` (oldest first) and a
+ * report of what was dropped or needs a look.
+ */
+export function importSurveyFiles(files, existing = []) {
+  const malformed = []
+  const incomplete = []
+  const duplicates = []
+  const byId = new Map()
+  existing.forEach((record) => byId.set(record.participantId, { source: 'already loaded', record }))
+
+  files.forEach(({ name, text }) => {
+    const parsed = parseSurveyFile(name, text)
+    malformed.push(...parsed.malformed)
+    parsed.entries.forEach(({ source, record }) => {
+      const { errors, warnings } = validateRecord(record)
+      if (errors.length) {
+        malformed.push({ source, errors })
+        return
+      }
+      if (warnings.length) incomplete.push({ source, participantId: record.participantId, warnings })
+
+      const previous = byId.get(record.participantId)
+      if (!previous) {
+        byId.set(record.participantId, { source, record })
+        return
+      }
+      const identical = JSON.stringify(previous.record) === JSON.stringify(record)
+      const newer = record.timestamp > previous.record.timestamp
+      const kept = newer ? source : previous.source
+      duplicates.push({ participantId: record.participantId, sources: [previous.source, source], kept, conflict: !identical })
+      if (newer) byId.set(record.participantId, { source, record })
+    })
+  })
+
+  const records = [...byId.values()].map((e) => e.record).sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1))
+  return { records, malformed, incomplete, duplicates }
+}
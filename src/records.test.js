@@ -0,0 +1,64 @@
+import { validateRecord, importSurveyFiles } from './records'
+import { EMPTY_FORM, SCHEMA_VERSION } from './surveySchema'
+import legacy from './fixtures/survey_legacy.json'
+
+const record = (participantId, timestamp, form = {}) => ({
+  participantId,
+  timestamp,
+  form: { ...EMPTY_FORM, consent: true, ...form },
+  results: { totalKg: 10 },
+})
+const file = (name, data) => ({ name, text: JSON.stringify(data) })
+
+test('validation separates unusable records from incomplete ones', () => {
+  expect(validateRecord(record('P1', '2025-01-01T00:00:00Z'))).toEqual({ errors: [], warnings: [] })
+  expect(validateRecord({ form: {} }).errors).toEqual(['Missing participantId', 'Missing or invalid timestamp', 'Missing results'])
+  expect(validateRecord('nope').errors).toEqual(['Record is not a JSON object'])
+
+  const { form, ...rest } = record('P2', '2025-01-01T00:00:00Z')
+  const { age, ...formWithoutAge } = form
+  const partial = validateRecord({ ...rest, form: { ...formWithoutAge, favouriteColour: 'green', aiTypes: '', consent: false } })
+  expect(partial.errors).toEqual([])
+  expect(partial.warnings).toEqual(['Missing fields: age', 'Unknown fields: favouriteColour', 'Consent not given'])
+
+  const offSurvey = validateRecord(record('P3', '2025-01-01T00:00:00Z', { gender: 'Robot', age: '250', smartphone: '2' }))
+  expect(offSurvey.warnings).toEqual(['Answers outside the survey options or ranges: age, gender'])
+})
+
+test('a record from the original questionnaire validates without noise', () => {
+  // Downloaded before the survey had versions: no streaming quality or AI mix
+  // questions, and the quiz as 1-10 ratings
+  expect(validateRecord(legacy)).toEqual({ errors: [], warnings: [] })
+
+  // The same answers claimed by the current version are incomplete and off-scale
+  const current = validateRecord({ ...legacy, schemaVersion: SCHEMA_VERSION })
+  expect(current.warnings).toEqual([
+    expect.stringMatching(/^Missing fields: aiShareText, .*streamingAcademicQuality/),
+    expect.stringMatching(/^Answers outside the survey options or ranges: quizDataUsage/),
+  ])
+})
+
+test('import merges files and de-duplicates by participantId', () => {
+  const { records, malformed, duplicates } = importSurveyFiles([
+    file('survey_P2.json', record('P2', '2025-01-02T00:00:00Z')),
+    file('survey_P1.json', record('P1', '2025-01-01T00:00:00Z')),
+    file('copy_P1.json', record('P1', '2025-01-01T00:00:00Z')),
+    file('merged.json', [record('P3', '2025-01-03T00:00:00Z'), record('P2', '2025-01-05T00:00:00Z', { age: '30' })]),
+    { name: 'broken.json', text: '{"participantId": ' },
+  ])
+  expect(records.map((r) => r.participantId)).toEqual(['P1', 'P3', 'P2'])
+  expect(records.find((r) => r.participantId === 'P2').form.age).toBe('30')
+  expect(duplicates).toEqual([
+    { participantId: 'P1', sources: ['survey_P1.json', 'copy_P1.json'], kept: 'survey_P1.json', conflict: false },
+    { participantId: 'P2', sources: ['survey_P2.json', 'merged.json[1]'], kept: 'merged.json[1]', conflict: true },
+  ])
+  expect(malformed).toHaveLength(1)
+  expect(malformed[0].source).toBe('broken.json')
+})
+
+test('import reports malformed records and merges into what is already loaded', () => {
+  const existing = [record('P1', '2025-01-01T00:00:00Z')]
+  const { records, malformed } = importSurveyFiles([file('bad.json', { participantId: 'P9' })], existing)
+  expect(records).toEqual(existing)
+  expect(malformed[0]).toMatchObject({ source: 'bad.json' })
+})
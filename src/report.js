@@ -0,0 +1,38 @@
+// Shared pieces of the personal footprint report: the category order and
+// colours every chart uses, and the donut geometry that the printable report
+// (SVG) and the share image (canvas) both draw from.
+
+// Footprint categories in chart order, with their locale key and colour
+export const CATEGORIES = [
+  { key: 'deviceKg', label: 'category.device', colour: '#34D399' },
+  { key: 'dataKg', label: 'category.data', colour: '#3B82F6' },
+  { key: 'aiKg', label: 'category.ai', colour: '#F59E0B' },
+  { key: 'manufacturingKg', label: 'category.manufacturing', colour: '#A855F7' },
+]
+
+// Recommendations a report lists
+export const REPORT_RECOMMENDATIONS = 3
+
+/**
+ * Donut slices for the categories with a footprint, clockwise from the top:
+ * each category plus its `kg`, its `share` of the total and the `start` and
+ * `end` of its slice as fractions of a turn. Empty when the total is zero.
+ */
+export function pieSlices(results) {
+  const total = CATEGORIES.reduce((sum, c) => sum + (Number(results[c.key]) || 0), 0)
+  if (total <= 0) return []
+  let start = 0
+  return CATEGORIES.filter((c) => Number(results[c.key]) > 0).map((c) => {
+    const kg = Number(results[c.key])
+    const slice = { ...c, kg, share: kg / total, start, end: start + kg / total }
+    start = slice.end
+    return slice
+  })
+}
+
+// Placeholder values of a recommendation's text, with the device named in the
+// respondent's language
+export function recommendationValues(recommendation, i18n) {
+  const { values } = recommendation
+  return values.device ? { ...values, device: i18n.device(values.device) } : values
+}
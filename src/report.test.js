@@ -0,0 +1,18 @@
+import { pieSlices, recommendationValues, CATEGORIES } from './report'
+import { createTranslator } from './i18n'
+
+test('slices cover the whole donut in category order', () => {
+  const slices = pieSlices({ deviceKg: 30, dataKg: 10, aiKg: 0, manufacturingKg: 60 })
+  expect(slices.map((s) => s.key)).toEqual(['deviceKg', 'dataKg', 'manufacturingKg'])
+  expect(slices.map((s) => s.share)).toEqual([0.3, 0.1, 0.6])
+  expect(slices[0].start).toBe(0)
+  expect(slices[2].end).toBeCloseTo(1)
+  slices.slice(1).forEach((s, i) => expect(s.start).toBe(slices[i].end))
+  expect(slices[2].colour).toBe(CATEGORIES[3].colour)
+  expect(pieSlices({ deviceKg: 0, dataKg: 0, aiKg: 0, manufacturingKg: 0 })).toEqual([])
+})
+
+test('recommendation placeholders name the device in the respondent language', () => {
+  expect(recommendationValues({ values: { device: 'laptop' } }, createTranslator('hi'))).toEqual({ device: 'लैपटॉप' })
+  expect(recommendationValues({ values: { years: 2 } }, createTranslator('en'))).toEqual({ years: 2 })
+})
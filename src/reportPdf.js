@@ -0,0 +1,165 @@
+// The personal footprint report as a downloadable PDF, made in the browser.
+// The page is drawn on an A4 canvas with the browser's own fonts, so Hindi
+// and symbols like ₹ and CO₂ come out as they do on screen, and the canvas is
+// placed on a one-page PDF with jsPDF. It holds what the printable report
+// (src/FootprintReport.js) holds.
+import { kgToInr } from './emissions'
+import { pieSlices, recommendationValues } from './report'
+import { wrapText } from './shareImage'
+
+// A4 at 150 dpi
+export const PAGE_WIDTH = 1240
+export const PAGE_HEIGHT = 1754
+
+const MARGIN = 100
+const FONT = "-apple-system, 'Segoe UI', Roboto, 'Noto Sans', 'Noto Sans Devanagari', sans-serif"
+const TEXT = '#111827'
+const MUTED = '#6B7280'
+
+// Draw `lines` from `y` and return the y below them
+function drawLines(ctx, lines, x, y, lineHeight) {
+  lines.forEach((line, i) => ctx.fillText(line, x, y + i * lineHeight))
+  return y + lines.length * lineHeight
+}
+
+/**
+ * Draw the report page on a 2D context. `data` is what FootprintReport
+ * takes: `{ results, uncertainty, recommendations, factors, profile, date }`.
+ */
+export function drawReport(ctx, { results, uncertainty, recommendations, factors, profile, date }, i18n) {
+  const { t } = i18n
+  const width = PAGE_WIDTH - 2 * MARGIN
+  const rate = i18n.inr(factors.inrPerTonneCO2)
+  ctx.fillStyle = '#FFFFFF'
+  ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT)
+  ctx.textBaseline = 'top'
+
+  ctx.fillStyle = TEXT
+  ctx.font = `600 48px ${FONT}`
+  ctx.fillText(t('report.title'), MARGIN, MARGIN)
+  ctx.fillStyle = MUTED
+  ctx.font = `400 24px ${FONT}`
+  ctx.fillText(`${t('hero.title')} · ${i18n.date(date)}`, MARGIN, MARGIN + 64)
+  ctx.fillRect(MARGIN, MARGIN + 110, width, 2)
+
+  // Donut on the left, total, cost and legend on the right
+  let y = MARGIN + 150
+  const radius = 110
+  const cx = MARGIN + radius + 30
+  const cy = y + radius + 30
+  const slices = pieSlices(results)
+  ctx.lineWidth = 50
+  slices.forEach((slice) => {
+    ctx.strokeStyle = slice.colour
+    ctx.beginPath()
+    ctx.arc(cx, cy, radius, -Math.PI / 2 + slice.start * 2 * Math.PI, -Math.PI / 2 + slice.end * 2 * Math.PI)
+    ctx.stroke()
+  })
+  const x = MARGIN + 2 * radius + 120
+  const right = PAGE_WIDTH - MARGIN - x
+  ctx.font = `400 24px ${FONT}`
+  ctx.fillText(t('results.total'), x, y)
+  ctx.fillStyle = TEXT
+  ctx.font = `700 64px ${FONT}`
+  ctx.fillText(`${i18n.number(results.totalKg)} kg CO₂`, x, y + 34)
+  y += 118
+  ctx.font = `400 22px ${FONT}`
+  if (uncertainty) {
+    ctx.fillStyle = MUTED
+    ctx.fillText(t('results.interval', { low: i18n.number(uncertainty.totalKg.low), high: i18n.number(uncertainty.totalKg.high) }), x, y)
+    y += 34
+  }
+  ctx.fillStyle = TEXT
+  y = drawLines(ctx, wrapText(ctx, t('results.approxCost', { cost: i18n.inr(kgToInr(results.totalKg, factors)), rate }), right), x, y, 30) + 16
+  slices.forEach((slice) => {
+    ctx.fillStyle = slice.colour
+    ctx.fillRect(x, y + 3, 20, 20)
+    ctx.fillStyle = TEXT
+    ctx.fillText(`${t(slice.label)}  ${i18n.number(slice.kg)} kg (${i18n.number(slice.share * 100, 0)}%)`, x + 32, y)
+    y += 32
+  })
+  y = Math.max(y, cy + radius + 55) + 30
+
+  if (results.devices.length > 0) {
+    ctx.font = `600 28px ${FONT}`
+    ctx.fillText(t('report.devices'), MARGIN, y)
+    y += 48
+    // Device name on the left, then right-aligned number columns
+    const columns = [
+      [t('report.count'), (d) => String(d.count)],
+      ['kWh', (d) => i18n.number(d.kwhPerYear, 1)],
+      [`${t('category.device')} (kg)`, (d) => i18n.number(d.electricityKg)],
+      [`${t('category.manufacturing')} (kg)`, (d) => i18n.number(d.manufacturingKg)],
+      [`${t('report.deviceTotal')} (kg)`, (d) => i18n.number(d.kg)],
+    ]
+    const columnRight = (i) => PAGE_WIDTH - MARGIN - (columns.length - 1 - i) * 150
+    const row = (cells, colour) => {
+      ctx.fillStyle = colour
+      ctx.textAlign = 'left'
+      ctx.fillText(cells[0], MARGIN, y)
+      ctx.textAlign = 'right'
+      cells.slice(1).forEach((cell, i) => ctx.fillText(cell, columnRight(i), y))
+      ctx.textAlign = 'left'
+      y += 34
+    }
+    ctx.font = `400 20px ${FONT}`
+    row([t('report.device'), ...columns.map(([label]) => label)], MUTED)
+    results.devices.forEach((d) => {
+      ctx.fillStyle = '#E5E7EB'
+      ctx.fillRect(MARGIN, y - 6, width, 1)
+      row([i18n.device(d.device), ...columns.map(([, value]) => value(d))], TEXT)
+    })
+    y += 30
+  }
+
+  if (recommendations.length > 0) {
+    ctx.fillStyle = TEXT
+    ctx.font = `600 28px ${FONT}`
+    ctx.fillText(t('recommend.title'), MARGIN, y)
+    y += 48
+    ctx.font = `400 22px ${FONT}`
+    recommendations.forEach((r, i) => {
+      const text = `${i + 1}. ${t(`recommend.${r.id}.title`, recommendationValues(r, i18n))} — ${t('recommend.saving', { kg: i18n.number(r.kgSaved), inr: i18n.inr(r.inrSaved), percent: r.percent })}`
+      y = drawLines(ctx, wrapText(ctx, text, width), MARGIN, y, 30) + 10
+    })
+    y += 20
+  }
+
+  ctx.fillStyle = MUTED
+  ctx.fillRect(MARGIN, y, width, 1)
+  y += 24
+  ctx.fillStyle = TEXT
+  ctx.font = `600 22px ${FONT}`
+  ctx.fillText(t('report.methodology'), MARGIN, y)
+  y += 36
+  ctx.fillStyle = MUTED
+  ctx.font = `400 19px ${FONT}`
+  const notes = [
+    t('report.methodologyBody', { grid: i18n.number(results.assumptions.gridKgCO2PerKWh, 3), rate }),
+    uncertainty && t('results.intervalNote', { runs: i18n.number(uncertainty.runs, 0) }),
+    t('results.factorProfile', { name: profile.name || profile.id, version: profile.version }),
+  ]
+  notes.filter(Boolean).forEach((note) => {
+    y = drawLines(ctx, wrapText(ctx, note, width), MARGIN, y, 27) + 10
+  })
+}
+
+// A one-page A4 PDF showing `image` (a data URL or canvas) across the page
+export async function pagePdf(image, title) {
+  const { jsPDF } = await import('jspdf')
+  const pdf = new jsPDF({ unit: 'mm', format: 'a4' })
+  pdf.setProperties({ title })
+  pdf.addImage(image, 'PNG', 0, 0, 210, 297)
+  return pdf.output('blob')
+}
+
+// The report as a PDF blob
+export async function reportPdfBlob(data, i18n) {
+  const canvas = document.createElement('canvas')
+  canvas.width = PAGE_WIDTH
+  canvas.height = PAGE_HEIGHT
+  const ctx = canvas.getContext('2d')
+  if (!ctx) throw new Error('Could not draw the report')
+  drawReport(ctx, data, i18n)
+  return pagePdf(canvas.toDataURL('image/png'), i18n.t('report.title'))
+}
@@ -0,0 +1,61 @@
+import { drawReport, pagePdf, PAGE_WIDTH, PAGE_HEIGHT } from './reportPdf'
+import { calculateFootprint, INDIAN_DEFAULTS } from './emissions'
+import { recommend } from './recommendations'
+import { DEFAULT_PROFILE } from './factorProfiles'
+import { createTranslator } from './i18n'
+import { TextDecoder, TextEncoder } from 'util'
+
+// A 2D context that records what is drawn; every character is 10px wide
+function recordingContext() {
+  const calls = []
+  const ctx = { calls }
+  ;['fillRect', 'beginPath', 'arc', 'stroke'].forEach((name) => {
+    ctx[name] = (...args) => calls.push([name, ...args])
+  })
+  ctx.fillText = (text) => calls.push(['fillText', text])
+  ctx.measureText = (text) => ({ width: text.length * 10 })
+  return ctx
+}
+
+const form = { laptop: '1', laptopDuration: '6', smartphone: '1', smartphoneDuration: '4', routerDuration: '24', router: '1' }
+
+test('the PDF page holds the total, devices, recommendations and the method', () => {
+  const results = calculateFootprint(form)
+  const ctx = recordingContext()
+  drawReport(ctx, {
+    results,
+    uncertainty: null,
+    recommendations: recommend(form).slice(0, 3),
+    factors: INDIAN_DEFAULTS,
+    profile: DEFAULT_PROFILE,
+    date: '2025-03-14T09:26:53.589Z',
+  }, createTranslator('en'))
+  const texts = ctx.calls.filter(([name]) => name === 'fillText').map(([, text]) => text)
+  expect(texts).toEqual(expect.arrayContaining([
+    'My digital carbon footprint',
+    `${results.totalKg.toLocaleString('en-IN')} kg CO₂`,
+    'Your devices, per year',
+    'Router/Modem',
+    'How you could cut your footprint',
+  ]))
+  expect(texts.some((text) => text.startsWith('These are estimates from your answers'))).toBe(true)
+  expect(texts.some((text) => text.startsWith('1. '))).toBe(true)
+  expect(ctx.calls.filter(([name]) => name === 'arc').length).toBeGreaterThan(1)
+  expect(ctx.calls[0]).toEqual(['fillRect', 0, 0, PAGE_WIDTH, PAGE_HEIGHT])
+})
+
+test('the page is placed on a one-page PDF', async () => {
+  // jsPDF needs TextEncoder and TextDecoder, which browsers have and jsdom does not
+  Object.assign(global, { TextEncoder, TextDecoder })
+  // 1×1 white PNG
+  const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4//8/AAX+Av4N70a4AAAAAElFTkSuQmCC'
+  const blob = await pagePdf(png, 'My digital carbon footprint')
+  expect(blob.type).toBe('application/pdf')
+  const text = await new Promise((resolve) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.readAsText(blob)
+  })
+  expect(text.startsWith('%PDF-')).toBe(true)
+  expect(text.match(/\/Type \/Page\b/g)).toHaveLength(1)
+})
@@ -0,0 +1,80 @@
+// What-if scenarios: copies of the respondent's answers with a few of them
+// moved by sliders and re-run through the same model. Named scenarios are
+// kept in localStorage so a workshop can flip between them; the real answers
+// are never touched. A saved scenario holds only the answers it changes and
+// its footprint, never a copy of the respondent's other answers, since the
+// survey runs on shared and lab devices.
+import { DEVICE_TYPES, EMPTY_FORM, QUESTIONS } from './surveySchema'
+import { defaultStorage } from './draft'
+
+export const SCENARIOS_KEY = 'carbon-survey-scenarios'
+
+// Range answers the simulator moves along their option list
+const OPTION_SLIDERS = ['streamingAcademicHrsPerWeek', 'streamingNonAcademicHrsPerWeek', 'aiInteractionsPerDay', 'renewableEnergyUsage']
+
+/**
+ * Sliders for a scenario: daily hours for each device type owned, then the
+ * range answers. Hours sliders are `{ field, device, min, max, step }`;
+ * option sliders are `{ field, options }` and move by option index, with
+ * "Don't know" left off.
+ */
+export function scenarioSliders(form) {
+  const hours = DEVICE_TYPES
+    .filter(({ field }) => Number(form[field]) > 0)
+    .map(({ field }) => ({ field: `${field}Duration`, device: field, min: 0, max: 24, step: 0.5 }))
+  const ranges = OPTION_SLIDERS.map((field) => ({ field, options: QUESTIONS[field].options.filter((o) => o !== "Don't know") }))
+  return [...hours, ...ranges]
+}
+
+// Slider position for the current answer; unanswered range questions sit at the first option
+export function sliderPosition(slider, form) {
+  if (slider.options) return Math.max(0, slider.options.indexOf(form[slider.field]))
+  return Number(form[slider.field]) || 0
+}
+
+export function sliderAnswer(slider, position) {
+  return slider.options ? slider.options[position] : String(position)
+}
+
+// The list with `scenario` added, replacing any saved under the same name
+export function upsertScenario(scenarios, scenario) {
+  const i = scenarios.findIndex((s) => s.name === scenario.name)
+  if (i === -1) return [...scenarios, scenario]
+  return scenarios.map((s, j) => (j === i ? scenario : s))
+}
+
+/**
+ * Saved scenarios as `[{ name, changes, totalKg, savedAt }]`, with changes to
+ * questions the survey no longer asks dropped. Unreadable storage gives an
+ * empty list. Scenarios saved with a full copy of the answers, as they once
+ * were, are dropped and removed from storage.
+ */
+export function loadScenarios(storage = defaultStorage()) {
+  if (!storage) return []
+  let saved
+  try {
+    saved = JSON.parse(storage.getItem(SCENARIOS_KEY))
+  } catch (err) {
+    return []
+  }
+  if (!Array.isArray(saved)) return []
+  const scenarios = saved
+    .filter((s) => s && typeof s.name === 'string' && s.changes && typeof s.changes === 'object')
+    .map((s) => ({
+      name: s.name,
+      changes: Object.fromEntries(Object.entries(s.changes).filter(([f]) => f in EMPTY_FORM)),
+      totalKg: s.totalKg,
+      savedAt: s.savedAt,
+    }))
+  if (saved.some((s) => s && s.form)) saveScenarios(scenarios, storage)
+  return scenarios
+}
+
+export function saveScenarios(scenarios, storage = defaultStorage()) {
+  if (!storage) return
+  try {
+    storage.setItem(SCENARIOS_KEY, JSON.stringify(scenarios))
+  } catch (err) {
+    console.error('Could not save scenarios:', err)
+  }
+}
@@ -0,0 +1,51 @@
+import { scenarioSliders, sliderPosition, sliderAnswer, upsertScenario, loadScenarios, saveScenarios, SCENARIOS_KEY } from './scenarios'
+import { EMPTY_FORM } from './surveySchema'
+
+function memoryStorage() {
+  const items = {}
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value) },
+    removeItem: (key) => { delete items[key] },
+  }
+}
+
+test('hours sliders cover owned devices, followed by the range answers', () => {
+  const sliders = scenarioSliders({ ...EMPTY_FORM, laptop: '1', smartphone: '0' })
+  expect(sliders.map((s) => s.field)).toEqual([
+    'laptopDuration', 'streamingAcademicHrsPerWeek', 'streamingNonAcademicHrsPerWeek', 'aiInteractionsPerDay', 'renewableEnergyUsage',
+  ])
+  expect(sliders.find((s) => s.field === 'renewableEnergyUsage').options).not.toContain("Don't know")
+})
+
+test('sliders move hours directly and range answers by option', () => {
+  const [hours, academic] = scenarioSliders({ ...EMPTY_FORM, laptop: '1', laptopDuration: '6' })
+  expect(sliderPosition(hours, { laptopDuration: '6' })).toBe(6)
+  expect(sliderAnswer(hours, 4.5)).toBe('4.5')
+  expect(sliderPosition(academic, EMPTY_FORM)).toBe(0)
+  expect(sliderAnswer(academic, 2)).toBe('6-15 hrs - Moderate (regular classes)')
+  expect(sliderPosition(academic, { streamingAcademicHrsPerWeek: '6-15 hrs - Moderate (regular classes)' })).toBe(2)
+})
+
+test('saving under an existing name replaces that scenario', () => {
+  const list = upsertScenario(upsertScenario([], { name: 'A', changes: { laptopDuration: '1' } }), { name: 'B', changes: {} })
+  expect(upsertScenario(list, { name: 'A', changes: { laptopDuration: '2' } })).toEqual([{ name: 'A', changes: { laptopDuration: '2' } }, { name: 'B', changes: {} }])
+})
+
+test('scenarios round-trip through storage, reconciled with the current questions', () => {
+  const storage = memoryStorage()
+  saveScenarios([{ name: 'Less TV', changes: { smartTVDuration: '1', retiredQuestion: 'x' }, totalKg: 40.5, savedAt: '2025-01-01T00:00:00.000Z' }], storage)
+  expect(loadScenarios(storage)).toEqual([{ name: 'Less TV', changes: { smartTVDuration: '1' }, totalKg: 40.5, savedAt: '2025-01-01T00:00:00.000Z' }])
+
+  storage.setItem(SCENARIOS_KEY, '{not json')
+  expect(loadScenarios(storage)).toEqual([])
+  storage.setItem(SCENARIOS_KEY, JSON.stringify([{ name: 'no changes' }, null]))
+  expect(loadScenarios(storage)).toEqual([])
+})
+
+test('scenarios saved with a full copy of the answers are removed', () => {
+  const storage = memoryStorage()
+  storage.setItem(SCENARIOS_KEY, JSON.stringify([{ name: 'Old', form: { ...EMPTY_FORM, age: '21', city: 'Pune' } }]))
+  expect(loadScenarios(storage)).toEqual([])
+  expect(JSON.parse(storage.getItem(SCENARIOS_KEY))).toEqual([])
+})
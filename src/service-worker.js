@@ -0,0 +1,41 @@
+/* eslint-disable no-restricted-globals */
+
+// Precaches the built app shell so the survey loads and works with no network,
+// e.g. at field camps. Submissions made offline wait in the IndexedDB queue
+// (see offlineQueue.js) rather than here.
+import { clientsClaim } from 'workbox-core'
+import { ExpirationPlugin } from 'workbox-expiration'
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching'
+import { registerRoute } from 'workbox-routing'
+import { StaleWhileRevalidate } from 'workbox-strategies'
+
+clientsClaim()
+
+precacheAndRoute(self.__WB_MANIFEST)
+
+// Serve index.html for navigations so deep links work offline
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$')
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false
+    if (url.pathname.startsWith('/_')) return false
+    if (url.pathname.match(fileExtensionRegexp)) return false
+    return true
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+)
+
+// Same-origin images that are not part of the build (e.g. icons from public/)
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.endsWith('.png'),
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+)
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting()
+  }
+})
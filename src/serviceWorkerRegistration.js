@@ -0,0 +1,25 @@
+// Registers the service worker built from src/service-worker.js. Only active in
+// production builds; in development it would cache stale bundles.
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return
+
+  // The service worker won't work if PUBLIC_URL is on a different origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href)
+  if (publicUrl.origin !== window.location.origin) return
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`
+    navigator.serviceWorker.register(swUrl).catch((error) => {
+      console.error('Error during service worker registration:', error)
+    })
+  })
+}
+
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message))
+  }
+}
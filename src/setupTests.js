@@ -3,3 +3,13 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// recharts' ResponsiveContainer needs ResizeObserver, which jsdom lacks.
+global.ResizeObserver = class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+};
+
+// Participant IDs and withdrawal codes come from crypto.getRandomValues, which jsdom lacks.
+global.crypto = require('crypto').webcrypto;
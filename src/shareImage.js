@@ -0,0 +1,94 @@
+// Social-share picture of a respondent's results, drawn on a canvas in the
+// browser: the total, its rupee cost, the category donut and the top
+// recommendation, at the 1200×630 size link previews use.
+import { pieSlices } from './report'
+
+export const SHARE_WIDTH = 1200
+export const SHARE_HEIGHT = 630
+
+const FONT = "-apple-system, 'Segoe UI', Roboto, 'Noto Sans', 'Noto Sans Devanagari', sans-serif"
+
+// `text` split into lines no wider than `maxWidth`
+export function wrapText(ctx, text, maxWidth) {
+  const lines = []
+  let line = ''
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    const next = line ? `${line} ${word}` : word
+    if (line && ctx.measureText(next).width > maxWidth) {
+      lines.push(line)
+      line = word
+    } else {
+      line = next
+    }
+  })
+  if (line) lines.push(line)
+  return lines
+}
+
+/**
+ * Draw the share picture on a 2D context. `data` is `{ results, cost,
+ * recommendation, url }`: `cost` is already formatted and `recommendation`
+ * (optional) is `{ title, saving }` text.
+ */
+export function drawShareImage(ctx, { results, cost, recommendation, url }, i18n) {
+  const { t } = i18n
+  const background = ctx.createLinearGradient(0, 0, SHARE_WIDTH, SHARE_HEIGHT)
+  background.addColorStop(0, '#16A34A')
+  background.addColorStop(0.5, '#10B981')
+  background.addColorStop(1, '#0EA5E9')
+  ctx.fillStyle = background
+  ctx.fillRect(0, 0, SHARE_WIDTH, SHARE_HEIGHT)
+
+  ctx.fillStyle = '#FFFFFF'
+  ctx.textBaseline = 'top'
+  ctx.font = `600 36px ${FONT}`
+  ctx.fillText(t('share.heading'), 64, 56)
+  ctx.font = `700 96px ${FONT}`
+  ctx.fillText(`${i18n.number(results.totalKg, 0)} kg CO₂`, 64, 120)
+  ctx.font = `400 30px ${FONT}`
+  ctx.fillText(t('share.perYear', { cost }), 64, 234)
+
+  if (recommendation) {
+    ctx.font = `600 28px ${FONT}`
+    ctx.fillText(t('share.nextStep'), 64, 320)
+    ctx.font = `400 28px ${FONT}`
+    const lines = wrapText(ctx, recommendation.title, 620).slice(0, 2)
+    lines.forEach((line, i) => ctx.fillText(line, 64, 360 + i * 38))
+    ctx.font = `400 24px ${FONT}`
+    ctx.fillText(recommendation.saving, 64, 372 + lines.length * 38)
+  }
+
+  ctx.font = `500 26px ${FONT}`
+  ctx.fillText(url ? t('share.callToActionUrl', { url }) : t('share.callToAction'), 64, SHARE_HEIGHT - 76)
+
+  // Donut with its legend on the right
+  const cx = 960
+  const cy = 230
+  const slices = pieSlices(results)
+  ctx.lineWidth = 56
+  slices.forEach((slice) => {
+    ctx.strokeStyle = slice.colour
+    ctx.beginPath()
+    ctx.arc(cx, cy, 120, -Math.PI / 2 + slice.start * 2 * Math.PI, -Math.PI / 2 + slice.end * 2 * Math.PI)
+    ctx.stroke()
+  })
+  ctx.font = `400 22px ${FONT}`
+  slices.forEach((slice, i) => {
+    const y = 410 + i * 34
+    ctx.fillStyle = slice.colour
+    ctx.fillRect(820, y + 3, 18, 18)
+    ctx.fillStyle = '#FFFFFF'
+    ctx.fillText(`${t(slice.label)} ${i18n.number(slice.share * 100, 0)}%`, 850, y)
+  })
+}
+
+// The share picture as a PNG blob
+export function shareImageBlob(data, i18n) {
+  const canvas = document.createElement('canvas')
+  canvas.width = SHARE_WIDTH
+  canvas.height = SHARE_HEIGHT
+  drawShareImage(canvas.getContext('2d'), data, i18n)
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png')
+  })
+}
@@ -0,0 +1,43 @@
+import { drawShareImage, wrapText, SHARE_WIDTH, SHARE_HEIGHT } from './shareImage'
+import { createTranslator } from './i18n'
+
+// A 2D context that records what is drawn; every character is 10px wide
+function recordingContext() {
+  const calls = []
+  const ctx = { calls }
+  ;['fillRect', 'beginPath', 'arc', 'stroke'].forEach((name) => {
+    ctx[name] = (...args) => calls.push([name, ...args])
+  })
+  ctx.fillText = (text) => calls.push(['fillText', text])
+  ctx.measureText = (text) => ({ width: text.length * 10 })
+  ctx.createLinearGradient = () => ({ addColorStop: () => {} })
+  return ctx
+}
+
+const results = { totalKg: 812.4, deviceKg: 400, dataKg: 200, aiKg: 12.4, manufacturingKg: 200 }
+
+test('long text wraps at the given width', () => {
+  expect(wrapText(recordingContext(), 'Switch off the router overnight', 150)).toEqual(['Switch off the', 'router', 'overnight'])
+})
+
+test('the share image shows the total, cost, next step and a slice per category', () => {
+  const ctx = recordingContext()
+  drawShareImage(ctx, {
+    results,
+    cost: '₹2,000',
+    recommendation: { title: 'Switch off the router overnight', saving: 'Saves about 20 kg CO₂' },
+    url: 'https://survey.example.org/',
+  }, createTranslator('en'))
+  const texts = ctx.calls.filter(([name]) => name === 'fillText').map(([, text]) => text)
+  expect(texts).toEqual(expect.arrayContaining([
+    'My digital carbon footprint',
+    '812 kg CO₂',
+    'per year · about ₹2,000 in climate damage',
+    'Switch off the router overnight',
+    'Saves about 20 kg CO₂',
+    'Measure yours: https://survey.example.org/',
+    'AI 2%',
+  ]))
+  expect(ctx.calls.filter(([name]) => name === 'arc')).toHaveLength(4)
+  expect(ctx.calls[0]).toEqual(['fillRect', 0, 0, SHARE_WIDTH, SHARE_HEIGHT])
+})
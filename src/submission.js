@@ -0,0 +1,105 @@
+// Submission layer. A submitter is any `async (record) => void` that throws on
+// failure; the survey only knows about `submitWithRetry`, so the HTTP backend
+// can be swapped for another transport without touching the form.
+
+export class SubmissionError extends Error {
+  constructor(message, { status, retryable = true } = {}) {
+    super(message)
+    this.name = 'SubmissionError'
+    this.status = status
+    this.retryable = retryable
+  }
+}
+
+// POSTs the record as JSON. 4xx responses (other than 408/429) are not retried,
+// since sending the same payload again will fail the same way.
+export function createHttpSubmitter(endpoint, { fetchImpl = (...args) => fetch(...args) } = {}) {
+  return async function submitOverHttp(record) {
+    let response
+    try {
+      response = await fetchImpl(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(record),
+      })
+    } catch (err) {
+      throw new SubmissionError(`Network error: ${err.message}`)
+    }
+    if (!response.ok) {
+      const retryable = response.status >= 500 || response.status === 408 || response.status === 429
+      throw new SubmissionError(`Server responded ${response.status}`, { status: response.status, retryable })
+    }
+  }
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+/**
+ * Submit with exponential backoff: attempt n waits `baseDelayMs * 2^(n-1)`
+ * before retrying. `onAttempt(attempt)` is called before every try so the UI
+ * can show progress. Rethrows the last error once attempts are exhausted.
+ */
+export async function submitWithRetry(submitter, record, { attempts = 3, baseDelayMs = 1000, onAttempt = () => {} } = {}) {
+  let lastError
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    onAttempt(attempt)
+    try {
+      await submitter(record)
+      return
+    } catch (err) {
+      lastError = err
+      if (err.retryable === false || attempt === attempts) break
+      await wait(baseDelayMs * Math.pow(2, attempt - 1))
+    }
+  }
+  throw lastError
+}
+
+/**
+ * Load every stored record for the admin dashboard. The server only serves
+ * this list to requests carrying its admin password as a bearer token.
+ */
+export async function fetchSubmissions(endpoint, password, { fetchImpl = (...args) => fetch(...args) } = {}) {
+  let response
+  try {
+    response = await fetchImpl(endpoint, { headers: { Authorization: `Bearer ${password}` } })
+  } catch (err) {
+    throw new SubmissionError(`Network error: ${err.message}`)
+  }
+  if (!response.ok) {
+    throw new SubmissionError(response.status === 401 ? 'Wrong admin password' : `Server responded ${response.status}`, { status: response.status, retryable: false })
+  }
+  return response.json()
+}
+
+/**
+ * Delete the record carrying a participant's withdrawal code. Resolves to
+ * false when no stored record has that code. Needs the admin password, like
+ * listing.
+ */
+export async function withdrawSubmission(endpoint, password, withdrawalCode, { fetchImpl = (...args) => fetch(...args) } = {}) {
+  let response
+  try {
+    response = await fetchImpl(`${endpoint}?withdrawalCode=${encodeURIComponent(withdrawalCode)}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${password}` },
+    })
+  } catch (err) {
+    throw new SubmissionError(`Network error: ${err.message}`)
+  }
+  if (response.status === 404) return false
+  if (!response.ok) {
+    throw new SubmissionError(response.status === 401 ? 'Wrong admin password' : `Server responded ${response.status}`, { status: response.status, retryable: false })
+  }
+  return true
+}
+
+// Configured at build time, e.g. REACT_APP_SUBMIT_URL=https://survey.example.org/api/submissions
+export function getSubmitUrl() {
+  return process.env.REACT_APP_SUBMIT_URL || null
+}
+
+export function getDefaultSubmitter() {
+  const endpoint = getSubmitUrl()
+  return endpoint ? createHttpSubmitter(endpoint) : null
+}
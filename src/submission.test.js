@@ -0,0 +1,55 @@
+import { createHttpSubmitter, fetchSubmissions, withdrawSubmission, submitWithRetry, SubmissionError } from './submission'
+
+const record = { participantId: 'P1', form: {}, results: {} }
+
+test('http submitter posts the record as JSON', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({ ok: true, status: 201 })
+  await createHttpSubmitter('/api/submissions', { fetchImpl })(record)
+  expect(fetchImpl).toHaveBeenCalledWith('/api/submissions', expect.objectContaining({
+    method: 'POST',
+    body: JSON.stringify(record),
+  }))
+})
+
+test('client errors are not retryable', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 400 })
+  await expect(createHttpSubmitter('/x', { fetchImpl })(record)).rejects.toMatchObject({ status: 400, retryable: false })
+})
+
+test('retries until the submitter succeeds', async () => {
+  const submitter = jest.fn()
+    .mockRejectedValueOnce(new SubmissionError('down'))
+    .mockResolvedValueOnce()
+  const onAttempt = jest.fn()
+  await submitWithRetry(submitter, record, { baseDelayMs: 0, onAttempt })
+  expect(submitter).toHaveBeenCalledTimes(2)
+  expect(onAttempt).toHaveBeenLastCalledWith(2)
+})
+
+test('gives up after the last attempt or a non-retryable error', async () => {
+  const down = jest.fn().mockRejectedValue(new SubmissionError('down'))
+  await expect(submitWithRetry(down, record, { attempts: 3, baseDelayMs: 0 })).rejects.toThrow('down')
+  expect(down).toHaveBeenCalledTimes(3)
+
+  const invalid = jest.fn().mockRejectedValue(new SubmissionError('bad', { status: 422, retryable: false }))
+  await expect(submitWithRetry(invalid, record, { baseDelayMs: 0 })).rejects.toThrow('bad')
+  expect(invalid).toHaveBeenCalledTimes(1)
+})
+
+test('fetchSubmissions sends the admin password as a bearer token', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({ ok: true, json: async () => [record] })
+  await expect(fetchSubmissions('/api/submissions', 'secret', { fetchImpl })).resolves.toEqual([record])
+  expect(fetchImpl.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer secret' })
+
+  const denied = jest.fn().mockResolvedValue({ ok: false, status: 401 })
+  await expect(fetchSubmissions('/api/submissions', 'nope', { fetchImpl: denied })).rejects.toThrow('Wrong admin password')
+})
+
+test('withdrawSubmission deletes by withdrawal code as the admin', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({ ok: true, status: 200 })
+  await expect(withdrawSubmission('/api/submissions', 'secret', '7KQ2-M9XD-4TBN', { fetchImpl })).resolves.toBe(true)
+  expect(fetchImpl).toHaveBeenCalledWith('/api/submissions?withdrawalCode=7KQ2-M9XD-4TBN', { method: 'DELETE', headers: { Authorization: 'Bearer secret' } })
+
+  const missing = jest.fn().mockResolvedValue({ ok: false, status: 404 })
+  await expect(withdrawSubmission('/api/submissions', 'secret', '7KQ2-M9XD-4TBN', { fetchImpl: missing })).resolves.toBe(false)
+})
@@ -0,0 +1,444 @@
+// The survey, declared once. The form is rendered from SECTIONS, the blank
+// form and export columns are derived from the questions, and the calculator
+// reads device types and range midpoints from here, so adding a question or a
+// device type is a change to this file only. Imported by the Node CLI in
+// scripts/ (through records.js), so this module must not import anything.
+//
+// Each section is one step of the survey; `step` is its short name in the
+// progress bar. A section's `items` are questions, or composite items that expand into
+// several questions ('deviceTable', 'aiMix', 'quiz'), or static content ('block',
+// rendered by the app by `id`). Question fields:
+//   field        form key
+//   label        question text, also the export column label
+//   type         'select', 'number' (free-text input holding a number), 'text' or 'checkbox'
+//   options      answer options of a select, in display (and code) order
+//   placeholder  input hint
+//   min, max     allowed numeric range; `integer` for counts
+//   warnAbove    plausibility limit: larger values are allowed but queried
+//   midpoints    for range answers, [[label prefix, representative value, low, high]];
+//                the bounds feed the uncertainty ranges, open-ended top bands get
+//                a plausible ceiling
+//   showIf       (form) => boolean; the question is hidden otherwise
+//   hidden       kept in the data for older records but never asked
+//   device, part device table questions: the device row and 'count', 'hours' or 'age'
+//   aiType       AI mix questions: the `factorKey` of the usage type they ask about
+
+export const INDIAN_STATES = [
+  "Andhra Pradesh","Arunachal Pradesh","Assam","Bihar","Chhattisgarh","Goa","Gujarat","Haryana","Himachal Pradesh","Jharkhand","Karnataka","Kerala","Madhya Pradesh","Maharashtra","Manipur","Meghalaya","Mizoram","Nagaland","Odisha","Punjab","Rajasthan","Sikkim","Tamil Nadu","Telangana","Tripura","Uttar Pradesh","Uttarakhand","West Bengal","Andaman and Nicobar Islands","Chandigarh","Dadra and Nagar Haveli and Daman and Diu","Delhi","Jammu and Kashmir","Ladakh","Lakshadweep","Puducherry"
+]
+
+export const STREAMING_QUALITY_OPTIONS = [
+  "SD (480p or lower)",
+  "HD (720p/1080p)",
+  "4K / Ultra HD",
+  "Auto / Don't know"
+]
+
+export const STREAMING_SCREEN_OPTIONS = ["Phone", "Laptop / Tablet", "Smart TV / Large screen"]
+
+// One row of the device table each. `factorKey` is the key into the emission
+// factor tables (devicePowerW, embodiedKgCO2, deviceLifespanYears); the count,
+// hours and age answers are `${field}`, `${field}Duration` and `${field}Age`.
+// `alwaysOn` devices plausibly run around the clock.
+export const DEVICE_TYPES = [
+  { field: 'smartphone', factorKey: 'Smartphone', label: 'Smartphone' },
+  { field: 'laptop', factorKey: 'Laptop', label: 'Laptop' },
+  { field: 'tablet', factorKey: 'Tablet', label: 'Tablet' },
+  { field: 'desktop', factorKey: 'Desktop', label: 'Desktop' },
+  { field: 'smartTV', factorKey: 'Smart TV', label: 'Smart TV' },
+  { field: 'gamingConsole', factorKey: 'Gaming Console', label: 'Gaming Console' },
+  { field: 'streamingDevice', factorKey: 'Streaming Device', label: 'Streaming Device (Roku, Chromecast, etc.)' },
+  { field: 'smartHomeDevices', factorKey: 'Smart Home Devices', label: 'Smart Home Devices (Alexa, etc.)', alwaysOn: true },
+  { field: 'router', factorKey: 'Router', label: 'Router/Modem', hoursPlaceholder: '24', alwaysOn: true },
+  { field: 'otherDevices', factorKey: 'Other', label: 'Other devices' },
+]
+
+// AI usage types, one row of the AI mix each: the respondent gives the rough
+// share of their AI use that goes to the type, and `factorKey` is the key into
+// aiKgCO2PerQuery. Other tools are billed at the 'default' rate.
+export const AI_USAGE_TYPES = [
+  { field: 'aiShareText', factorKey: 'text', label: 'Text generation (ChatGPT, etc.)' },
+  { field: 'aiShareImage', factorKey: 'image', label: 'Image generation (DALL-E, etc.)' },
+  { field: 'aiShareCode', factorKey: 'code', label: 'Code assistance (GitHub Copilot, etc.)' },
+  { field: 'aiShareVoice', factorKey: 'voice', label: 'Voice assistants (Siri, Alexa, etc.)' },
+  { field: 'aiShareOther', factorKey: 'default', label: 'Other AI tools' },
+]
+
+// Share answers as rough percentages of AI use. The calculator scales the
+// shares to add up to 100%, so "Mostly text, some images" needs no arithmetic
+// from the respondent.
+export const AI_SHARE_OPTIONS = ['None', 'A little', 'Some', 'Mostly']
+const AI_SHARE_MIDPOINTS = [['A little', 10, 5, 20], ['Some', 30, 20, 50], ['Mostly', 70, 50, 90]]
+
+// Fields older records may carry that the survey no longer collects; they are
+// ignored on import rather than reported as unknown
+export const RETIRED_FIELDS = ['aiTypes']
+
+// Version of the questionnaire, stamped into every record as `schemaVersion`.
+// Records without one were collected with the original questionnaire,
+// version 1.
+export const SCHEMA_VERSION = 2
+
+// Fields each version added, so an older record is not reported as missing
+// answers to questions it was never asked
+export const FIELDS_ADDED_IN = {
+  2: [
+    'streamingAcademicQuality', 'streamingAcademicScreen', 'streamingEntertainmentQuality', 'streamingEntertainmentScreen',
+    ...AI_USAGE_TYPES.map((t) => t.field), 'aiQueriesPerSession',
+  ],
+}
+
+// The quiz in version 1 asked for a 1-10 impact rating instead of an answer
+export const LEGACY_QUIZ_OPTIONS = ["1 (lowest)", "2", "3", "4", "5 (medium)", "6", "7", "8", "9", "10 (highest)"]
+
+// Quiz questions in display order; quiz.js attaches each one's reference
+// value from the emission model. Options are [label, value] pairs.
+export const QUIZ_QUESTIONS = [
+  {
+    field: 'quizDataUsage',
+    title: 'Data Usage Impact',
+    question: 'Roughly how much CO₂ does streaming 1 hour of HD video emit?',
+    scale: 'log',
+    options: [['About 1 g', 1], ['About 10 g', 10], ['About 80 g', 80], ['About 500 g', 500], ['About 2 kg', 2000]],
+  },
+  {
+    field: 'quizDeviceLifespan',
+    title: 'Device Lifespan Impact',
+    question: "Keeping a smartphone for 5 years instead of 2 cuts its yearly manufacturing footprint by about how much?",
+    scale: 'linear',
+    options: [['10%', 10], ['25%', 25], ['40%', 40], ['60%', 60], ['80%', 80]],
+  },
+  {
+    field: 'quizChargingImpact',
+    title: 'Charging Habits Impact',
+    question: 'Keeping devices plugged in 24/7 increases their electricity emissions by about how much?',
+    scale: 'linear',
+    options: [['0%', 0], ['10%', 10], ['30%', 30], ['100%', 100], ['300%', 300]],
+  },
+  {
+    field: 'quizStreamingFootprint',
+    title: 'Streaming Quality Impact',
+    question: 'How many times more data does an hour of 4K streaming use than an hour of SD?',
+    scale: 'log',
+    options: [['2×', 2], ['4×', 4], ['15×', 15], ['50×', 50], ['200×', 200]],
+  },
+  {
+    field: 'quizRenewableEnergy',
+    title: 'Renewable Energy Impact',
+    question: 'Switching from all-conventional to mostly renewable electricity cuts device emissions by about how much?',
+    scale: 'linear',
+    options: [['10%', 10], ['30%', 30], ['50%', 50], ['80%', 80], ['100%', 100]],
+  },
+  {
+    field: 'quizAIFootprint',
+    title: 'AI Usage Impact',
+    question: 'Generating one AI image emits about as much as how many text AI queries?',
+    scale: 'log',
+    options: [['2', 2], ['10', 10], ['50', 50], ['200', 200], ['1000', 1000]],
+  },
+]
+
+function deviceTable() {
+  return {
+    type: 'deviceTable',
+    questions: DEVICE_TYPES.flatMap(({ field, label, hoursPlaceholder = '0', alwaysOn = false }) => [
+      { field, device: field, part: 'count', label: `${label}: number of devices`, type: 'number', placeholder: '0', min: 0, max: 50, integer: true, warnAbove: 10 },
+      { field: `${field}Duration`, device: field, part: 'hours', label: `${label}: hours/day`, type: 'number', placeholder: hoursPlaceholder, min: 0, max: 24, warnAbove: alwaysOn ? undefined : 16 },
+      { field: `${field}Age`, device: field, part: 'age', label: `${label}: age of the devices (years)`, type: 'number', placeholder: '0', min: 0, max: 30, warnAbove: 15 },
+    ]),
+  }
+}
+
+function aiMix() {
+  return {
+    type: 'aiMix',
+    questions: AI_USAGE_TYPES.map(({ field, factorKey, label }) => (
+      { field, aiType: factorKey, label: `${label}: share of AI use`, type: 'select', options: AI_SHARE_OPTIONS, midpoints: AI_SHARE_MIDPOINTS }
+    )),
+  }
+}
+
+function quiz() {
+  return {
+    type: 'quiz',
+    questions: QUIZ_QUESTIONS.map((q) => ({
+      field: q.field,
+      label: `${q.title}: ${q.question}`,
+      type: 'select',
+      options: q.options.map(([label]) => label),
+    })),
+  }
+}
+
+// Range answers are collapsed to a representative midpoint, keyed by the range
+// each option label starts with. Matching on the prefix rather than `includes`
+// keeps "31-50 times" from being read as "1-5".
+const WEEKLY_HOURS_MIDPOINTS = [['1-5', 3, 1, 5], ['6-15', 10, 6, 15], ['16-30', 23, 16, 30], ['31-50', 40, 31, 50], ['50+', 65, 50, 80]]
+
+export const SECTIONS = [
+  {
+    id: 'demographics',
+    title: 'About You',
+    step: 'Demographics',
+    items: [
+      { field: 'age', label: "Age", type: 'number', placeholder: "e.g. 21", min: 10, max: 100, integer: true, warnAbove: 80 },
+      { field: 'gender', label: "Gender", type: 'select', options: ["Male", "Female", "Other"] },
+      { field: 'occupation', label: "Occupation", type: 'select', options: ["Student", "Employed", "Self-Employed", "Unemployed", "Other"] },
+      { field: 'customOccupation', label: "Please specify occupation", type: 'text', showIf: (form) => form.occupation === 'Other' },
+      { field: 'schooling', label: "Home Schooling", type: 'select', options: ["Government", "Private", "Convent", "Other"] },
+      { field: 'city', label: "Home City", type: 'text' },
+      { field: 'state', label: "Home State", type: 'select', options: INDIAN_STATES },
+      { field: 'cityTier', label: "City Tier", type: 'select', options: ["1", "2", "3"] },
+      { field: 'accommodation', label: "Current Accommodation", type: 'select', options: ["Apartment", "Independent House", "Rented", "Hostel", "Other"] },
+      { field: 'familyIncomeRange', label: "Family Income Range", type: 'select', options: ["<₹1L", "₹1L-3L", "₹3L-5L", "₹5L-8L", "₹8L-10L", ">₹10L"] },
+    ],
+  },
+  {
+    id: 'internetDevices',
+    title: 'Internet & Devices',
+    step: 'Internet & Devices',
+    items: [
+      {
+        field: 'primaryConnection',
+        label: "Primary Internet Connection",
+        type: 'select',
+        options: [
+          "Mobile Data (5G/4G)",
+          "Wi-Fi at Home",
+          "Wi-Fi at Work/College",
+          "Public Wi-Fi",
+          "Hotspot from Phone",
+          "Other",
+        ],
+      },
+      { field: 'avgDailyInternetHours', label: "Avg daily internet usage (hrs)", type: 'number', min: 0, max: 24, warnAbove: 16 },
+      { field: 'totalDevices', label: "Total devices owned", type: 'number', placeholder: "e.g. 5", min: 0, max: 100, integer: true, warnAbove: 25 },
+      deviceTable(),
+    ],
+  },
+  {
+    id: 'chargingPower',
+    title: 'Charging Habits & Power Sources',
+    step: 'Charging & Power',
+    items: [
+      {
+        field: 'chargingHabits',
+        label: "Primary charging habits",
+        type: 'select',
+        options: [
+          "Charge overnight (8+ hours)",
+          "Charge when needed (1-3 hours)",
+          "Quick charge frequently (15-30 min)",
+          "Always keep plugged in",
+          "Battery saver mode user",
+        ],
+      },
+      {
+        field: 'powerSource',
+        label: "Primary power source at home",
+        type: 'select',
+        options: [
+          "Grid electricity (regular)",
+          "Grid electricity (renewable mix)",
+          "Solar panels",
+          "Mixed renewable sources",
+          "Don't know",
+        ],
+      },
+      {
+        field: 'renewableEnergyUsage',
+        label: "Renewable energy usage",
+        type: 'select',
+        options: [
+          "0% - All conventional energy",
+          "1-25% - Mostly conventional",
+          "26-50% - Mixed sources",
+          "51-75% - Mostly renewable",
+          "76-100% - All or mostly renewable",
+          "Don't know",
+        ],
+      },
+      { field: 'solarPanels', label: "Do you have solar panels?", type: 'select', options: ["Yes", "No", "Planning to install", "Don't know"] },
+      {
+        field: 'energyEfficientAppliances',
+        label: "Energy-efficient appliances",
+        type: 'select',
+        options: [
+          "Yes - Most are energy-efficient",
+          "Some are energy-efficient",
+          "No - Regular appliances",
+          "Don't know",
+        ],
+      },
+    ],
+  },
+  {
+    id: 'aiCloudStreaming',
+    title: 'AI, Cloud & Streaming',
+    step: 'AI, Cloud & Streaming',
+    items: [
+      {
+        field: 'aiInteractionsPerDay',
+        label: "AI interactions per day",
+        type: 'select',
+        options: [
+          "0 - Don't use AI",
+          "1-5 times",
+          "6-15 times",
+          "16-30 times",
+          "31-50 times",
+          "50+ times",
+        ],
+        midpoints: [['1-5', 3, 1, 5], ['6-15', 10, 6, 15], ['16-30', 23, 16, 30], ['31-50', 40, 31, 50], ['50+', 75, 50, 100]],
+      },
+      {
+        field: 'aiUsageTypes',
+        label: "Type of AI usage (not asked; kept for older records)",
+        type: 'select',
+        hidden: true,
+        options: [
+          "Text generation (ChatGPT, etc.)",
+          "Image generation (DALL-E, etc.)",
+          "Code assistance (GitHub Copilot, etc.)",
+          "Voice assistants (Siri, Alexa, etc.)",
+          "Mixed usage (text + image + code)",
+          "Other AI tools",
+          "Don't use AI",
+        ],
+      },
+      aiMix(),
+      {
+        field: 'typicalAiSessionMinutes',
+        label: "Typical AI session length",
+        type: 'select',
+        options: [
+          "Less than 1 minute",
+          "1-5 minutes",
+          "6-15 minutes",
+          "16-30 minutes",
+          "31-60 minutes",
+          "More than 1 hour",
+        ],
+        midpoints: [['Less than 1', 0.5, 0, 1], ['1-5', 3, 1, 5], ['6-15', 10, 6, 15], ['16-30', 23, 16, 30], ['31-60', 45, 31, 60], ['More than 1 hour', 90, 60, 120]],
+      },
+      {
+        field: 'aiQueriesPerSession',
+        label: "Prompts or requests in a typical AI session",
+        type: 'select',
+        options: [
+          "1",
+          "2-3",
+          "4-6",
+          "7-10",
+          "More than 10",
+        ],
+        midpoints: [['1', 1, 1, 1], ['2-3', 2.5, 2, 3], ['4-6', 5, 4, 6], ['7-10', 8.5, 7, 10], ['More than 10', 15, 10, 25]],
+      },
+      {
+        field: 'cloudHoursPerWeek',
+        label: "Cloud services usage (hrs/week)",
+        type: 'select',
+        options: [
+          "0 - Don't use cloud services",
+          "1-5 hrs - Light usage (email, basic storage)",
+          "6-15 hrs - Moderate usage (Google Drive, Office 365)",
+          "16-30 hrs - Heavy usage (video calls, collaboration)",
+          "31-50 hrs - Very heavy usage (streaming, gaming)",
+          "50+ hrs - Constant usage (work/business)",
+        ],
+        midpoints: WEEKLY_HOURS_MIDPOINTS,
+      },
+      { field: 'largeTransfersPerMonth', label: "Uploads / big transfers per month (GB)", type: 'number', min: 0, max: 10000, warnAbove: 500 },
+      {
+        field: 'streamingAcademicHrsPerWeek',
+        label: "Streaming (academic hrs/week)",
+        type: 'select',
+        options: [
+          "0 - No academic streaming",
+          "1-5 hrs - Light (few lectures/courses)",
+          "6-15 hrs - Moderate (regular classes)",
+          "16-30 hrs - Heavy (full online courses)",
+          "31-50 hrs - Very heavy (intensive programs)",
+          "50+ hrs - Constant (full-time online)",
+        ],
+        midpoints: WEEKLY_HOURS_MIDPOINTS,
+      },
+      {
+        field: 'streamingNonAcademicHrsPerWeek',
+        label: "Streaming (entertainment hrs/week)",
+        type: 'select',
+        options: [
+          "0 - No entertainment streaming",
+          "1-10 hrs - Light (occasional shows)",
+          "11-25 hrs - Moderate (regular viewing)",
+          "26-40 hrs - Heavy (daily streaming)",
+          "41-60 hrs - Very heavy (binge watcher)",
+          "60+ hrs - Constant (background streaming)",
+        ],
+        midpoints: [['1-10', 5, 1, 10], ['11-25', 18, 11, 25], ['26-40', 33, 26, 40], ['41-60', 50, 41, 60], ['60+', 80, 60, 100]],
+      },
+      { field: 'streamingAcademicQuality', label: "Academic streaming quality", type: 'select', options: STREAMING_QUALITY_OPTIONS },
+      { field: 'streamingAcademicScreen', label: "Academic streaming mostly watched on", type: 'select', options: STREAMING_SCREEN_OPTIONS },
+      { field: 'streamingEntertainmentQuality', label: "Entertainment streaming quality", type: 'select', options: STREAMING_QUALITY_OPTIONS },
+      { field: 'streamingEntertainmentScreen', label: "Entertainment streaming mostly watched on", type: 'select', options: STREAMING_SCREEN_OPTIONS },
+    ],
+  },
+  {
+    id: 'quiz',
+    title: '📱 Electronic Carbon Footprint Quiz',
+    step: 'Quiz',
+    items: [
+      { type: 'block', id: 'carbonFacts' },
+      quiz(),
+    ],
+  },
+  {
+    id: 'sustainability',
+    title: 'Sustainability & Awareness',
+    step: 'Sustainability & Consent',
+    items: [
+      { field: 'accessRenewableAtHome', label: "Access to renewable electricity at home", type: 'select', options: ["Yes - fully", "Partial / Sometimes", "No"] },
+      {
+        field: 'estimatedAnnualKgCO2',
+        label: "Your estimate of annual electronic footprint",
+        type: 'select',
+        options: [
+          "1 - Very Low (0-50 kg CO₂)",
+          "2 - Low (51-150 kg CO₂)",
+          "3 - Moderate (151-300 kg CO₂)",
+          "4 - High (301-500 kg CO₂)",
+          "5 - Very High (500+ kg CO₂)",
+        ],
+      },
+      { type: 'block', id: 'expectationNote' },
+      { field: 'consent', label: "I consent to participating in this research.", type: 'checkbox' },
+    ],
+  },
+]
+
+// The questions a section item stands for: itself, its expansion, or none
+export function itemQuestions(item) {
+  if (item.questions) return item.questions
+  return item.field ? [item] : []
+}
+
+// Fields of the questions in one section
+export function sectionFields(section) {
+  return section.items.flatMap(itemQuestions).map((q) => q.field)
+}
+
+// Every question in survey order
+export const QUESTION_LIST = SECTIONS.flatMap((section) => section.items.flatMap(itemQuestions))
+
+// Questions by field
+export const QUESTIONS = Object.fromEntries(QUESTION_LIST.map((q) => [q.field, q]))
+
+// Every field the survey collects, with its blank value
+export const EMPTY_FORM = Object.fromEntries(QUESTION_LIST.map((q) => [q.field, q.type === 'checkbox' ? false : '']))
+
+export const FORM_FIELDS = Object.keys(EMPTY_FORM)
+
+// Whether `question` is asked given the answers so far
+export function isShown(question, form) {
+  return !question.hidden && (!question.showIf || question.showIf(form))
+}
@@ -0,0 +1,39 @@
+import { SECTIONS, DEVICE_TYPES, AI_USAGE_TYPES, QUESTIONS, EMPTY_FORM, FORM_FIELDS, isShown } from './surveySchema'
+import { INDIAN_DEFAULTS } from './emissions'
+
+test('every device type has emission factors and three questions', () => {
+  DEVICE_TYPES.forEach(({ field, factorKey }) => {
+    expect(INDIAN_DEFAULTS.devicePowerW[factorKey]).toBeGreaterThan(0)
+    expect(INDIAN_DEFAULTS.embodiedKgCO2[factorKey]).toBeGreaterThan(0)
+    expect(INDIAN_DEFAULTS.deviceLifespanYears[factorKey]).toBeGreaterThan(0)
+    ;[field, `${field}Duration`, `${field}Age`].forEach((f) => expect(QUESTIONS[f]).toMatchObject({ type: 'number', min: 0 }))
+  })
+})
+
+test('every AI usage type has a per-query factor and a share question', () => {
+  AI_USAGE_TYPES.forEach(({ field, factorKey }) => {
+    expect(INDIAN_DEFAULTS.aiKgCO2PerQuery[factorKey]).toBeGreaterThan(0)
+    expect(QUESTIONS[field]).toMatchObject({ type: 'select', aiType: factorKey })
+  })
+})
+
+test('the blank form has one entry per question, in survey order', () => {
+  expect(FORM_FIELDS[0]).toBe('age')
+  expect(FORM_FIELDS).toHaveLength(new Set(FORM_FIELDS).size)
+  expect(EMPTY_FORM).toMatchObject({ age: '', smartphoneDuration: '', otherDevicesAge: '', quizAIFootprint: '', consent: false })
+  expect(SECTIONS.map((s) => s.id)).toEqual(['demographics', 'internetDevices', 'chargingPower', 'aiCloudStreaming', 'quiz', 'sustainability'])
+})
+
+test('midpoints only cover options the question offers', () => {
+  Object.values(QUESTIONS).filter((q) => q.midpoints).forEach((q) => {
+    q.midpoints.forEach(([prefix]) => expect(q.options.some((o) => o.startsWith(prefix))).toBe(true))
+    q.midpoints.forEach(([, value, low, high]) => expect(low <= value && value <= high).toBe(true))
+  })
+})
+
+test('conditional and retired questions are not shown', () => {
+  expect(isShown(QUESTIONS.customOccupation, { occupation: 'Student' })).toBe(false)
+  expect(isShown(QUESTIONS.customOccupation, { occupation: 'Other' })).toBe(true)
+  expect(isShown(QUESTIONS.aiUsageTypes, EMPTY_FORM)).toBe(false)
+  expect(QUESTIONS.aiTypes).toBeUndefined()
+})
@@ -0,0 +1,181 @@
+// Flat, statistics-friendly exports: one row per respondent with stable column
+// names, optionally numeric-coded categorical answers, plus a codebook and
+// SPSS syntax that map every column and code back to the survey wording.
+// Anonymised exports apply the rules in ./anonymise to the same columns.
+import { FORM_FIELDS, QUESTIONS, QUIZ_QUESTIONS, DEVICE_TYPES } from './surveySchema'
+import { deviceBreakdown } from './emissions'
+import { AGE_BANDS, IDENTIFYING_FIELDS, ageBand, submissionDate } from './anonymise'
+
+const RESULT_COLUMNS = [
+  ['totalKg', 'Total annual footprint (kg CO2)'],
+  ['deviceKg', 'Device electricity (kg CO2/year)'],
+  ['dataKg', 'Data & streaming (kg CO2/year)'],
+  ['aiKg', 'AI (kg CO2/year)'],
+  ['manufacturingKg', 'Manufacturing, amortised (kg CO2/year)'],
+]
+
+// Per-device columns, `${field}${suffix}`, from the lines of `results.devices`
+const DEVICE_COLUMNS = [
+  ['KWh', 'kwhPerYear', 'electricity use (kWh/year)'],
+  ['Kg', 'electricityKg', 'electricity (kg CO2/year)'],
+  ['ManufacturingKg', 'manufacturingKg', 'manufacturing, amortised (kg CO2/year)'],
+]
+
+const ASSUMPTION_COLUMNS = [
+  ['gridKgCO2PerKWh', 'Grid intensity applied (kg CO2/kWh)', 'numeric'],
+  ['gridFactorSource', 'Where the grid intensity came from', 'string'],
+  ['effectiveKgCO2PerKWh', 'Effective intensity after power source (kg CO2/kWh)', 'numeric'],
+  ['accessNetwork', 'Access network assumed from the primary connection (mobile, fixed or default)', 'string'],
+  ['accessKWhPerGB', 'Access-network electricity applied (kWh/GB)', 'numeric'],
+  ['browsingHoursPerDay', 'Daily internet hours not covered by streaming or cloud use, counted as browsing', 'numeric'],
+  ['internetHoursConflict', 'Streaming and cloud hours exceed the stated daily internet hours', 'boolean'],
+  ['aiKgCO2PerQuery', 'AI emissions per query, weighted by the usage mix (kg CO2)', 'numeric'],
+]
+
+function numeric(value) {
+  if (value === '' || value === null || value === undefined) return ''
+  const n = Number(value)
+  return Number.isFinite(n) ? n : ''
+}
+
+function formColumn(field) {
+  const q = QUESTIONS[field]
+  const get = (r) => (r.form ? r.form[field] : undefined)
+  if (q.type === 'select') return { name: field, label: q.label, type: 'categorical', options: q.options, get }
+  if (q.type === 'number') return { name: field, label: q.label, type: 'numeric', get: (r) => numeric(get(r)) }
+  if (q.type === 'checkbox') return { name: field, label: q.label, type: 'boolean', get }
+  return { name: field, label: q.label, type: 'string', get }
+}
+
+// Age as its band (already banded in anonymised JSON), and no identifying free text
+function anonymisedFormColumn(field) {
+  if (IDENTIFYING_FIELDS.includes(field)) return []
+  if (field === 'age') return [{ name: 'ageBand', label: 'Age band', type: 'categorical', options: AGE_BANDS, get: (r) => ageBand(r.form && r.form.age) || r.ageBand || '' }]
+  return [formColumn(field)]
+}
+
+/**
+ * Every export column, in order. Each has a stable `name` (safe as an R or
+ * SPSS variable name), the question `label`, a `type` and a `get(record)`
+ * accessor; categorical columns also carry their `options` in survey order.
+ * With `anonymised`, the submission time becomes a date, age becomes
+ * `ageBand` and the city and other free text are left out.
+ */
+export function buildColumns({ anonymised = false } = {}) {
+  const assumptions = (r) => (r.results && r.results.assumptions) || {}
+  const perception = (r) => r.perception || {}
+  // Records saved before results carried `devices` are rebuilt from their breakdown
+  const devices = (r) => (!r.results ? [] : r.results.devices || (r.results.breakdown ? deviceBreakdown(r.results) : []))
+  const device = (r, field) => devices(r).find((d) => d.device === field) || {}
+  const topRecommendation = (r) => (r.recommendations && r.recommendations[0]) || {}
+  const quizItem = (r, field) => ((r.quiz && r.quiz.items) || []).find((i) => i.field === field) || {}
+  return [
+    { name: 'participantId', label: 'Participant ID', type: 'string', get: (r) => r.participantId },
+    anonymised
+      ? { name: 'submissionDate', label: 'Submission date (UTC)', type: 'string', get: (r) => submissionDate(r.timestamp) }
+      : { name: 'timestamp', label: 'Submission time (UTC, ISO 8601)', type: 'string', get: (r) => r.timestamp },
+    { name: 'factorProfileId', label: 'Emission-factor profile id', type: 'string', get: (r) => (r.factorProfile ? r.factorProfile.id : '') },
+    { name: 'factorProfileVersion', label: 'Emission-factor profile version', type: 'string', get: (r) => (r.factorProfile ? r.factorProfile.version : '') },
+    { name: 'language', label: 'Survey language (answers are always stored in English)', type: 'string', get: (r) => r.language || 'en' },
+    ...(anonymised ? FORM_FIELDS.flatMap(anonymisedFormColumn) : FORM_FIELDS.map(formColumn)),
+    ...RESULT_COLUMNS.map(([key, label]) => ({ name: key, label, type: 'numeric', get: (r) => numeric(r.results && r.results[key]) })),
+    ...RESULT_COLUMNS.flatMap(([key, label]) => ['low', 'high'].map((bound) => ({
+      name: `${key}${bound === 'low' ? 'Low' : 'High'}`,
+      label: `${label}, 90% interval ${bound === 'low' ? 'lower' : 'upper'} bound`,
+      type: 'numeric',
+      get: (r) => numeric(r.uncertainty && r.uncertainty[key] && r.uncertainty[key][bound]),
+    }))),
+    ...DEVICE_TYPES.flatMap(({ field, label: deviceLabel }) => DEVICE_COLUMNS.map(([suffix, key, label]) => ({
+      name: `${field}${suffix}`,
+      label: `${deviceLabel}: ${label}`,
+      type: 'numeric',
+      get: (r) => (r.results ? numeric(device(r, field)[key] ?? 0) : ''),
+    }))),
+    ...ASSUMPTION_COLUMNS.map(([key, label, type]) => ({
+      name: key, label, type, get: (r) => (type === 'numeric' ? numeric(assumptions(r)[key]) : assumptions(r)[key]),
+    })),
+    { name: 'perceptionEstimatedBucket', label: 'Self-estimated footprint level (1-5)', type: 'numeric', get: (r) => numeric(perception(r).estimatedBucket) },
+    { name: 'perceptionActualBucket', label: 'Computed footprint level (1-5)', type: 'numeric', get: (r) => numeric(perception(r).actualBucket) },
+    { name: 'perceptionGap', label: 'Perception gap, estimated minus computed level (negative = under-estimate)', type: 'numeric', get: (r) => numeric(perception(r).gap) },
+    { name: 'quizScore', label: 'Quiz score (correct answers)', type: 'numeric', get: (r) => numeric(r.quiz && r.quiz.score) },
+    { name: 'quizAnswered', label: 'Quiz questions answered', type: 'numeric', get: (r) => numeric(r.quiz && r.quiz.answered) },
+    { name: 'quizAccuracy', label: 'Quiz mean accuracy over answered questions (0-1; blank if none answered)', type: 'numeric', get: (r) => numeric(r.quiz && r.quiz.accuracy) },
+    ...QUIZ_QUESTIONS.map((q) => ({
+      name: `${q.field}Accuracy`, label: `Accuracy (0-1; blank if not answered): ${q.title}`, type: 'numeric', get: (r) => numeric(quizItem(r, q.field).accuracy),
+    })),
+    { name: 'topRecommendation', label: 'Top recommendation shown (action id)', type: 'string', get: (r) => topRecommendation(r).id },
+    { name: 'topRecommendationKg', label: 'Estimated annual saving of the top recommendation (kg CO2)', type: 'numeric', get: (r) => numeric(topRecommendation(r).kgSaved) },
+  ]
+}
+
+// Categorical answers code as their 1-based position in the option list;
+// blanks and answers not in the list (e.g. from an older survey version) are
+// left empty, i.e. system-missing.
+function cellValue(column, record, coded) {
+  const value = column.get(record)
+  if (column.type === 'boolean') return value === true ? 1 : value === false ? 0 : ''
+  if (column.type === 'categorical' && coded) {
+    const index = column.options.indexOf(value)
+    return index === -1 ? '' : index + 1
+  }
+  return value === undefined || value === null ? '' : value
+}
+
+function csvCell(value) {
+  const s = String(value)
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function toCsvText(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\r\n') + '\r\n'
+}
+
+export function toCsv(records, { coded = false, anonymised = false } = {}) {
+  const columns = buildColumns({ anonymised })
+  return toCsvText([
+    columns.map((c) => c.name),
+    ...records.map((r) => columns.map((c) => cellValue(c, r, coded))),
+  ])
+}
+
+// One row per column, then one row per code of each categorical column
+export function buildCodebook(options) {
+  const rows = []
+  buildColumns(options).forEach((c) => {
+    rows.push({ column: c.name, question: c.label, type: c.type, code: '', label: '' })
+    if (c.type === 'categorical') {
+      c.options.forEach((option, i) => rows.push({ column: c.name, question: '', type: '', code: i + 1, label: option }))
+    }
+    if (c.type === 'boolean') {
+      rows.push({ column: c.name, question: '', type: '', code: 1, label: 'Yes' })
+      rows.push({ column: c.name, question: '', type: '', code: 0, label: 'No' })
+    }
+  })
+  return rows
+}
+
+export function codebookCsv(options) {
+  const keys = ['column', 'question', 'type', 'code', 'label']
+  return toCsvText([keys, ...buildCodebook(options).map((row) => keys.map((k) => row[k]))])
+}
+
+function spssString(s) {
+  return `"${String(s).replace(/"/g, '""')}"`
+}
+
+// Labels for a coded CSV once it is imported into SPSS
+export function spssSyntax(options) {
+  const columns = buildColumns(options)
+  const lines = ['* Apply after importing the numeric-coded survey CSV.', 'VARIABLE LABELS']
+  columns.forEach((c, i) => lines.push(`  ${c.name} ${spssString(c.label)}${i === columns.length - 1 ? '.' : ''}`))
+  const valued = columns.filter((c) => c.type === 'categorical' || c.type === 'boolean')
+  if (valued.length) {
+    lines.push('VALUE LABELS')
+    valued.forEach((c, i) => {
+      const codes = c.type === 'boolean' ? [[1, 'Yes'], [0, 'No']] : c.options.map((o, j) => [j + 1, o])
+      lines.push(`  ${c.name} ${codes.map(([code, label]) => `${code} ${spssString(label)}`).join(' ')}${i === valued.length - 1 ? '.' : ' /'}`)
+    })
+  }
+  lines.push('EXECUTE.')
+  return lines.join('\n') + '\n'
+}
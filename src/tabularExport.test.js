@@ -0,0 +1,91 @@
+import { buildColumns, toCsv, buildCodebook, spssSyntax } from './tabularExport'
+import { EMPTY_FORM, FORM_FIELDS, QUESTIONS } from './surveySchema'
+import { scoreQuiz } from './quiz'
+
+const record = {
+  participantId: 'P1',
+  withdrawalCode: '7KQ2-M9XD-4TBN',
+  timestamp: '2025-01-01T00:00:00.000Z',
+  factorProfile: { id: 'india-default', version: '2025.1' },
+  form: { ...EMPTY_FORM, gender: 'Female', city: 'Pune, West', renewableEnergyUsage: '26-50% - Mixed sources', age: '21', consent: true },
+  results: { totalKg: 12.5, deviceKg: 10, dataKg: 2.5, aiKg: 0, manufacturingKg: 0, assumptions: { gridKgCO2PerKWh: 0.82, accessNetwork: 'mobile', internetHoursConflict: true } },
+  perception: { estimatedBucket: 1, actualBucket: 1, gap: 0 },
+  uncertainty: { totalKg: { low: 10.1, high: 15.2 } },
+}
+
+function parseRow(csv, row) {
+  const [header, ...rows] = csv.trim().split('\r\n')
+  const names = header.split(',')
+  const values = rows[row].match(/("([^"]|"")*"|[^,]*)(,|$)/g).map((v) => v.replace(/,$/, ''))
+  return Object.fromEntries(names.map((n, i) => [n, values[i]]))
+}
+
+test('every form field has a question and a column', () => {
+  expect(Object.keys(QUESTIONS).sort()).toEqual([...FORM_FIELDS].sort())
+  const names = buildColumns().map((c) => c.name)
+  expect(new Set(names).size).toBe(names.length)
+  FORM_FIELDS.forEach((f) => expect(names).toContain(f))
+})
+
+test('labelled CSV keeps option labels and quotes where needed', () => {
+  const row = parseRow(toCsv([record]), 0)
+  expect(row).toMatchObject({
+    participantId: 'P1',
+    language: 'en',
+    factorProfileId: 'india-default',
+    factorProfileVersion: '2025.1',
+    gender: 'Female',
+    city: '"Pune, West"',
+    renewableEnergyUsage: '26-50% - Mixed sources',
+    age: '21',
+    consent: '1',
+    totalKg: '12.5',
+    totalKgLow: '10.1',
+    totalKgHigh: '15.2',
+    deviceKgLow: '',
+    accessNetwork: 'mobile',
+    internetHoursConflict: '1',
+    perceptionGap: '0',
+    quizScore: '',
+  })
+})
+
+test('skipped quiz questions are blank, not scored as wrong', () => {
+  const quiz = scoreQuiz({ quizDataUsage: 'About 80 g' })
+  const row = parseRow(toCsv([{ ...record, quiz }]), 0)
+  expect(row).toMatchObject({ quizScore: '1', quizAnswered: '1', quizAccuracy: '1', quizDataUsageAccuracy: '1', quizAIFootprintAccuracy: '' })
+})
+
+test('each device type has its kWh and kg, zero when not owned', () => {
+  const devices = [{ device: 'laptop', count: 1, kwhPerYear: 142.35, electricityKg: 116.73, manufacturingKg: 50, kg: 166.73 }]
+  const row = parseRow(toCsv([{ ...record, results: { ...record.results, devices } }]), 0)
+  expect(row).toMatchObject({ laptopKWh: '142.35', laptopKg: '116.73', laptopManufacturingKg: '50', smartTVKWh: '0', smartTVKg: '0' })
+  // Older records only have the breakdown lines
+  const breakdown = [{ category: 'device', item: 'Smart TV', count: 1, kwhPerYear: 36.5, kg: 29.93 }]
+  expect(parseRow(toCsv([{ ...record, results: { ...record.results, breakdown } }]), 0)).toMatchObject({ smartTVKWh: '36.5', smartTVKg: '29.93', laptopKg: '0' })
+})
+
+test('coded CSV uses 1-based option positions', () => {
+  const row = parseRow(toCsv([record], { coded: true }), 0)
+  expect(row).toMatchObject({ gender: '2', renewableEnergyUsage: '3', occupation: '' })
+})
+
+test('anonymised CSV bands age and leaves out the city and free text', () => {
+  const csv = toCsv([{ ...record, form: { ...record.form, state: 'Maharashtra', cityTier: '1' } }], { anonymised: true })
+  const row = parseRow(csv, 0)
+  expect(row).toMatchObject({ participantId: 'P1', submissionDate: '2025-01-01', ageBand: '18-24', state: 'Maharashtra', cityTier: '1', gender: 'Female' })
+  ;['timestamp', 'age', 'city', 'customOccupation'].forEach((name) => expect(row).not.toHaveProperty(name))
+  expect(csv).not.toContain('Pune')
+  expect(csv).not.toContain('7KQ2')
+  expect(parseRow(toCsv([record], { coded: true, anonymised: true }), 0).ageBand).toBe('2')
+  expect(spssSyntax({ anonymised: true })).toContain('ageBand 1 "Under 18" 2 "18-24"')
+})
+
+test('codebook and SPSS syntax map codes back to option labels', () => {
+  const codebook = buildCodebook()
+  expect(codebook).toContainEqual({ column: 'gender', question: 'Gender', type: 'categorical', code: '', label: '' })
+  expect(codebook).toContainEqual({ column: 'gender', question: '', type: '', code: 2, label: 'Female' })
+  const sps = spssSyntax()
+  expect(sps).toContain('gender 1 "Male" 2 "Female" 3 "Other" /')
+  expect(sps).toContain('totalKg "Total annual footprint (kg CO2)"')
+})
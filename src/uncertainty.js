@@ -0,0 +1,79 @@
+// Uncertainty ranges for the footprint. A Monte Carlo run re-computes the
+// model many times, drawing each range answer uniformly between its bucket
+// bounds and each factor from a triangular distribution over its profile
+// low/value/high. Factors without bounds, and exact answers such as device
+// hours, are held fixed. Runs are seeded, so the same answers and profile
+// always give the same interval.
+import { calculateFootprint, parseRangeBounds, round } from './emissions'
+import { DEFAULT_PROFILE } from './factorProfiles'
+import { QUESTION_LIST } from './surveySchema'
+
+export const DEFAULT_RUNS = 1000
+export const DEFAULT_SEED = 1
+// Central 90%: the 5th to the 95th percentile
+export const INTERVAL = 0.9
+
+export const UNCERTAIN_TOTALS = ['totalKg', 'deviceKg', 'dataKg', 'aiKg', 'manufacturingKg']
+
+const RANGE_QUESTIONS = QUESTION_LIST.filter((q) => q.midpoints)
+
+// Small, fast seeded generator (mulberry32); returns floats in [0, 1)
+export function seededRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+export function triangular(low, mode, high, u) {
+  if (high <= low) return mode
+  const split = (mode - low) / (high - low)
+  return u < split
+    ? low + Math.sqrt(u * (high - low) * (mode - low))
+    : high - Math.sqrt((1 - u) * (high - low) * (high - mode))
+}
+
+function sampleFactor(factor, random) {
+  if (!('low' in factor)) return factor.value
+  if (typeof factor.value === 'number') return triangular(factor.low, factor.value, factor.high, random())
+  return Object.fromEntries(Object.entries(factor.value).map(([k, v]) => [k, triangular(factor.low[k], v, factor.high[k], random())]))
+}
+
+function percentile(sorted, p) {
+  const i = p * (sorted.length - 1)
+  const lo = Math.floor(i)
+  const hi = Math.ceil(i)
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo)
+}
+
+/**
+ * Monte Carlo interval for one response under a factor profile. Returns
+ * `{ runs, seed, interval, totalKg: { low, high }, deviceKg, dataKg, aiKg,
+ * manufacturingKg }`; the central estimate is the model's own result.
+ */
+export function simulate(form, profile = DEFAULT_PROFILE, { runs = DEFAULT_RUNS, seed = DEFAULT_SEED } = {}) {
+  const random = seededRandom(seed)
+  const ranges = RANGE_QUESTIONS
+    .map((q) => [q.field, parseRangeBounds(form[q.field], q.midpoints)])
+    .filter(([, bounds]) => bounds)
+  const samples = Object.fromEntries(UNCERTAIN_TOTALS.map((k) => [k, []]))
+
+  for (let run = 0; run < runs; run++) {
+    const factors = Object.fromEntries(Object.entries(profile.factors).map(([key, factor]) => [key, sampleFactor(factor, random)]))
+    const rangeValues = Object.fromEntries(ranges.map(([field, [low, high]]) => [field, low + (high - low) * random()]))
+    const result = calculateFootprint(form, factors, rangeValues)
+    UNCERTAIN_TOTALS.forEach((k) => samples[k].push(result[k]))
+  }
+
+  const tail = (1 - INTERVAL) / 2
+  const summary = { runs, seed, interval: INTERVAL }
+  UNCERTAIN_TOTALS.forEach((k) => {
+    const sorted = samples[k].sort((a, b) => a - b)
+    summary[k] = { low: round(percentile(sorted, tail)), high: round(percentile(sorted, 1 - tail)) }
+  })
+  return summary
+}
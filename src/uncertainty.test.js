@@ -0,0 +1,64 @@
+import { simulate, seededRandom, triangular } from './uncertainty'
+import { calculateFootprint } from './emissions'
+import { DEFAULT_PROFILE } from './factorProfiles'
+import { EMPTY_FORM } from './surveySchema'
+
+const form = {
+  ...EMPTY_FORM,
+  laptop: '1',
+  laptopDuration: '6',
+  smartphone: '2',
+  smartphoneDuration: '5',
+  streamingNonAcademicHrsPerWeek: '11-25 hrs - Moderate (regular viewing)',
+  aiInteractionsPerDay: '6-15 times',
+  typicalAiSessionMinutes: '1-5 minutes',
+}
+
+// The bundled profile with every low/high bound removed
+const exactProfile = {
+  ...DEFAULT_PROFILE,
+  factors: Object.fromEntries(Object.entries(DEFAULT_PROFILE.factors).map(([k, { value, source, year }]) => [k, { value, source, year }])),
+}
+
+test('the seeded generator is repeatable and stays in [0, 1)', () => {
+  const a = seededRandom(7)
+  const b = seededRandom(7)
+  const draws = Array.from({ length: 100 }, () => a())
+  expect(draws).toEqual(Array.from({ length: 100 }, () => b()))
+  draws.forEach((d) => expect(d >= 0 && d < 1).toBe(true))
+})
+
+test('triangular draws span low to high through the mode', () => {
+  expect(triangular(1, 2, 4, 0)).toBe(1)
+  expect(triangular(1, 2, 4, 1)).toBe(4)
+  expect(triangular(1, 2, 4, 1 / 3)).toBeCloseTo(2)
+  expect(triangular(3, 3, 3, 0.5)).toBe(3)
+})
+
+test('intervals bracket the central estimate and are reproducible', () => {
+  const results = calculateFootprint(form)
+  const summary = simulate(form, DEFAULT_PROFILE, { runs: 300 })
+  expect(summary).toMatchObject({ runs: 300, seed: 1, interval: 0.9 })
+  ;['totalKg', 'deviceKg', 'dataKg', 'aiKg', 'manufacturingKg'].forEach((k) => {
+    expect(summary[k].low).toBeLessThan(summary[k].high)
+    expect(summary[k].low).toBeLessThanOrEqual(results[k])
+    expect(summary[k].high).toBeGreaterThanOrEqual(results[k])
+  })
+  expect(simulate(form, DEFAULT_PROFILE, { runs: 300 })).toEqual(summary)
+})
+
+test('exact answers under exact factors have no spread', () => {
+  const exact = { ...EMPTY_FORM, laptop: '1', laptopDuration: '6' }
+  const summary = simulate(exact, exactProfile, { runs: 50 })
+  const { totalKg } = calculateFootprint(exact)
+  expect(summary.totalKg).toEqual({ low: totalKg, high: totalKg })
+  expect(simulate(EMPTY_FORM, DEFAULT_PROFILE, { runs: 50 }).totalKg).toEqual({ low: 0, high: 0 })
+})
+
+test('range answers alone widen the interval', () => {
+  const summary = simulate({ ...EMPTY_FORM, streamingNonAcademicHrsPerWeek: '11-25 hrs - Moderate (regular viewing)' }, exactProfile, { runs: 200 })
+  // 11-25 h/week at 1.2 GB/h and 0.065 kg/GB plus 0.06 kWh/GB at 0.82 kg/kWh: 78.4 to 178.2 kg
+  expect(summary.dataKg.low).toBeGreaterThan(78.4)
+  expect(summary.dataKg.high).toBeLessThan(178.2)
+  expect(summary.dataKg.high - summary.dataKg.low).toBeGreaterThan(40)
+})
@@ -0,0 +1,8 @@
+/* eslint-env worker */
+// Runs the uncertainty simulation off the main thread. Messages are
+// `{ id, form, profile }`; the reply is `{ id, summary }`.
+import { simulate } from './uncertainty'
+
+onmessage = ({ data }) => {
+  postMessage({ id: data.id, summary: simulate(data.form, data.profile) })
+}
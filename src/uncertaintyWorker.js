@@ -0,0 +1,5 @@
+// Kept apart so bundlers see `new URL(…, import.meta.url)` and emit the worker;
+// only loaded (via dynamic import) where Worker exists.
+export function createUncertaintyWorker() {
+  return new Worker(new URL('./uncertainty.worker.js', import.meta.url))
+}
@@ -0,0 +1,86 @@
+import { useCallback, useEffect, useRef, useState } from 'react'
+import { simulate } from './uncertainty'
+
+// Wait for typing to settle before starting a new simulation
+const DEBOUNCE_MS = 300
+
+// Hand the summary of run `id` to the page and to anyone waiting for it;
+// results of runs overtaken by newer answers are dropped
+function finish(runs, id, summary) {
+  if (id !== runs.latest) return
+  runs.done = { id, summary }
+  runs.setSummary(summary)
+  runs.waiting.splice(0).forEach((resolve) => resolve(summary))
+}
+
+// A worker that fails once is dropped for good: every later run, and the
+// latest one still waiting for it, goes to the main thread
+function fail(runs) {
+  runs.failed = true
+  if (runs.worker) runs.worker.then((w) => w && w.terminate())
+  runs.worker = null
+  finish(runs, runs.latest, simulate(runs.form, runs.profile))
+}
+
+function run(runs, id, form, profile) {
+  if (typeof Worker === 'undefined' || runs.failed) {
+    finish(runs, id, simulate(form, profile))
+    return
+  }
+  if (!runs.worker) {
+    runs.worker = import('./uncertaintyWorker').then(({ createUncertaintyWorker }) => {
+      const w = createUncertaintyWorker()
+      w.addEventListener('message', ({ data }) => finish(runs, data.id, data.summary))
+      w.addEventListener('error', () => fail(runs))
+      return w
+    }).catch(() => {
+      fail(runs)
+      return null
+    })
+  }
+  runs.worker.then((w) => w && w.postMessage({ id, form, profile }))
+}
+
+/**
+ * Uncertainty summary (see `simulate`) for the current answers, or null until
+ * the first run finishes, and a function returning a promise of the summary
+ * for the latest answers: it starts a run still waiting out the debounce at
+ * once, so a record built from it never holds the interval of older answers.
+ * Runs in a web worker when the browser has them, otherwise (or once the worker
+ * has failed) on the main thread after the debounce.
+ */
+export default function useUncertainty(form, profile) {
+  const [summary, setSummary] = useState(null)
+  const runs = useRef({ worker: null, latest: 0, done: { id: 0, summary: null }, waiting: [], pending: null, setSummary })
+
+  useEffect(() => () => {
+    if (runs.current.worker) runs.current.worker.then((w) => w && w.terminate())
+  }, [])
+
+  useEffect(() => {
+    const current = runs.current
+    const id = ++current.latest
+    current.form = form
+    current.profile = profile
+    let started = false
+    const start = () => {
+      if (started) return
+      started = true
+      current.pending = null
+      run(current, id, form, profile)
+    }
+    current.pending = start
+    const timer = setTimeout(start, DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [form, profile])
+
+  const settled = useCallback(() => {
+    const current = runs.current
+    if (current.done.id === current.latest) return Promise.resolve(current.done.summary)
+    const result = new Promise((resolve) => current.waiting.push(resolve))
+    if (current.pending) current.pending()
+    return result
+  }, [])
+
+  return [summary, settled]
+}
@@ -0,0 +1,54 @@
+import { act, renderHook } from '@testing-library/react'
+import useUncertainty from './useUncertainty'
+import { simulate } from './uncertainty'
+import { DEFAULT_PROFILE } from './factorProfiles'
+
+const form = { aiInteractionsPerDay: '6-15 times', aiQueriesPerSession: '2-3', aiShareText: 'Mostly' }
+
+test('a record waits for the run on the latest answers instead of simulating again', async () => {
+  jest.useFakeTimers()
+  try {
+    const { result, rerender } = renderHook(({ answers }) => useUncertainty(answers, DEFAULT_PROFILE), { initialProps: { answers: {} } })
+    act(() => jest.advanceTimersByTime(300))
+    expect(result.current[0]).toEqual(simulate({}, DEFAULT_PROFILE))
+
+    // Still inside the debounce: the pending run starts at once
+    rerender({ answers: form })
+    let summary
+    await act(async () => {
+      summary = await result.current[1]()
+    })
+    expect(summary).toEqual(simulate(form, DEFAULT_PROFILE))
+    expect(result.current[0]).toEqual(summary)
+    await expect(result.current[1]()).resolves.toBe(summary)
+  } finally {
+    jest.useRealTimers()
+  }
+})
+
+test('after a worker error every later run settles on the main thread', async () => {
+  const worker = new EventTarget()
+  worker.postMessage = jest.fn(() => worker.dispatchEvent(new Event('error')))
+  worker.terminate = jest.fn()
+  jest.doMock('./uncertaintyWorker', () => ({ createUncertaintyWorker: () => worker }))
+  global.Worker = function Worker() {}
+  jest.useFakeTimers()
+  try {
+    const { result, rerender } = renderHook(({ answers }) => useUncertainty(answers, DEFAULT_PROFILE), { initialProps: { answers: {} } })
+    await act(async () => {
+      await expect(result.current[1]()).resolves.toEqual(simulate({}, DEFAULT_PROFILE))
+    })
+    expect(worker.postMessage).toHaveBeenCalledTimes(1)
+    expect(worker.terminate).toHaveBeenCalled()
+
+    rerender({ answers: form })
+    await act(async () => {
+      await expect(result.current[1]()).resolves.toEqual(simulate(form, DEFAULT_PROFILE))
+    })
+    expect(worker.postMessage).toHaveBeenCalledTimes(1)
+  } finally {
+    jest.useRealTimers()
+    delete global.Worker
+    jest.dontMock('./uncertaintyWorker')
+  }
+})
@@ -0,0 +1,85 @@
+// Field-level checks on survey answers, driven by the ranges and options in the
+// survey schema. `errors` are answers the survey cannot accept and block
+// submission; `warnings` are possible but unlikely and only ask the respondent
+// to double-check. Messages come from `t`, the app's translator, and default
+// to English. Imported by records.js, so it keeps to Node-loadable imports.
+import { DEVICE_TYPES, QUESTION_LIST, isShown } from './surveySchema.js'
+import { createTranslator, DEFAULT_LANGUAGE } from './i18n.js'
+
+const english = createTranslator(DEFAULT_LANGUAGE).t
+
+function isBlank(value) {
+  return value === '' || value === undefined || value === null
+}
+
+// Plain decimal notation only: `Number` would also take "0x10", "1e1" and
+// "Infinity", none of which a respondent means as a count or hours
+const DECIMAL = /^-?(\d+(\.\d+)?|\.\d+)$/
+
+// The number a typed answer holds, ignoring surrounding spaces, or NaN
+export function parseDecimal(value) {
+  const text = String(value).trim()
+  return DECIMAL.test(text) ? Number(text) : NaN
+}
+
+/**
+ * Check one answer against its question. Returns `{ error }`, `{ warning }`
+ * or `{}`; blank answers are always accepted.
+ */
+export function checkAnswer(question, value, t = english) {
+  if (isBlank(value)) return {}
+  if (question.type === 'select') {
+    return question.options.includes(value) ? {} : { error: t('validation.pickOption') }
+  }
+  if (question.type !== 'number') return {}
+
+  const n = parseDecimal(value)
+  if (Number.isNaN(n)) return { error: t('validation.number') }
+  if (question.integer && !Number.isInteger(n)) return { error: t('validation.wholeNumber') }
+  if (n < question.min || n > question.max) return { error: t('validation.range', { min: question.min, max: question.max }) }
+  if (n > question.warnAbove) return { warning: t('validation.unusuallyHigh', { value: n }) }
+  return {}
+}
+
+// Sum of the device table counts, or null when no row has a usable count
+export function deviceTableTotal(form) {
+  let total = null
+  DEVICE_TYPES.forEach(({ field }) => {
+    const n = parseDecimal(form[field])
+    if (Number.isInteger(n) && n >= 0) total = (total || 0) + n
+  })
+  return total
+}
+
+/**
+ * Check every question that is shown, plus the cross-field rules. Returns
+ * `{ errors, warnings }`, each an object of message by field.
+ */
+export function validateForm(form, t = english) {
+  const errors = {}
+  const warnings = {}
+  QUESTION_LIST.filter((q) => isShown(q, form)).forEach((q) => {
+    const { error, warning } = checkAnswer(q, form[q.field], t)
+    if (error) errors[q.field] = error
+    else if (warning) warnings[q.field] = warning
+  })
+
+  const tableTotal = deviceTableTotal(form)
+  if (!errors.totalDevices && !isBlank(form.totalDevices) && tableTotal !== null && parseDecimal(form.totalDevices) !== tableTotal) {
+    errors.totalDevices = t('validation.deviceTotal', { total: tableTotal })
+  }
+
+  DEVICE_TYPES.forEach(({ field }) => {
+    const hours = `${field}Duration`
+    if (errors[hours] || warnings[hours] || isBlank(form[hours]) || parseDecimal(form[hours]) === 0) return
+    if (isBlank(form[field]) || parseDecimal(form[field]) === 0) {
+      warnings[hours] = t('validation.hoursWithoutDevices')
+    }
+  })
+
+  return { errors, warnings }
+}
+
+export function hasErrors(validation) {
+  return Object.keys(validation.errors).length > 0
+}
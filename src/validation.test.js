@@ -0,0 +1,43 @@
+import { checkAnswer, validateForm, hasErrors, deviceTableTotal } from './validation'
+import { QUESTIONS, EMPTY_FORM } from './surveySchema'
+
+test('numeric answers must be numbers in range, whole where counted', () => {
+  expect(checkAnswer(QUESTIONS.smartphoneDuration, 'abc')).toEqual({ error: 'Enter a number' })
+  expect(checkAnswer(QUESTIONS.smartphoneDuration, '30')).toEqual({ error: 'Enter a number from 0 to 24' })
+  expect(checkAnswer(QUESTIONS.smartphone, '-1')).toEqual({ error: 'Enter a number from 0 to 50' })
+  expect(checkAnswer(QUESTIONS.smartphone, '1.5')).toEqual({ error: 'Enter a whole number' })
+  expect(checkAnswer(QUESTIONS.age, '500')).toEqual({ error: 'Enter a number from 10 to 100' })
+  expect(checkAnswer(QUESTIONS.smartphoneDuration, ' 4.5 ')).toEqual({})
+  expect(checkAnswer(QUESTIONS.age, '')).toEqual({})
+  expect(checkAnswer(QUESTIONS.gender, 'Robot')).toEqual({ error: 'Pick one of the listed options' })
+})
+
+test('only plain decimals count as numbers', () => {
+  ;['0x10', '1e1', 'Infinity', '-Infinity', '0b11', '1,5', '4.', ' '].forEach((text) => {
+    expect([text, checkAnswer(QUESTIONS.smartphoneDuration, text)]).toEqual([text, { error: 'Enter a number' }])
+  })
+  expect(checkAnswer(QUESTIONS.smartphone, '0x2')).toEqual({ error: 'Enter a number' })
+  expect(checkAnswer(QUESTIONS.smartphoneDuration, '.5')).toEqual({})
+  expect(checkAnswer(QUESTIONS.smartphoneDuration, ' 12 ')).toEqual({})
+  expect(deviceTableTotal({ ...EMPTY_FORM, smartphone: '1e1', laptop: '2' })).toBe(2)
+})
+
+test('unusual but possible answers only warn', () => {
+  expect(checkAnswer(QUESTIONS.smartphoneDuration, '20').warning).toMatch(/unusually high/)
+  expect(checkAnswer(QUESTIONS.routerDuration, '24')).toEqual({})
+  expect(checkAnswer(QUESTIONS.laptopAge, '18').warning).toMatch(/unusually high/)
+})
+
+test('total devices must agree with the device table', () => {
+  const form = { ...EMPTY_FORM, smartphone: '2', laptop: '1', totalDevices: '5' }
+  expect(deviceTableTotal(form)).toBe(3)
+  expect(validateForm(form).errors).toEqual({ totalDevices: 'Your device table adds up to 3; update this or the table' })
+  expect(hasErrors(validateForm({ ...form, totalDevices: '3' }))).toBe(false)
+  expect(hasErrors(validateForm({ ...EMPTY_FORM, totalDevices: '3' }))).toBe(false)
+})
+
+test('hours without a device count are queried, hidden questions are skipped', () => {
+  const v = validateForm({ ...EMPTY_FORM, tabletDuration: '2', occupation: 'Student', customOccupation: 'x' })
+  expect(v.warnings).toEqual({ tabletDuration: 'Hours entered but no devices counted' })
+  expect(v.errors).toEqual({})
+})